@@ -1,4 +1,13 @@
 import React, { useState, useRef } from 'react';
+import FormValidation from './validation.js';
+
+// Same engine and messages as the site's other forms (see validation.js)
+const VALIDATION_RULES = {
+  email: [{ rule: 'required', message: 'Email is required' }, 'email'],
+  city: [{ rule: 'required', message: 'City is required' }],
+  investmentRange: [{ rule: 'required', message: 'Investment range is required' }],
+  strategy: [{ rule: 'required', message: 'Strategy is required' }]
+};
 
 // Modular, context-aware, Playwright-friendly form component
 export default function DealCurationForm({ webhookUrl = 'https://your-n8n-instance.com/webhook/deal-curation' }) {
@@ -14,18 +23,7 @@ export default function DealCurationForm({ webhookUrl = 'https://your-n8n-instan
   const firstErrorRef = useRef(null);
 
   // Validation helpers
-  const validate = () => {
-    const errors = {};
-    if (!email) {
-      errors.email = 'Email is required';
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      errors.email = 'Please enter a valid email address';
-    }
-    if (!city) errors.city = 'City is required';
-    if (!investmentRange) errors.investmentRange = 'Investment range is required';
-    if (!strategy) errors.strategy = 'Strategy is required';
-    return errors;
-  };
+  const validate = () => FormValidation.validate({ email, city, investmentRange, strategy }, VALIDATION_RULES).errors;
 
   // Handle form submission
   const handleSubmit = async (e) => {
@@ -85,7 +83,7 @@ export default function DealCurationForm({ webhookUrl = 'https://your-n8n-instan
           ref={fieldErrors.email ? firstErrorRef : null}
         />
         {fieldErrors.email && (
-          <div id="error-email" className="text-red-600 text-sm mt-1" aria-live="polite">{fieldErrors.email}</div>
+          <div id="error-email" className="error-message text-red-600 text-sm mt-1" role="alert" aria-live="polite">{fieldErrors.email}</div>
         )}
       </div>
       <div>
@@ -103,7 +101,7 @@ export default function DealCurationForm({ webhookUrl = 'https://your-n8n-instan
           ref={fieldErrors.city && !fieldErrors.email ? firstErrorRef : null}
         />
         {fieldErrors.city && (
-          <div id="error-city" className="text-red-600 text-sm mt-1" aria-live="polite">{fieldErrors.city}</div>
+          <div id="error-city" className="error-message text-red-600 text-sm mt-1" role="alert" aria-live="polite">{fieldErrors.city}</div>
         )}
       </div>
       <div>
@@ -127,7 +125,7 @@ export default function DealCurationForm({ webhookUrl = 'https://your-n8n-instan
           <option value="over-1m">Over $1,000,000</option>
         </select>
         {fieldErrors.investmentRange && (
-          <div id="error-investmentRange" className="text-red-600 text-sm mt-1" aria-live="polite">{fieldErrors.investmentRange}</div>
+          <div id="error-investmentRange" className="error-message text-red-600 text-sm mt-1" role="alert" aria-live="polite">{fieldErrors.investmentRange}</div>
         )}
       </div>
       <div>
@@ -152,7 +150,7 @@ export default function DealCurationForm({ webhookUrl = 'https://your-n8n-instan
           <option value="land">Land Development</option>
         </select>
         {fieldErrors.strategy && (
-          <div id="error-strategy" className="text-red-600 text-sm mt-1" aria-live="polite">{fieldErrors.strategy}</div>
+          <div id="error-strategy" className="error-message text-red-600 text-sm mt-1" role="alert" aria-live="polite">{fieldErrors.strategy}</div>
         )}
       </div>
       <button
@@ -0,0 +1,360 @@
+/**
+ * PropGrid Analytics
+ * One track() call per product event, validated against the EVENTS catalog and
+ * handed in batches to pluggable adapters (GA4, a Plausible-style beacon, the
+ * console, or an in-memory list for tests). Adapters that send data off the
+ * page only receive events tracked while the visitor allows analytics
+ * (see consent.js). Elements with data-track="event_name" are tracked on click,
+ * with data-track-* attributes as properties.
+ */
+
+(function (root) {
+    const DEFAULT_BATCH_SIZE = 10;
+    const DEFAULT_FLUSH_INTERVAL = 5000; // ms an event may wait for its batch
+
+    // Property types: 'string', 'number' or 'boolean'; a trailing '?' makes the property optional
+    const EVENTS = {
+        cta_click: {
+            description: 'A call-to-action link was clicked',
+            properties: { location: 'string', label: 'string' }
+        },
+        signup_step_viewed: {
+            description: 'A signup form step was shown',
+            properties: { step: 'number', step_id: 'string', total_steps: 'number' }
+        },
+        signup_step_completed: {
+            description: 'A signup form step passed validation',
+            properties: { step: 'number', step_id: 'string', total_steps: 'number', time_on_step_ms: 'number' }
+        },
+        signup_step_back: {
+            description: 'The visitor went back from a signup form step',
+            properties: { step: 'number', step_id: 'string', total_steps: 'number', time_on_step_ms: 'number' }
+        },
+        signup_validation_failed: {
+            description: 'A signup field failed validation when the visitor tried to continue',
+            properties: { step: 'number', step_id: 'string', field: 'string', message: 'string' }
+        },
+        signup_abandoned: {
+            description: 'The visitor left the page partway through the signup form',
+            properties: { step: 'number', step_id: 'string', total_steps: 'number', time_on_step_ms: 'number' }
+        },
+        signup_submitted: {
+            description: 'A signup was accepted, or queued to send once back online',
+            properties: { plan: 'string?', queued: 'boolean' }
+        },
+        faq_opened: {
+            description: 'An FAQ answer was expanded',
+            properties: { question: 'string' }
+        },
+        pricing_plan_clicked: {
+            description: 'A pricing plan call-to-action was clicked',
+            properties: { plan: 'string' }
+        },
+        performance_metric: {
+            description: 'A page performance measurement (see PerformanceMonitor)',
+            properties: { metric_name: 'string', metric_value: 'number' }
+        }
+    };
+
+    function warn(...args) {
+        if (typeof console !== 'undefined' && console.warn) {
+            console.warn('[Analytics]', ...args);
+        }
+    }
+
+    function parseType(spec) {
+        return { type: spec.replace(/\?$/, ''), optional: spec.endsWith('?') };
+    }
+
+    /**
+     * Check an event against the catalog
+     * @param {string} name
+     * @param {Object} properties
+     * @returns {Array<string>} Problems; empty when the event is valid
+     */
+    function validate(name, properties = {}) {
+        const definition = EVENTS[name];
+        if (!definition) return [`Unknown event "${name}"`];
+
+        const errors = [];
+        Object.entries(definition.properties).forEach(([key, spec]) => {
+            const { type, optional } = parseType(spec);
+            const value = properties[key];
+            if (value === undefined || value === null) {
+                if (!optional) errors.push(`${name}.${key} is required`);
+            } else if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+                errors.push(`${name}.${key} must be a ${type}`);
+            }
+        });
+        Object.keys(properties).forEach(key => {
+            if (!definition.properties[key]) errors.push(`${name}.${key} is not in the catalog`);
+        });
+        return errors;
+    }
+
+    // data-track-* values are strings; convert them to the types the catalog expects
+    function coerceProperties(name, raw) {
+        const definition = EVENTS[name];
+        const properties = {};
+        Object.entries(raw).forEach(([key, value]) => {
+            const type = definition && definition.properties[key] ? parseType(definition.properties[key]).type : 'string';
+            if (type === 'number') {
+                properties[key] = Number(value);
+            } else if (type === 'boolean') {
+                properties[key] = value === '' || value === 'true';
+            } else {
+                properties[key] = value;
+            }
+        });
+        return properties;
+    }
+
+    // data-track-step-id -> dataset.trackStepId -> step_id
+    function readTrackAttributes(element) {
+        const raw = {};
+        Object.entries(element.dataset).forEach(([key, value]) => {
+            if (key.length > 5 && key.startsWith('track')) {
+                const property = key.slice(5).replace(/^[A-Z]/, letter => letter.toLowerCase())
+                    .replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+                raw[property] = value;
+            }
+        });
+        return raw;
+    }
+
+    // --- Adapters: { name, requiresConsent, send(events) } where each event is { name, properties, timestamp, url, session } ---
+
+    /**
+     * Google Analytics 4 through gtag.js
+     * @param {Object} options - { gtag } to use instead of window.gtag
+     */
+    function ga4Adapter(options = {}) {
+        return {
+            name: 'ga4',
+            requiresConsent: true,
+            send(events) {
+                const gtag = options.gtag || root.gtag;
+                if (typeof gtag !== 'function') return;
+                events.forEach(event => gtag('event', event.name, event.properties));
+            }
+        };
+    }
+
+    /**
+     * POST each batch as JSON to a collector, Plausible-style:
+     * [{ name, url, domain, referrer, props, timestamp, session }]. Uses sendBeacon so batches survive page unload.
+     * @param {Object} options - { endpoint, domain } where domain defaults to location.hostname
+     */
+    function beaconAdapter(options = {}) {
+        if (!options.endpoint) {
+            throw new Error('The beacon adapter needs an endpoint');
+        }
+        return {
+            name: 'beacon',
+            requiresConsent: true,
+            send(events) {
+                const domain = options.domain || (root.location ? root.location.hostname : '');
+                const referrer = typeof document !== 'undefined' ? document.referrer || null : null;
+                const body = JSON.stringify(events.map(event => ({
+                    name: event.name,
+                    url: event.url,
+                    domain,
+                    referrer,
+                    props: event.properties,
+                    timestamp: event.timestamp,
+                    session: event.session
+                })));
+
+                const navigatorRef = root.navigator;
+                if (navigatorRef && typeof navigatorRef.sendBeacon === 'function' && typeof root.Blob === 'function') {
+                    if (navigatorRef.sendBeacon(options.endpoint, new root.Blob([body], { type: 'application/json' }))) return;
+                }
+                if (typeof root.fetch === 'function') {
+                    root.fetch(options.endpoint, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body,
+                        keepalive: true
+                    }).catch(error => warn('Beacon failed:', error));
+                }
+            }
+        };
+    }
+
+    // Logs events instead of sending them; handy while developing locally
+    function consoleAdapter() {
+        return {
+            name: 'console',
+            requiresConsent: false,
+            send(events) {
+                if (typeof console === 'undefined' || !console.info) return;
+                events.forEach(event => console.info('[Analytics]', event.name, event.properties));
+            }
+        };
+    }
+
+    // Keeps every event in adapter.events, for tests
+    function memoryAdapter() {
+        return {
+            name: 'memory',
+            requiresConsent: false,
+            events: [],
+            send(events) {
+                this.events.push(...events);
+            },
+            clear() {
+                this.events.length = 0;
+            }
+        };
+    }
+
+    const ADAPTERS = {
+        ga4: ga4Adapter,
+        beacon: beaconAdapter,
+        console: consoleAdapter,
+        memory: memoryAdapter
+    };
+
+    /**
+     * New analytics client
+     * @param {Object} options - { adapters, batchSize, flushInterval, consent(category), sessionId } where consent
+     *   defaults to PropGridConsent.has and nothing that requires consent is sent without it
+     * @returns {Object} { track, flush, autoTrack, addAdapter, destroy }
+     */
+    function createAnalytics(options = {}) {
+        const adapters = [].concat(options.adapters || []);
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const flushInterval = options.flushInterval === undefined ? DEFAULT_FLUSH_INTERVAL : options.flushInterval;
+        const consent = options.consent || (category => Boolean(root.PropGridConsent && root.PropGridConsent.has(category)));
+        // Groups one page view's events (e.g. a signup funnel); random and never stored
+        const sessionId = options.sessionId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+        // Entries are { event, consented } where consented records the visitor's choice when it was tracked
+        let queue = [];
+        let flushTimer = null;
+
+        function flush() {
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                flushTimer = null;
+            }
+            if (queue.length === 0) return 0;
+
+            const batch = queue;
+            queue = [];
+            // Consent withdrawn since tracking also holds back the batch
+            const allowed = consent('analytics');
+            adapters.forEach(adapter => {
+                const events = batch
+                    .filter(entry => adapter.requiresConsent === false || (allowed && entry.consented))
+                    .map(entry => entry.event);
+                if (events.length === 0) return;
+                try {
+                    adapter.send(events);
+                } catch (error) {
+                    warn(`Adapter "${adapter.name}" failed:`, error);
+                }
+            });
+            return batch.length;
+        }
+
+        const flushWhenHidden = () => {
+            if (document.visibilityState === 'hidden') flush();
+        };
+        if (typeof root.addEventListener === 'function') {
+            root.addEventListener('pagehide', flush);
+        }
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', flushWhenHidden);
+        }
+
+        const client = {
+            /**
+             * Queue an event for every adapter. Events that don't match the catalog are dropped.
+             * @param {string} name - Key of EVENTS
+             * @param {Object} properties
+             * @returns {boolean} Whether the event was queued
+             */
+            track(name, properties = {}) {
+                const errors = validate(name, properties);
+                if (errors.length > 0) {
+                    warn('Dropped event:', errors.join('; '));
+                    return false;
+                }
+
+                queue.push({
+                    event: {
+                        name,
+                        properties: Object.assign({}, properties),
+                        timestamp: Date.now(),
+                        url: root.location ? root.location.pathname : null,
+                        session: sessionId
+                    },
+                    consented: consent('analytics')
+                });
+
+                if (queue.length >= batchSize) {
+                    flush();
+                } else if (!flushTimer) {
+                    flushTimer = setTimeout(flush, flushInterval);
+                }
+                return true;
+            },
+
+            // Send everything queued now; returns how many events were in the batch
+            flush,
+
+            /**
+             * Track clicks on [data-track] elements inside container
+             * @param {Element|Document} container
+             * @returns {Function} Stops tracking
+             */
+            autoTrack(container = document) {
+                const handleClick = (event) => {
+                    const element = event.target && event.target.closest ? event.target.closest('[data-track]') : null;
+                    if (!element || !container.contains(element)) return;
+                    const name = element.dataset.track;
+                    client.track(name, coerceProperties(name, readTrackAttributes(element)));
+                };
+                container.addEventListener('click', handleClick);
+                return () => container.removeEventListener('click', handleClick);
+            },
+
+            /**
+             * @param {Object} adapter - From one of the ADAPTERS factories, or any { name, send(events) }
+             * @returns {Function} Removes the adapter
+             */
+            addAdapter(adapter) {
+                adapters.push(adapter);
+                return () => {
+                    const index = adapters.indexOf(adapter);
+                    if (index >= 0) adapters.splice(index, 1);
+                };
+            },
+
+            // Flush what's queued and stop listening for page hide
+            destroy() {
+                flush();
+                if (typeof root.removeEventListener === 'function') {
+                    root.removeEventListener('pagehide', flush);
+                }
+                if (typeof document !== 'undefined') {
+                    document.removeEventListener('visibilitychange', flushWhenHidden);
+                }
+            }
+        };
+        return client;
+    }
+
+    const PropGridAnalytics = {
+        EVENTS,
+        ADAPTERS,
+        validate,
+        createAnalytics
+    };
+
+    root.PropGridAnalytics = PropGridAnalytics;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PropGridAnalytics;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,96 @@
+/**
+ * PropGrid Precache Manifest Builder
+ * Hashes every page and asset the service worker should precache and writes
+ * precache-manifest.js, which sw.js imports. Each entry carries a content
+ * revision and the manifest version (a hash of all revisions) names the
+ * precache, so a deploy only refetches the files that changed.
+ *
+ * Usage: node build-precache.js          # write precache-manifest.js
+ *        node build-precache.js --check  # exit 1 if the committed manifest is stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = __dirname;
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+const ASSET_EXTENSIONS = ['.html', '.js', '.json', '.css', '.svg', '.png', '.ico', '.webmanifest'];
+
+// Node tooling, local dashboards, tests and integration exports visitors never load
+const EXCLUDE = [
+    'sw.js',
+    'precache-manifest.js',
+    'build-precache.js',
+    'dev-server.js',
+    'web-push.js',
+    'test-website.js',
+    'perf-report.js',
+    'perf-reports',
+    'funnel-dashboard.html',
+    'DealCurationForm.jsx',
+    'deal-curation-n8n.json'
+];
+
+// Third-party files cached alongside ours. Their URLs are the version, so they carry no revision.
+const CDN_URLS = [
+    'https://cdn.tailwindcss.com',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
+function hash(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 10);
+}
+
+function collectFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            const relativePath = path.relative(ROOT, fullPath).split(path.sep).join('/');
+            if (EXCLUDE.includes(relativePath)) return [];
+            if (entry.isDirectory()) return collectFiles(fullPath);
+            return ASSET_EXTENSIONS.includes(path.extname(entry.name)) ? [relativePath] : [];
+        });
+}
+
+function buildManifest() {
+    const entries = collectFiles(ROOT).sort().map(file => ({
+        url: `/${file}`,
+        revision: hash(fs.readFileSync(path.join(ROOT, file)))
+    }));
+
+    // '/' serves index.html, so it shares its revision
+    const index = entries.find(entry => entry.url === '/index.html');
+    if (index) {
+        entries.unshift({ url: '/', revision: index.revision });
+    }
+    CDN_URLS.forEach(url => entries.push({ url, revision: null }));
+
+    return {
+        version: hash(entries.map(entry => `${entry.url} ${entry.revision}`).join('\n')),
+        entries
+    };
+}
+
+function render(manifest) {
+    return `// Generated by build-precache.js. Do not edit; run \`node build-precache.js\` after changing any asset.
+self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};
+`;
+}
+
+const manifest = buildManifest();
+const output = render(manifest);
+
+if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+    if (current !== output) {
+        console.error('❌ precache-manifest.js is out of date. Run `node build-precache.js`.');
+        process.exit(1);
+    }
+    console.log('✅ precache-manifest.js is up to date');
+} else {
+    fs.writeFileSync(OUTPUT, output);
+    console.log(`📦 Wrote precache-manifest.js (${manifest.entries.length} entries, version ${manifest.version})`);
+}
@@ -0,0 +1,315 @@
+/**
+ * PropGrid Components
+ * The app shell every page shares. Components are defined once by name and
+ * mounted on the elements that name them with data-component, after the
+ * components they depend on. Lazy components wait until their element scrolls
+ * near the viewport. While the tab is hidden every mounted component is
+ * paused, and teardown runs in reverse mount order, removing the listeners
+ * each component added through the shell.
+ */
+
+(function (root) {
+    const LAZY_ROOT_MARGIN = '200px'; // Start mounting a little before the element is on screen
+
+    const definitions = new Map();
+
+    /**
+     * Register a component for every app shell on the page
+     * @param {string} name - Matched against data-component attributes
+     * @param {Object} definition - { create(context), dependsOn, lazy, fallback, mount, unmount, pause, resume }
+     *   where create returns the component and context is { name, root, app, services, listen }. dependsOn
+     *   names components to mount first, lazy waits for the root to scroll into view, and fallback is a
+     *   message for the app's onError to show if the component fails. The lifecycle hooks are called as
+     *   hook(component, context) and default to the component's own methods of the same name (unmount
+     *   falls back to destroy).
+     */
+    function define(name, definition) {
+        if (!definition || typeof definition.create !== 'function') {
+            throw new TypeError(`Component "${name}" needs a create() function`);
+        }
+        definitions.set(name, Object.assign({ dependsOn: [], lazy: false, fallback: null }, definition));
+    }
+
+    // data-component holds one name or several, e.g. "animationController performanceMonitor"
+    function namesOf(element) {
+        return (element.getAttribute('data-component') || '').split(/\s+/).filter(Boolean);
+    }
+
+    function warn(message) {
+        if (typeof console !== 'undefined' && console.warn) {
+            console.warn(`⚠️ ${message}`);
+        }
+    }
+
+    function runHook(entry, hook) {
+        const { definition, component, context } = entry;
+        if (typeof definition[hook] === 'function') return definition[hook](component, context);
+        if (!component) return undefined;
+        if (typeof component[hook] === 'function') return component[hook]();
+        if (hook === 'unmount' && typeof component.destroy === 'function') return component.destroy();
+        return undefined;
+    }
+
+    /**
+     * New app shell. Nothing mounts until start().
+     * @param {Object} options - { root, services, onError(error, { name, root, fallback, retry }), rootMargin }
+     *   where root (default document) is searched for data-component, services is shared with every
+     *   component, and onError replaces the default console report when a component fails to mount
+     * @returns {Object} { start, mount, unmount, pause, resume, getComponent, getMounted, listen, destroy, services }
+     */
+    function createApp(options = {}) {
+        const scope = options.root || document;
+        const services = options.services || {};
+        const mounted = new Map(); // name -> { definition, component, context, cleanups }
+        const order = []; // Names in mount order; teardown runs in reverse
+        const mounting = []; // Names being mounted right now, to catch dependency cycles
+        const roots = new Map(); // name -> element found by start()
+        const cleanups = []; // Listeners added with app.listen()
+        let observer = null;
+        let isStarted = false;
+        let isPaused = false;
+        let isDestroyed = false;
+
+        // Adds a listener that is removed with its owner; returns a function that removes it sooner
+        function addListener(owned, target, type, handler, listenerOptions) {
+            if (!target || typeof target.addEventListener !== 'function') return () => {};
+            target.addEventListener(type, handler, listenerOptions);
+            const remove = () => {
+                target.removeEventListener(type, handler, listenerOptions);
+                const index = owned.indexOf(remove);
+                if (index >= 0) owned.splice(index, 1);
+            };
+            owned.push(remove);
+            return remove;
+        }
+
+        function removeAll(owned) {
+            owned.slice().reverse().forEach(remove => remove());
+        }
+
+        function reportError(error, details) {
+            if (typeof options.onError === 'function') {
+                options.onError(error, details);
+            } else if (typeof console !== 'undefined' && console.error) {
+                console.error(`❌ Component "${details.name}" failed:`, error);
+            }
+        }
+
+        function rootOf(name) {
+            if (roots.has(name)) return roots.get(name);
+            if (scope.matches && scope.matches(`[data-component~="${name}"]`)) return scope;
+            return scope.querySelector(`[data-component~="${name}"]`);
+        }
+
+        /**
+         * Mount a component and, first, the components it depends on. Lazy components can be mounted
+         * early this way, e.g. when another component needs them now.
+         * @param {string} name
+         * @returns {Object|null} The component, or null if it isn't defined or failed
+         */
+        function mount(name) {
+            if (isDestroyed) return null;
+            if (mounted.has(name)) return mounted.get(name).component;
+
+            const definition = definitions.get(name);
+            if (!definition) {
+                warn(`Unknown component "${name}"`);
+                return null;
+            }
+
+            const element = rootOf(name);
+            const owned = [];
+            const context = {
+                name,
+                root: element,
+                app,
+                services,
+                listen: (target, type, handler, listenerOptions) => addListener(owned, target, type, handler, listenerOptions)
+            };
+            const entry = { definition, component: null, context, cleanups: owned };
+
+            mounting.push(name);
+            try {
+                // A dependency that fails is reported on its own; this component still mounts and guards its lookups
+                definition.dependsOn.forEach(dependency => {
+                    if (mounting.includes(dependency)) {
+                        throw new Error(`Circular component dependency: ${mounting.concat(dependency).join(' → ')}`);
+                    }
+                    if (!mount(dependency)) {
+                        warn(`Component "${name}" mounted without its dependency "${dependency}"`);
+                    }
+                });
+
+                entry.component = definition.create(context);
+                mounted.set(name, entry);
+                runHook(entry, 'mount');
+            } catch (error) {
+                mounted.delete(name);
+                removeAll(owned);
+                reportError(error, { name, root: element, fallback: definition.fallback, retry: () => mount(name) });
+                return null;
+            } finally {
+                mounting.pop();
+            }
+
+            order.push(name);
+            if (isPaused) safely(name, entry, 'pause');
+            return entry.component;
+        }
+
+        function safely(name, entry, hook) {
+            try {
+                runHook(entry, hook);
+            } catch (error) {
+                if (typeof console !== 'undefined' && console.error) {
+                    console.error(`❌ Error in ${name}.${hook}():`, error);
+                }
+            }
+        }
+
+        /**
+         * Tear a component down, along with the components that depend on it
+         * @param {string} name
+         * @returns {boolean} Whether it was mounted
+         */
+        function unmount(name) {
+            const entry = mounted.get(name);
+            if (!entry) return false;
+
+            order.filter(other => other !== name && mounted.get(other).definition.dependsOn.includes(name))
+                .reverse()
+                .forEach(unmount);
+
+            mounted.delete(name);
+            order.splice(order.indexOf(name), 1);
+            safely(name, entry, 'unmount');
+            removeAll(entry.cleanups);
+            return true;
+        }
+
+        function pause() {
+            if (isPaused) return;
+            isPaused = true;
+            order.slice().reverse().forEach(name => safely(name, mounted.get(name), 'pause'));
+        }
+
+        function resume() {
+            if (!isPaused) return;
+            isPaused = false;
+            order.forEach(name => safely(name, mounted.get(name), 'resume'));
+        }
+
+        function observe(element) {
+            if (typeof IntersectionObserver === 'undefined') {
+                namesOf(element).forEach(mount);
+                return;
+            }
+            if (!observer) {
+                observer = new IntersectionObserver((entries) => {
+                    entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                        observer.unobserve(entry.target);
+                        namesOf(entry.target)
+                            .filter(name => roots.get(name) === entry.target && definitions.has(name))
+                            .forEach(mount);
+                    });
+                }, { rootMargin: options.rootMargin || LAZY_ROOT_MARGIN });
+            }
+            observer.observe(element);
+        }
+
+        /**
+         * Mount every component named by a data-component element, lazy ones once they scroll into view
+         * @returns {Object} The app, for chaining
+         */
+        function start() {
+            if (isStarted || isDestroyed) return app;
+            isStarted = true;
+
+            addListener(cleanups, document, 'visibilitychange', () => {
+                if (document.hidden) {
+                    pause();
+                } else {
+                    resume();
+                }
+            });
+
+            const elements = Array.from(scope.querySelectorAll('[data-component]'));
+            if (scope.matches && scope.matches('[data-component]')) elements.unshift(scope);
+
+            const eager = [];
+            const lazy = new Set();
+            elements.forEach(element => {
+                namesOf(element).forEach(name => {
+                    if (roots.has(name)) {
+                        warn(`Component "${name}" is on the page twice; only the first is mounted`);
+                        return;
+                    }
+                    roots.set(name, element);
+                    const definition = definitions.get(name);
+                    if (!definition) {
+                        warn(`Unknown component "${name}"`);
+                    } else if (definition.lazy) {
+                        lazy.add(element);
+                    } else {
+                        eager.push(name);
+                    }
+                });
+            });
+
+            eager.forEach(mount);
+            lazy.forEach(observe);
+            if (document.hidden) pause();
+            return app;
+        }
+
+        function destroy() {
+            if (isDestroyed) return;
+            if (observer) {
+                observer.disconnect();
+                observer = null;
+            }
+            order.slice().reverse().forEach(unmount);
+            removeAll(cleanups);
+            roots.clear();
+            isDestroyed = true;
+        }
+
+        const app = {
+            start,
+            mount,
+            unmount,
+            pause,
+            resume,
+
+            getComponent(name) {
+                return mounted.has(name) ? mounted.get(name).component : null;
+            },
+
+            // Names of the mounted components, in mount order
+            getMounted() {
+                return order.slice();
+            },
+
+            // Page-wide listener, removed by destroy()
+            listen(target, type, handler, listenerOptions) {
+                return addListener(cleanups, target, type, handler, listenerOptions);
+            },
+
+            destroy,
+            services
+        };
+
+        return app;
+    }
+
+    const PropGridComponents = {
+        define,
+        createApp,
+        isDefined: name => definitions.has(name)
+    };
+
+    root.PropGridComponents = PropGridComponents;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PropGridComponents;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
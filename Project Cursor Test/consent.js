@@ -0,0 +1,276 @@
+/**
+ * PropGrid Consent
+ * Records which optional categories (analytics, error reporting, marketing) the
+ * visitor allows, asks with a banner until they choose, and lets every other
+ * script check before it sends anything: PropGridConsent.has('analytics').
+ * Choices carry POLICY_VERSION, so bumping it asks everyone again.
+ */
+
+(function (root) {
+    const STORAGE_KEY = 'propgrid-consent';
+    // Bump when the privacy policy or the categories change; stored choices from other versions are ignored
+    const POLICY_VERSION = 1;
+    const CHANGE_EVENT = 'propgrid:consentchange';
+
+    const CATEGORIES = {
+        necessary: {
+            label: 'Necessary',
+            description: 'Keeps the site working: your signup draft, plan and offline data. Always on.',
+            required: true
+        },
+        analytics: {
+            label: 'Analytics',
+            description: 'Anonymous usage and performance measurements that help us improve PropGrid.',
+            // First-party cookies set by Google Analytics, removed when analytics is turned off
+            cookies: ['_ga', '_gid', '_gat']
+        },
+        errorReporting: {
+            label: 'Error reporting',
+            description: 'Sends technical details when something breaks so we can fix it.'
+        },
+        marketing: {
+            label: 'Marketing',
+            description: 'Measures which campaigns bring investors to PropGrid.',
+            cookies: ['_gcl_au', '_fbp']
+        }
+    };
+    const OPTIONAL_CATEGORIES = Object.keys(CATEGORIES).filter(key => !CATEGORIES[key].required);
+
+    const listeners = new Set();
+
+    function readRecord() {
+        try {
+            const record = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+            return record && record.version === POLICY_VERSION && record.choices ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeRecord(record) {
+        try {
+            if (record) {
+                root.localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+            } else {
+                root.localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[Consent] Could not store consent choices:', error);
+            }
+        }
+    }
+
+    function normalizeChoices(choices = {}) {
+        const normalized = { necessary: true };
+        OPTIONAL_CATEGORIES.forEach(key => {
+            normalized[key] = choices[key] === true;
+        });
+        return normalized;
+    }
+
+    // Delete the cookies a category sets once it is turned off
+    function clearCookies(category) {
+        const prefixes = CATEGORIES[category].cookies || [];
+        if (prefixes.length === 0 || typeof document === 'undefined') return;
+
+        const hostParts = root.location.hostname.split('.');
+        const domains = [''].concat(hostParts.map((part, index) => `; domain=.${hostParts.slice(index).join('.')}`));
+        document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).forEach(name => {
+            if (!prefixes.some(prefix => name.startsWith(prefix))) return;
+            domains.forEach(domain => {
+                document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain}`;
+            });
+        });
+    }
+
+    // Mirror the choices into Google Consent Mode when gtag is on the page
+    function updateGtagConsent(choices) {
+        if (typeof root.gtag !== 'function') return;
+        root.gtag('consent', 'update', {
+            analytics_storage: choices.analytics ? 'granted' : 'denied',
+            ad_storage: choices.marketing ? 'granted' : 'denied',
+            ad_user_data: choices.marketing ? 'granted' : 'denied',
+            ad_personalization: choices.marketing ? 'granted' : 'denied'
+        });
+    }
+
+    function notify(choices, previous) {
+        OPTIONAL_CATEGORIES.forEach(key => {
+            if (previous[key] && !choices[key]) clearCookies(key);
+        });
+        updateGtagConsent(choices);
+
+        listeners.forEach(listener => {
+            try {
+                listener(choices);
+            } catch (error) {
+                if (typeof console !== 'undefined' && console.error) {
+                    console.error('[Consent] Listener failed:', error);
+                }
+            }
+        });
+        if (typeof root.dispatchEvent === 'function' && typeof root.CustomEvent === 'function') {
+            root.dispatchEvent(new root.CustomEvent(CHANGE_EVENT, { detail: { choices } }));
+        }
+    }
+
+    const PropGridConsent = {
+        POLICY_VERSION,
+        CATEGORIES,
+        CHANGE_EVENT,
+
+        /**
+         * Whether the visitor allows a category right now. Nothing optional is
+         * allowed until they choose.
+         * @param {string} category - 'necessary', 'analytics', 'errorReporting' or 'marketing'
+         * @returns {boolean}
+         */
+        has(category) {
+            if (CATEGORIES[category] && CATEGORIES[category].required) return true;
+            const record = readRecord();
+            return Boolean(record && record.choices[category]);
+        },
+
+        /**
+         * @returns {Object} Current choices per category (all optional ones false before a decision)
+         */
+        getChoices() {
+            const record = readRecord();
+            return normalizeChoices(record ? record.choices : {});
+        },
+
+        /**
+         * @returns {Object|null} { version, decidedAt, choices } or null when the visitor hasn't chosen under this policy
+         */
+        getRecord() {
+            return readRecord();
+        },
+
+        // True until the visitor has chosen under the current POLICY_VERSION
+        needsPrompt() {
+            return readRecord() === null;
+        },
+
+        /**
+         * Save the visitor's choices and tell every listener
+         * @param {Object} choices - { analytics, errorReporting, marketing }; missing categories are off
+         * @returns {Object} The saved choices
+         */
+        set(choices) {
+            const previous = this.getChoices();
+            const normalized = normalizeChoices(choices);
+            writeRecord({ version: POLICY_VERSION, decidedAt: new Date().toISOString(), choices: normalized });
+            this.hideBanner();
+            notify(normalized, previous);
+            return normalized;
+        },
+
+        acceptAll() {
+            return this.set(Object.fromEntries(OPTIONAL_CATEGORIES.map(key => [key, true])));
+        },
+
+        rejectAll() {
+            return this.set({});
+        },
+
+        /**
+         * Withdraw every optional consent. Recorded as a decision, so the banner doesn't come back.
+         * @returns {Object} The saved choices
+         */
+        revoke() {
+            return this.rejectAll();
+        },
+
+        /**
+         * Call listener(choices) whenever the choices change
+         * @param {Function} listener
+         * @returns {Function} Unsubscribe
+         */
+        onChange(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * Show the consent banner
+         * @param {Object} options - { customize: true } opens the per-category choices
+         */
+        showBanner(options = {}) {
+            if (typeof document === 'undefined' || !document.body) return;
+            this.hideBanner();
+
+            const choices = this.getChoices();
+            const banner = document.createElement('div');
+            banner.id = 'consent-banner';
+            banner.setAttribute('role', 'dialog');
+            banner.setAttribute('aria-labelledby', 'consent-banner-title');
+            banner.setAttribute('aria-describedby', 'consent-banner-description');
+            banner.className = 'fixed bottom-4 left-4 right-4 md:left-auto md:max-w-md z-50 bg-white border border-gray-200 rounded-xl shadow-2xl p-5 text-left text-gray-900';
+            banner.innerHTML = `
+                <h2 id="consent-banner-title" class="text-base font-semibold mb-1">Your privacy choices</h2>
+                <p id="consent-banner-description" class="text-sm text-gray-600 mb-4">
+                    We only measure usage, report errors or track campaigns if you allow it. You can change this anytime on our <a href="/privacy.html#cookie-choices" class="text-blue-600 hover:underline">privacy page</a>.
+                </p>
+                <form data-consent-form ${options.customize ? '' : 'hidden'} class="space-y-3 mb-4">
+                    ${Object.entries(CATEGORIES).map(([key, category]) => `
+                        <label class="flex items-start gap-3 text-sm">
+                            <input type="checkbox" name="${key}" class="mt-1" ${category.required || choices[key] ? 'checked' : ''} ${category.required ? 'disabled' : ''}>
+                            <span><span class="font-medium">${category.label}</span><span class="block text-gray-500">${category.description}</span></span>
+                        </label>
+                    `).join('')}
+                </form>
+                <div class="flex flex-wrap gap-2">
+                    <button type="button" data-consent-action="accept" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors">Accept all</button>
+                    <button type="button" data-consent-action="reject" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors">Reject non-essential</button>
+                    <button type="button" data-consent-action="${options.customize ? 'save' : 'customize'}" class="text-blue-600 px-2 py-2 text-sm font-medium hover:underline">${options.customize ? 'Save choices' : 'Customize'}</button>
+                </div>
+            `;
+
+            banner.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-consent-action]');
+                if (!button) return;
+
+                const action = button.dataset.consentAction;
+                if (action === 'accept') {
+                    this.acceptAll();
+                } else if (action === 'reject') {
+                    this.rejectAll();
+                } else if (action === 'customize') {
+                    banner.querySelector('[data-consent-form]').hidden = false;
+                    button.dataset.consentAction = 'save';
+                    button.textContent = 'Save choices';
+                } else if (action === 'save') {
+                    const form = banner.querySelector('[data-consent-form]');
+                    this.set(Object.fromEntries(OPTIONAL_CATEGORIES.map(key => [key, form.elements[key].checked])));
+                }
+            });
+
+            document.body.appendChild(banner);
+        },
+
+        hideBanner() {
+            if (typeof document === 'undefined') return;
+            const banner = document.getElementById('consent-banner');
+            if (banner) banner.remove();
+        }
+    };
+
+    // Ask on first visit and whenever POLICY_VERSION changes
+    if (typeof document !== 'undefined') {
+        const prompt = () => {
+            if (PropGridConsent.needsPrompt()) {
+                PropGridConsent.showBanner();
+            } else {
+                updateGtagConsent(PropGridConsent.getChoices());
+            }
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', prompt);
+        } else {
+            prompt();
+        }
+    }
+
+    root.PropGridConsent = PropGridConsent;
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,228 @@
+/**
+ * PropGrid Contact Form
+ * Components for contact.html: the contact form (validated with validation.js,
+ * queued in the offline outbox when there's no connection) and the live chat
+ * button. Mounted by the app shell on data-component="contactForm" and
+ * data-component="liveChat".
+ */
+
+(function (root) {
+    const CONTACT_PAYLOAD_VERSION = 1;
+
+    function contactEndpoint() {
+        return (root.PropGridConfig && root.PropGridConfig.contactEndpoint) || '/api/contact';
+    }
+
+    class ContactForm {
+        /**
+         * @param {Object} context - From the app shell (see components.js); services.notify(message, variant) shows toasts
+         */
+        constructor({ root: form, listen, services }) {
+            if (!form) {
+                throw new Error('ContactForm needs a data-component="contactForm" element');
+            }
+            this.form = form;
+            this.listen = listen;
+            this.notify = typeof services.notify === 'function' ? services.notify : () => {};
+            this.submitBtn = document.getElementById('submit-btn');
+            this.successDiv = document.getElementById('contact-success');
+            this.submissionKey = null; // Idempotency key shared by retries of the same message
+            this.validator = FormValidation.createFormValidator(this.form, {
+                invalidClasses: ['form-error'],
+                validClasses: []
+            });
+            this.init();
+        }
+
+        init() {
+            this.setupValidation();
+            this.setupSubmission();
+            this.setupOfflineQueue();
+        }
+
+        setupOfflineQueue() {
+            this.listen(window, 'online', () => this.replayQueue());
+
+            if ('serviceWorker' in navigator) {
+                this.listen(navigator.serviceWorker, 'message', (event) => {
+                    this.handleOutboxMessage(event.data || {});
+                });
+            }
+
+            this.replayQueue();
+        }
+
+        setupValidation() {
+            // Real-time validation
+            this.form.querySelectorAll('input, textarea, select').forEach(field => {
+                this.listen(field, 'blur', () => this.validateField(field));
+                this.listen(field, 'input', () => this.clearFieldError(field));
+            });
+        }
+
+        validateField(field) {
+            return this.validator.validateField(field);
+        }
+
+        showFieldError(field, message) {
+            this.validator.showError(field, message);
+        }
+
+        clearFieldError(field) {
+            this.validator.clearError(field);
+        }
+
+        setupSubmission() {
+            this.listen(this.form, 'submit', (e) => {
+                e.preventDefault();
+                this.handleSubmission();
+            });
+        }
+
+        async handleSubmission() {
+            // Validate all fields
+            if (!this.validator.validateAll()) return;
+
+            const payload = this.buildPayload();
+
+            // Show loading state
+            this.submitBtn.disabled = true;
+            this.submitBtn.innerHTML = '<i class="fas fa-spinner loading-spinner mr-2" aria-hidden="true"></i>Sending...';
+
+            try {
+                if (!navigator.onLine && await this.queueMessage(payload)) {
+                    return;
+                }
+
+                let response;
+                try {
+                    response = await fetch(contactEndpoint(), {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json',
+                            'Idempotency-Key': this.getSubmissionKey()
+                        },
+                        body: JSON.stringify(payload)
+                    });
+                } catch (error) {
+                    // fetch only rejects when the network is unreachable
+                    if (await this.queueMessage(payload)) {
+                        return;
+                    }
+                    throw error;
+                }
+
+                if (!response.ok) {
+                    const body = await response.json().catch(() => null);
+                    if (body && body.errors) {
+                        this.validator.applyErrors(body.errors);
+                    }
+                    this.notify((body && body.message) || 'Something went wrong. Please try again.', 'error');
+                    return;
+                }
+
+                // Show success state
+                this.submissionKey = null;
+                this.form.classList.add('hidden');
+                this.successDiv.classList.remove('hidden');
+
+            } catch (error) {
+                // Form submission error occurred
+                this.notify('Something went wrong. Please try again.', 'error');
+            } finally {
+                this.submitBtn.disabled = false;
+                this.submitBtn.innerHTML = '<i class="fas fa-paper-plane mr-2" aria-hidden="true"></i>Send Message';
+            }
+        }
+
+        buildPayload() {
+            const data = Object.fromEntries(new FormData(this.form).entries());
+            return {
+                version: CONTACT_PAYLOAD_VERSION,
+                submittedAt: new Date().toISOString(),
+                contact: {
+                    firstName: (data.firstName || '').trim(),
+                    lastName: (data.lastName || '').trim(),
+                    email: (data.email || '').trim(),
+                    phone: FormValidation.normalizePhone(data.phone) || null,
+                    subject: data.subject || '',
+                    message: (data.message || '').trim(),
+                    newsletter: data.newsletter === 'on'
+                }
+            };
+        }
+
+        getSubmissionKey() {
+            if (!this.submissionKey) {
+                this.submissionKey = OfflineQueue.createIdempotencyKey();
+            }
+            return this.submissionKey;
+        }
+
+        // Keep the message in the offline outbox for the service worker to send later
+        async queueMessage(payload) {
+            if (typeof indexedDB === 'undefined') return false;
+
+            try {
+                await OfflineQueue.enqueue({
+                    id: this.getSubmissionKey(),
+                    kind: 'contact',
+                    endpoint: contactEndpoint(),
+                    payload
+                });
+            } catch (error) {
+                return false;
+            }
+
+            this.submissionKey = null;
+            this.form.reset();
+            this.notify("You're offline. We saved your message and will send it when you reconnect.", 'info');
+            OfflineQueue.requestReplay().catch(() => {});
+            return true;
+        }
+
+        // Queued messages are delivered by the service worker, or by this page when none controls it
+        async replayQueue() {
+            if (typeof indexedDB === 'undefined' || !navigator.onLine) return;
+
+            try {
+                await OfflineQueue.replay((message) => this.handleOutboxMessage(message));
+            } catch (error) {
+                // Nothing to do; the queue is retried on the next visit
+            }
+        }
+
+        handleOutboxMessage(message) {
+            if (message.kind !== 'contact') return;
+
+            if (message.type === 'SYNC_COMPLETE') {
+                this.notify('Your message has been sent.', 'success');
+            } else if (message.type === 'SYNC_FAILED') {
+                this.notify("We couldn't send the message you wrote offline. Please try again.", 'error');
+            }
+        }
+    }
+
+    // Live chat isn't staffed yet
+    function openLiveChat() {
+        alert('Live chat feature coming soon! For now, please use email or phone support.');
+    }
+
+    root.ContactForm = ContactForm;
+    if (root.PropGridComponents) {
+        root.PropGridComponents.define('contactForm', {
+            create: context => new ContactForm(context),
+            fallback: "The contact form couldn't load. You can still email support@propgrid.com."
+        });
+        root.PropGridComponents.define('liveChat', {
+            create: ({ root: button, listen }) => {
+                listen(button, 'click', openLiveChat);
+                return { open: openLiveChat };
+            }
+        });
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ContactForm;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
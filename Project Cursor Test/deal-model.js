@@ -0,0 +1,200 @@
+/**
+ * PropGrid Deal Model
+ * Turns raw feed entries (deals.json) into deal objects with computed metrics
+ * (NOI, cap rate, cash-on-cash, monthly cash flow) and derives display badges
+ * from those numbers and the deal's tags. Shared by the page, the service
+ * worker and Node scripts.
+ */
+
+(function (root) {
+    // Financing assumed when a deal doesn't specify its own
+    const DEFAULT_FINANCING = {
+        downPaymentRate: 0.25,
+        interestRate: 0.07,
+        termYears: 30,
+        closingCostRate: 0.03
+    };
+
+    // Metric thresholds the badges below are judged against
+    const thresholds = {
+        highCashOnCash: 0.08,
+        strongCapRate: 0.08
+    };
+
+    // Badge rules, checked in order. test(deal, thresholds) decides whether the badge shows.
+    const badgeRules = [
+        {
+            id: 'high-cash-flow',
+            label: 'High Cash Flow',
+            className: 'bg-green-100 text-green-700',
+            test: (deal, limits) => deal.metrics.cashOnCash !== null && deal.metrics.cashOnCash >= limits.highCashOnCash
+        },
+        {
+            id: 'strong-cap-rate',
+            label: 'Strong Cap Rate',
+            className: 'bg-blue-100 text-blue-700',
+            test: (deal, limits) => deal.metrics.capRate !== null && deal.metrics.capRate >= limits.strongCapRate
+        },
+        {
+            id: 'off-market',
+            label: 'Off-Market',
+            className: 'bg-purple-100 text-purple-700',
+            test: deal => deal.tags.includes('off-market')
+        },
+        {
+            id: 'distressed',
+            label: 'Distressed',
+            className: 'bg-orange-100 text-orange-700',
+            test: deal => deal.tags.includes('distressed')
+        },
+        {
+            id: 'value-add',
+            label: 'Value-Add',
+            className: 'bg-teal-100 text-teal-700',
+            test: deal => deal.tags.includes('value-add')
+        },
+        {
+            id: 'development',
+            label: 'Development',
+            className: 'bg-indigo-100 text-indigo-700',
+            test: deal => deal.tags.includes('development')
+        }
+    ];
+
+    const Underwriting = root.Underwriting || require('./underwriting.js');
+
+    function toNumber(value) {
+        const number = Number(value);
+        return value === null || value === undefined || value === '' || !Number.isFinite(number) ? null : number;
+    }
+
+    /**
+     * Compute the headline metrics for a deal. Explicit capRate/cashOnCash values
+     * in the feed win over computed ones (e.g. for deals quoted by the seller).
+     * @param {Object} deal - Normalised deal
+     * @returns {Object} { noi, capRate, cashOnCash, monthlyCashFlow, totalCashInvested }
+     */
+    function computeMetrics(deal) {
+        const financing = deal.financing;
+        const metrics = {
+            noi: null,
+            capRate: toNumber(deal.capRate),
+            cashOnCash: toNumber(deal.cashOnCash),
+            monthlyCashFlow: null,
+            totalCashInvested: null
+        };
+
+        if (deal.price === null || deal.monthlyRent === null) {
+            return metrics;
+        }
+
+        const analysis = Underwriting.analyze(Object.assign({}, financing, {
+            price: deal.price,
+            monthlyRent: deal.monthlyRent,
+            monthlyExpenses: deal.monthlyExpenses || 0,
+            rehabCost: deal.rehabCost || 0
+        }));
+
+        metrics.noi = Math.round(analysis.noi);
+        metrics.monthlyCashFlow = Math.round(analysis.monthlyCashFlow);
+        metrics.totalCashInvested = Math.round(analysis.totalCashInvested);
+        if (metrics.capRate === null) {
+            metrics.capRate = analysis.capRate;
+        }
+        if (metrics.cashOnCash === null) {
+            metrics.cashOnCash = analysis.cashOnCash;
+        }
+        return metrics;
+    }
+
+    /**
+     * Calculator inputs for a deal, so the underwriting widget can be prefilled from a card
+     * @param {Object} deal - Normalised deal
+     * @returns {Object} Inputs for Underwriting.analyze()
+     */
+    function toUnderwritingInputs(deal) {
+        return Object.assign({}, deal.financing, {
+            price: deal.price || 0,
+            monthlyRent: deal.monthlyRent || 0,
+            monthlyExpenses: deal.monthlyExpenses || 0,
+            rehabCost: deal.rehabCost || 0
+        });
+    }
+
+    const DealModel = {
+        DEFAULT_FINANCING,
+        thresholds,
+        badgeRules,
+
+        /**
+         * Normalise a raw feed entry into a deal with metrics and badges
+         * @param {Object} raw - Entry from the deal feed
+         * @returns {Object} The deal
+         */
+        create(raw) {
+            const deal = Object.assign({}, raw, {
+                id: String(raw.id),
+                city: raw.city || null,
+                propertyType: raw.propertyType || null,
+                price: toNumber(raw.price),
+                monthlyRent: toNumber(raw.monthlyRent),
+                monthlyExpenses: toNumber(raw.monthlyExpenses),
+                rehabCost: toNumber(raw.rehabCost),
+                arv: toNumber(raw.arv),
+                strategies: [].concat(raw.strategies || raw.strategy || []),
+                tags: [].concat(raw.tags || []).map(tag => String(tag).toLowerCase()),
+                photos: [].concat(raw.photos || []),
+                financing: Object.assign({}, DEFAULT_FINANCING, raw.financing || {})
+            });
+            deal.metrics = computeMetrics(deal);
+            deal.badges = this.getBadges(deal);
+            return deal;
+        },
+
+        /**
+         * @param {Object} deal - Deal with metrics
+         * @returns {Array} Matching badge rules ({ id, label, className })
+         */
+        getBadges(deal) {
+            return badgeRules
+                .filter(rule => rule.test(deal, thresholds))
+                .map(({ id, label, className }) => ({ id, label, className }));
+        },
+
+        /**
+         * Register a new badge type
+         * @param {Object} rule - { id, label, className, test(deal, thresholds) }
+         */
+        addBadge(rule) {
+            badgeRules.push(rule);
+        },
+
+        computeMetrics,
+        toUnderwritingInputs,
+        monthlyPayment: Underwriting.mortgagePayment,
+
+        formatCurrency(value) {
+            if (value === null || value === undefined) return '—';
+            const sign = value < 0 ? '-' : '';
+            // Round before picking the unit, so 999,999 reads "$1M" rather than "$1000k"
+            const dollars = Math.round(Math.abs(value));
+            const thousands = Math.round(dollars / 1000);
+            if (thousands >= 1000) {
+                const millions = Math.round(dollars / 10000) / 100;
+                return `${sign}$${Number.isInteger(millions) ? millions : millions.toFixed(2)}M`;
+            }
+            if (dollars >= 1000) return `${sign}$${thousands}k`;
+            return `${sign}$${dollars}`;
+        },
+
+        formatPercent(value, digits = 1) {
+            if (value === null || value === undefined) return '—';
+            return `${(value * 100).toFixed(digits)}%`;
+        }
+    };
+
+    root.DealModel = DealModel;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DealModel;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,741 @@
+/**
+ * PropGrid Local Development Server
+ * Serves the static site and stands in for the /api endpoints so forms can be
+ * exercised end to end without any live service. Data is persisted as JSON
+ * files under .data/ next to this script.
+ *
+ * Usage: node dev-server.js [port]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FormValidation = require('./validation.js');
+const DealModel = require('./deal-model.js');
+const DealMatching = require('./matching.js');
+const PropGridPlans = require('./plans.js');
+const WebPush = require('./web-push.js');
+const PropGridAnalytics = require('./analytics.js');
+const PropGridVitals = require('./web-vitals.js');
+const PropGridErrors = require('./error-reporter.js');
+
+const ROOT = __dirname;
+const DATA_DIR = path.join(ROOT, '.data');
+const PORT = Number(process.argv[2] || process.env.PORT || 8000);
+const MAX_BODY_BYTES = 1024 * 1024;
+// Oldest analytics events are dropped beyond this many
+const MAX_ANALYTICS_EVENTS = 20000;
+const MAX_VITALS_REPORTS = 5000;
+const MAX_ERROR_REPORTS = 5000;
+
+// Payload versions this stand-in understands (SIGNUP_PAYLOAD_VERSION in script.js,
+// CONTACT_PAYLOAD_VERSION in contact.html)
+const SUPPORTED_SIGNUP_VERSIONS = [1];
+const SUPPORTED_CONTACT_VERSIONS = [1];
+
+// Contact the push services can reach us at (part of every VAPID token)
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:support@propgrid.com';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.jsx': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+// --- JSON file store ---
+
+function readStore(name) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${name}.json`), 'utf8'));
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeStore(name, records) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(path.join(DATA_DIR, `${name}.json`), JSON.stringify(records, null, 2));
+}
+
+// --- HTTP helpers ---
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+// Replays of a queued submission carry the same Idempotency-Key header
+function findReplay(records, req) {
+    const key = req.headers['idempotency-key'];
+    return key ? records.find(record => record.idempotencyKey === key) : null;
+}
+
+// --- API handlers ---
+
+// Server-side rules mirror the ones the forms apply (see validation.js)
+const NAME_RULES = ['required', { rule: 'minLength', value: 2, message: 'Name must be at least 2 characters long' }];
+
+const SIGNUP_RULES = {
+    firstName: NAME_RULES,
+    lastName: NAME_RULES,
+    email: ['required', 'email'],
+    experience: [{ rule: 'required', message: 'Please select your investment experience level' }],
+    plan: [{ rule: 'oneOf', value: Object.keys(PropGridPlans.PLANS), message: 'Please choose the Free or Pro plan' }]
+};
+
+const CONTACT_RULES = {
+    firstName: ['required'],
+    lastName: ['required'],
+    email: ['required', 'email'],
+    phone: ['phone'],
+    subject: ['required'],
+    message: ['required']
+};
+
+async function handleSignup(req, res) {
+    const payload = await readJsonBody(req);
+
+    if (!SUPPORTED_SIGNUP_VERSIONS.includes(payload.version)) {
+        sendJson(res, 400, { message: `Unsupported signup payload version: ${payload.version}` });
+        return;
+    }
+
+    const signups = readStore('signups');
+    const replay = findReplay(signups, req);
+    if (replay) {
+        sendJson(res, 200, { id: replay.id, duplicate: true, subscription: replay.subscription || null });
+        return;
+    }
+
+    const signup = payload.signup || {};
+    const { errors } = FormValidation.validate(signup, SIGNUP_RULES);
+
+    const email = String(signup.email || '').trim().toLowerCase();
+    if (!errors.email && signups.some(record => record.email === email)) {
+        errors.email = 'This email is already on the early access list';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { message: 'Please fix the highlighted fields.', errors });
+        return;
+    }
+
+    // Form fields first, so a client can't set the id, subscription or other server-owned fields
+    const record = {
+        ...signup,
+        id: crypto.randomUUID(),
+        receivedAt: new Date().toISOString(),
+        version: payload.version,
+        submittedAt: payload.submittedAt || null,
+        source: payload.source || null,
+        idempotencyKey: req.headers['idempotency-key'] || null,
+        email,
+        subscription: PropGridPlans.createSubscription(signup.plan)
+    };
+    signups.push(record);
+    writeStore('signups', signups);
+
+    sendJson(res, 201, { id: record.id, subscription: record.subscription });
+}
+
+async function handleContact(req, res) {
+    const payload = await readJsonBody(req);
+
+    if (!SUPPORTED_CONTACT_VERSIONS.includes(payload.version)) {
+        sendJson(res, 400, { message: `Unsupported contact payload version: ${payload.version}` });
+        return;
+    }
+
+    const messages = readStore('contact-messages');
+    const replay = findReplay(messages, req);
+    if (replay) {
+        sendJson(res, 200, { id: replay.id, duplicate: true });
+        return;
+    }
+
+    const contact = payload.contact || {};
+    const { errors } = FormValidation.validate(contact, CONTACT_RULES);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { message: 'Please fix the highlighted fields.', errors });
+        return;
+    }
+
+    // Form fields first, so a client can't set the id or other server-owned fields
+    const record = {
+        ...contact,
+        id: crypto.randomUUID(),
+        receivedAt: new Date().toISOString(),
+        version: payload.version,
+        submittedAt: payload.submittedAt || null,
+        idempotencyKey: req.headers['idempotency-key'] || null
+    };
+    messages.push(record);
+    writeStore('contact-messages', messages);
+
+    sendJson(res, 201, { id: record.id });
+}
+
+function loadDeals() {
+    const feed = JSON.parse(fs.readFileSync(path.join(ROOT, 'deals.json'), 'utf8'));
+    return (Array.isArray(feed) ? feed : feed.deals).map(deal => DealModel.create(deal));
+}
+
+// Curation helper: ?deal=<id> ranks signups for a deal, ?subscriber=<id or email> ranks deals
+// for a signup. Add &all=1 to include non-matches with their reasons.
+async function handleMatches(req, res) {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const options = { includeUnmatched: searchParams.get('all') === '1' };
+    const signups = readStore('signups');
+    const deals = loadDeals();
+
+    if (searchParams.has('deal')) {
+        const deal = deals.find(item => item.id === searchParams.get('deal'));
+        if (!deal) {
+            sendJson(res, 404, { message: `Unknown deal: ${searchParams.get('deal')}` });
+            return;
+        }
+        const matches = DealMatching.subscribersForDeal(deal, signups, options).map(({ profile, score, matched, reasons }) => ({
+            subscriberId: profile.id,
+            email: profile.email,
+            score,
+            matched,
+            reasons
+        }));
+        sendJson(res, 200, { deal: deal.id, matches });
+        return;
+    }
+
+    if (searchParams.has('subscriber')) {
+        const key = searchParams.get('subscriber').trim().toLowerCase();
+        const subscriber = signups.find(record => record.id === key || record.email === key);
+        if (!subscriber) {
+            sendJson(res, 404, { message: `Unknown subscriber: ${key}` });
+            return;
+        }
+        const matches = DealMatching.match(subscriber, deals, options).map(({ deal, score, matched, reasons }) => ({
+            dealId: deal.id,
+            subject: deal.subject,
+            score,
+            matched,
+            reasons
+        }));
+        sendJson(res, 200, { subscriber: subscriber.id, matches });
+        return;
+    }
+
+    sendJson(res, 400, { message: 'Pass ?deal=<id> or ?subscriber=<id or email>' });
+}
+
+// Weekly send: match every signup against the feed and record what fits in their plan's
+// allotment. ?dryRun=1 previews the selection without recording it.
+async function handleDeliveryRun(req, res) {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const dryRun = searchParams.get('dryRun') === '1';
+    const now = new Date();
+    const deals = loadDeals();
+    const deliveries = readStore('deliveries');
+
+    const results = readStore('signups').map(signup => {
+        // Signups stored before plans existed are on Free
+        const subscription = signup.subscription || PropGridPlans.createSubscription(PropGridPlans.DEFAULT_PLAN, signup.receivedAt);
+        const history = deliveries.filter(delivery => delivery.subscriberId === signup.id);
+        const { send, held, state } = PropGridPlans.selectDeliveries(subscription, DealMatching.match(signup, deals), {
+            now,
+            deliveries: history
+        });
+
+        send.forEach(({ deal, score }) => {
+            deliveries.push({
+                id: crypto.randomUUID(),
+                subscriberId: signup.id,
+                dealId: deal.id,
+                score,
+                sentAt: now.toISOString()
+            });
+        });
+
+        return {
+            subscriberId: signup.id,
+            email: signup.email,
+            tier: state.tier,
+            status: state.status,
+            sent: send.map(result => result.deal.id),
+            held: held.map(result => result.deal.id)
+        };
+    });
+
+    if (!dryRun) {
+        writeStore('deliveries', deliveries);
+
+        // Subscribers who turned on deal alerts also get each delivered deal as a push
+        const subscriptions = readStore('push-subscriptions');
+        for (const result of results) {
+            const own = subscriptions.filter(record => record.subscriberId === result.subscriberId);
+            for (const dealId of own.length > 0 ? result.sent : []) {
+                await pushDeal(deals.find(deal => deal.id === dealId), own);
+            }
+        }
+    }
+    sendJson(res, 200, { dryRun, results });
+}
+
+// --- Web Push ---
+
+// VAPID keys come from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY, or are generated once into .data/vapid.json.
+// Changing them invalidates every stored subscription.
+let vapidKeys = null;
+
+function getVapidKeys() {
+    if (vapidKeys) return vapidKeys;
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        vapidKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+        return vapidKeys;
+    }
+
+    const stored = readStore('vapid');
+    vapidKeys = stored && stored.publicKey ? stored : WebPush.generateVAPIDKeys();
+    if (vapidKeys !== stored) {
+        writeStore('vapid', vapidKeys);
+    }
+    return vapidKeys;
+}
+
+// Structured deal alert, rendered into a notification by the push handler in sw.js
+function dealPushPayload(deal) {
+    return {
+        type: 'deal',
+        dealId: deal.id,
+        title: deal.subject,
+        body: deal.preview || '',
+        metrics: {
+            price: deal.price,
+            capRate: deal.metrics.capRate,
+            cashOnCash: deal.metrics.cashOnCash,
+            monthlyCashFlow: deal.metrics.monthlyCashFlow
+        },
+        image: deal.photos[0] || '/og-image.png',
+        url: `/?deal=${encodeURIComponent(deal.id)}`
+    };
+}
+
+/**
+ * Push a deal to subscriptions, dropping any the push service reports as gone
+ * @param {Object} deal
+ * @param {Array} subscriptions - Stored push-subscriptions records
+ * @returns {Promise<Object>} { sent, failed, removed }
+ */
+async function pushDeal(deal, subscriptions) {
+    const payload = dealPushPayload(deal);
+    const expired = [];
+    let sent = 0;
+    let failed = 0;
+
+    await Promise.all(subscriptions.map(async (record) => {
+        try {
+            const result = await WebPush.sendNotification(record.subscription, payload, {
+                vapidKeys: getVapidKeys(),
+                subject: VAPID_SUBJECT
+            });
+            if (result.expired) {
+                expired.push(record.subscription.endpoint);
+            } else {
+                sent++;
+            }
+        } catch (error) {
+            failed++;
+            console.warn(`⚠️ Push to ${new URL(record.subscription.endpoint).host} failed: ${error.message}`);
+        }
+    }));
+
+    if (expired.length > 0) {
+        writeStore('push-subscriptions', readStore('push-subscriptions')
+            .filter(record => !expired.includes(record.subscription.endpoint)));
+    }
+    return { sent, failed, removed: expired.length };
+}
+
+async function handlePushPublicKey(req, res) {
+    sendJson(res, 200, { publicKey: getVapidKeys().publicKey });
+}
+
+// Body: { subscription: PushSubscription JSON, subscriberId }. Re-subscribing the same endpoint updates it.
+async function handlePushSubscribe(req, res) {
+    const payload = await readJsonBody(req);
+    const subscription = payload.subscription || {};
+    const keys = subscription.keys || {};
+
+    if (!/^https:\/\//.test(subscription.endpoint || '') || !keys.p256dh || !keys.auth) {
+        sendJson(res, 422, { message: 'A push subscription needs an https endpoint and p256dh/auth keys.' });
+        return;
+    }
+
+    const subscriptions = readStore('push-subscriptions');
+    const existing = subscriptions.find(record => record.subscription.endpoint === subscription.endpoint);
+    const record = Object.assign(existing || { id: crypto.randomUUID(), createdAt: new Date().toISOString() }, {
+        subscriberId: payload.subscriberId || (existing && existing.subscriberId) || null,
+        subscription: { endpoint: subscription.endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+        updatedAt: new Date().toISOString()
+    });
+    if (!existing) {
+        subscriptions.push(record);
+    }
+    writeStore('push-subscriptions', subscriptions);
+
+    sendJson(res, existing ? 200 : 201, { id: record.id });
+}
+
+// Body: { endpoint }
+async function handlePushUnsubscribe(req, res) {
+    const { endpoint } = await readJsonBody(req);
+    const subscriptions = readStore('push-subscriptions');
+    const remaining = subscriptions.filter(record => record.subscription.endpoint !== endpoint);
+    writeStore('push-subscriptions', remaining);
+
+    sendJson(res, 200, { removed: remaining.length < subscriptions.length });
+}
+
+// Curation helper: ?deal=<id> pushes a deal to the subscribers it matches. Add &all=1 to push
+// it to every subscription, including ones not linked to a signup.
+async function handlePushSend(req, res) {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const deal = loadDeals().find(item => item.id === searchParams.get('deal'));
+    if (!deal) {
+        sendJson(res, 404, { message: `Unknown deal: ${searchParams.get('deal')}` });
+        return;
+    }
+
+    let subscriptions = readStore('push-subscriptions');
+    if (searchParams.get('all') !== '1') {
+        const matched = DealMatching.subscribersForDeal(deal, readStore('signups')).map(result => result.profile.id);
+        subscriptions = subscriptions.filter(record => matched.includes(record.subscriberId));
+    }
+
+    const result = await pushDeal(deal, subscriptions);
+    sendJson(res, 200, Object.assign({ deal: deal.id }, result));
+}
+
+// Collector for the 'beacon' analytics adapter. Body: [{ name, url, domain, referrer, props, timestamp, session }].
+// Events that don't match the catalog in analytics.js are counted as rejected and not stored.
+async function handleAnalyticsCollect(req, res) {
+    const payload = await readJsonBody(req);
+    const events = Array.isArray(payload) ? payload : [payload];
+    const receivedAt = new Date().toISOString();
+
+    const accepted = events
+        .filter(event => event && PropGridAnalytics.validate(event.name, event.props || {}).length === 0)
+        .map(event => ({
+            name: event.name,
+            props: event.props || {},
+            url: event.url || null,
+            session: event.session || null,
+            timestamp: Number(event.timestamp) || Date.now(),
+            receivedAt
+        }));
+
+    if (accepted.length > 0) {
+        writeStore('analytics-events', readStore('analytics-events').concat(accepted).slice(-MAX_ANALYTICS_EVENTS));
+    }
+    sendJson(res, 202, { accepted: accepted.length, rejected: events.length - accepted.length });
+}
+
+// The raw event log the funnel dashboard (funnel-dashboard.html) reads. ?name=<event> filters it.
+async function handleAnalyticsLog(req, res) {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const name = searchParams.get('name');
+    const events = readStore('analytics-events');
+    sendJson(res, 200, { events: name ? events.filter(event => event.name === name) : events });
+}
+
+// Collector for PerformanceMonitor's page-hide beacon. Body: { url, navigationType, connection, timestamp,
+// metrics: { LCP, INP, CLS, TTFB }, budgetViolations } with each metric { value, rating, attribution } and
+// budgetViolations the [{ metric, value, budget }] the page found against performance-budgets.json.
+async function handleVitalsCollect(req, res) {
+    const report = await readJsonBody(req);
+    const metrics = {};
+    Object.entries(report.metrics || {}).forEach(([name, metric]) => {
+        if (PropGridVitals.THRESHOLDS[name] && metric && Number.isFinite(metric.value)) {
+            // Re-rate on the server so a stale client can't skew the summary
+            metrics[name] = { value: metric.value, rating: PropGridVitals.rate(name, metric.value), attribution: metric.attribution || null };
+        }
+    });
+
+    if (Object.keys(metrics).length === 0) {
+        sendJson(res, 422, { message: 'A vitals report needs at least one of LCP, INP, CLS or TTFB.' });
+        return;
+    }
+
+    const record = {
+        id: crypto.randomUUID(),
+        url: report.url || null,
+        navigationType: report.navigationType || null,
+        connection: report.connection || null,
+        userAgent: req.headers['user-agent'] || null,
+        timestamp: Number(report.timestamp) || Date.now(),
+        receivedAt: new Date().toISOString(),
+        metrics,
+        budgetViolations: Array.isArray(report.budgetViolations)
+            ? report.budgetViolations.filter(item => item && typeof item.metric === 'string' && Number.isFinite(item.value))
+            : []
+    };
+    writeStore('vitals', readStore('vitals').concat(record).slice(-MAX_VITALS_REPORTS));
+    sendJson(res, 202, { id: record.id });
+}
+
+// Collected reports plus the p75 of each metric, the figure Core Web Vitals are judged on. ?url=/path filters by page.
+async function handleVitalsLog(req, res) {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const url = searchParams.get('url');
+    const reports = readStore('vitals').filter(report => !url || report.url === url);
+
+    const summary = {};
+    Object.keys(PropGridVitals.THRESHOLDS).forEach(name => {
+        const values = reports.filter(report => report.metrics[name]).map(report => report.metrics[name].value);
+        const p75 = PropGridVitals.percentile(values, 75);
+        summary[name] = { count: values.length, p75, rating: PropGridVitals.rate(name, p75) };
+    });
+
+    sendJson(res, 200, { summary, reports });
+}
+
+// Decoded source maps by script path, reloaded when the script changes
+const sourceMaps = new Map();
+
+// Mappings for a site script from its sourceMappingURL comment (a file or data: URL) or a .map file beside it
+function loadSourceMap(file) {
+    const filePath = path.normalize(path.join(ROOT, file));
+    if (!file.startsWith('/') || !filePath.startsWith(ROOT + path.sep) || filePath.startsWith(DATA_DIR)) return null;
+
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch (error) {
+        return null;
+    }
+    const cached = sourceMaps.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.mappings;
+
+    let mappings = null;
+    try {
+        const source = fs.readFileSync(filePath, 'utf8');
+        const reference = /\/\/[#@] sourceMappingURL=(\S+)\s*$/.exec(source);
+        let map = null;
+        if (reference && reference[1].startsWith('data:')) {
+            map = JSON.parse(Buffer.from(reference[1].slice(reference[1].indexOf(',') + 1), 'base64').toString('utf8'));
+        } else {
+            const mapPath = reference ? path.join(path.dirname(filePath), reference[1]) : `${filePath}.map`;
+            if (mapPath.startsWith(ROOT + path.sep) && fs.existsSync(mapPath)) {
+                map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+            }
+        }
+        mappings = map ? PropGridErrors.parseSourceMap(map) : null;
+    } catch (error) {
+        console.warn(`⚠️ Could not read the source map for ${file}:`, error.message);
+    }
+    sourceMaps.set(filePath, { mtimeMs: stat.mtimeMs, mappings });
+    return mappings;
+}
+
+// Collector for error-reporter.js. Body: { id, type, message, frames: [{ function, file, line, column }],
+// fingerprint, mechanism, handled, release, url, userAgent, timestamp, session, context, breadcrumbs, suppressed, dropped }.
+// Frames are mapped back to original source where a source map exists and the report is regrouped by them.
+async function handleErrorCollect(req, res) {
+    const report = await readJsonBody(req);
+    if (typeof report.type !== 'string' || typeof report.message !== 'string') {
+        sendJson(res, 422, { message: 'An error report needs a type and a message.' });
+        return;
+    }
+
+    const frames = (Array.isArray(report.frames) ? report.frames : [])
+        .filter(frame => frame && typeof frame.file === 'string' && Number.isFinite(frame.line) && Number.isFinite(frame.column))
+        .slice(0, 50)
+        .map(frame => {
+            const mappings = loadSourceMap(frame.file);
+            const original = mappings ? PropGridErrors.originalFrame(mappings, frame) : null;
+            const generated = { function: String(frame.function || '?'), file: frame.file, line: frame.line, column: frame.column };
+            return original ? Object.assign(original, { generated }) : generated;
+        });
+
+    const record = {
+        id: typeof report.id === 'string' ? report.id : crypto.randomUUID(),
+        fingerprint: PropGridErrors.fingerprint({ type: report.type, message: report.message, frames }),
+        type: report.type,
+        message: report.message.slice(0, 1000),
+        frames,
+        mechanism: report.mechanism || null,
+        handled: Boolean(report.handled),
+        release: report.release || null,
+        url: report.url || null,
+        userAgent: req.headers['user-agent'] || null,
+        session: report.session || null,
+        timestamp: Number(report.timestamp) || Date.now(),
+        receivedAt: new Date().toISOString(),
+        context: report.context && typeof report.context === 'object' ? report.context : {},
+        breadcrumbs: Array.isArray(report.breadcrumbs) ? report.breadcrumbs.slice(-100) : [],
+        // This report stands for itself plus the repeats the page held back
+        occurrences: 1 + (Number(report.suppressed) || 0),
+        dropped: Number(report.dropped) || 0
+    };
+    writeStore('errors', readStore('errors').concat(record).slice(-MAX_ERROR_REPORTS));
+    sendJson(res, 202, { id: record.id, fingerprint: record.fingerprint });
+}
+
+// Reports grouped by fingerprint, most recent first. ?fingerprint= returns that group's reports instead.
+async function handleErrorLog(req, res) {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const fingerprint = searchParams.get('fingerprint');
+    const reports = readStore('errors');
+    if (fingerprint) {
+        sendJson(res, 200, { reports: reports.filter(report => report.fingerprint === fingerprint) });
+        return;
+    }
+
+    const groups = new Map();
+    reports.forEach(report => {
+        const group = groups.get(report.fingerprint);
+        if (!group) {
+            const culprit = report.frames.find(frame => frame.file.startsWith('/')) || report.frames[0];
+            groups.set(report.fingerprint, {
+                fingerprint: report.fingerprint,
+                type: report.type,
+                message: report.message,
+                culprit: culprit ? `${culprit.function} (${culprit.file}:${culprit.line}:${culprit.column})` : null,
+                count: report.occurrences,
+                firstSeen: report.receivedAt,
+                lastSeen: report.receivedAt,
+                releases: report.release ? [report.release] : [],
+                lastReportId: report.id
+            });
+            return;
+        }
+        group.count += report.occurrences;
+        group.lastSeen = report.receivedAt;
+        group.lastReportId = report.id;
+        if (report.release && !group.releases.includes(report.release)) group.releases.push(report.release);
+    });
+
+    sendJson(res, 200, { groups: [...groups.values()].sort((a, b) => b.lastSeen.localeCompare(a.lastSeen)) });
+}
+
+const routes = {
+    'POST /api/signup': handleSignup,
+    'POST /api/contact': handleContact,
+    'GET /api/matches': handleMatches,
+    'POST /api/deliveries/run': handleDeliveryRun,
+    'GET /api/push/public-key': handlePushPublicKey,
+    'POST /api/push/subscribe': handlePushSubscribe,
+    'POST /api/push/unsubscribe': handlePushUnsubscribe,
+    'POST /api/push/send': handlePushSend,
+    'POST /api/analytics': handleAnalyticsCollect,
+    'GET /api/analytics': handleAnalyticsLog,
+    'POST /api/vitals': handleVitalsCollect,
+    'GET /api/vitals': handleVitalsLog,
+    'POST /api/errors': handleErrorCollect,
+    'GET /api/errors': handleErrorLog
+};
+
+// --- Static files ---
+
+function serveStatic(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    const relativePath = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    const filePath = path.normalize(path.join(ROOT, relativePath));
+
+    // Never serve anything outside the site root or from the data directory
+    if (!filePath.startsWith(ROOT + path.sep) || filePath.startsWith(DATA_DIR)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, contents) => {
+        if (error) {
+            fs.readFile(path.join(ROOT, '404.html'), (notFoundError, notFoundPage) => {
+                res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+                res.end(notFoundError ? 'Not Found' : notFoundPage);
+            });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(contents);
+    });
+}
+
+// --- Server ---
+
+const server = http.createServer(async (req, res) => {
+    let pathname = req.url;
+
+    try {
+        // A malformed Host header or percent-encoding throws here or in serveStatic
+        pathname = new URL(req.url, `http://${req.headers.host}`).pathname;
+        const handler = routes[`${req.method} ${pathname}`];
+
+        if (!handler) {
+            if (pathname.startsWith('/api/')) {
+                sendJson(res, 404, { message: `No route for ${req.method} ${pathname}` });
+                return;
+            }
+            serveStatic(req, res);
+            return;
+        }
+
+        await handler(req, res);
+    } catch (error) {
+        const isBadUrl = error instanceof URIError || (error instanceof TypeError && error.code === 'ERR_INVALID_URL');
+        const status = isBadUrl ? 400 : error.status || 500;
+        if (status === 500) {
+            console.error(`❌ ${req.method} ${pathname} failed:`, error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, status, { message: status === 500 ? 'Internal server error' : isBadUrl ? 'Bad request' : error.message });
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🏠 PropGrid dev server running at http://localhost:${PORT}`);
+    console.log(`📁 API data is stored in ${DATA_DIR}`);
+});
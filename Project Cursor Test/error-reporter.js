@@ -0,0 +1,390 @@
+/**
+ * PropGrid Error Reporter
+ * One capture path for errors: stacks are parsed into frames, grouped by a
+ * fingerprint, sent with the breadcrumbs (clicks, navigation, failed resource
+ * loads, form steps) that led up to them, and rate limited so a loop can't
+ * flood the collector. Reports only leave the page while the visitor allows
+ * error reporting (see consent.js). dev-server.js shares the stack and
+ * source map helpers to group reports by original source positions.
+ */
+
+(function (root) {
+    const DEFAULT_MAX_BREADCRUMBS = 30;
+    const DEFAULT_RATE_LIMIT = { max: 10, interval: 60000 }; // Reports per rolling interval (ms)
+    const DEFAULT_DEDUPE_INTERVAL = 60000; // ms a repeat of the same error is counted instead of sent
+    const MAX_FRAMES = 50;
+    const FINGERPRINT_FRAMES = 5;
+
+    // "    at fn (https://host/script.js:10:5)", "    at https://host/script.js:10:5"
+    const V8_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+    // "fn@https://host/script.js:10:5" (Firefox, Safari)
+    const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+    // Cross-origin scripts without CORS report only this; there's nothing to group or fix
+    const IGNORED_MESSAGES = [/^Script error\.?$/];
+
+    const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    function warn(...args) {
+        if (typeof console !== 'undefined' && console.warn) {
+            console.warn('[Errors]', ...args);
+        }
+    }
+
+    // Same-origin URLs become paths ("/script.js"); query strings (cache busters) are dropped
+    function normalizeFile(url) {
+        const file = String(url).replace(/[?#].*$/, '');
+        const origin = root.location ? root.location.origin : null;
+        return origin && file.startsWith(`${origin}/`) ? file.slice(origin.length) : file;
+    }
+
+    // A map's relative source paths are relative to the generated file: ("/dist/app.js", "../src/app.js") -> "/src/app.js"
+    function resolveSource(generatedFile, source) {
+        if (/^([a-z][\w+.-]*:|\/)/i.test(source)) return source;
+        const parts = generatedFile.split('/').slice(0, -1).concat(source.split('/'));
+        const resolved = [];
+        parts.forEach(part => {
+            if (part === '..') resolved.pop();
+            else if (part !== '.' && part !== '') resolved.push(part);
+        });
+        return `/${resolved.join('/')}`;
+    }
+
+    /**
+     * @param {string} stack - Error.prototype.stack from V8, SpiderMonkey or JavaScriptCore
+     * @returns {Array} [{ function, file, line, column }], innermost first
+     */
+    function parseStack(stack) {
+        if (typeof stack !== 'string') return [];
+        return stack.split('\n').map(line => {
+            const match = V8_FRAME.exec(line) || GECKO_FRAME.exec(line);
+            if (!match || /^(native|<anonymous>)$/.test(match[2])) return null;
+            return {
+                function: match[1] ? match[1].replace(/^async /, '') : '?',
+                file: normalizeFile(match[2]),
+                line: Number(match[3]),
+                column: Number(match[4])
+            };
+        }).filter(Boolean).slice(0, MAX_FRAMES);
+    }
+
+    // Email addresses in messages never leave the page
+    function scrubMessage(message) {
+        return String(message).replace(/[^\s@'"]+@[^\s@'"]+\.[a-z]{2,}/gi, '<email>').slice(0, 1000);
+    }
+
+    // Numbers and ids vary between occurrences of the same bug
+    function groupingMessage(message) {
+        return scrubMessage(message)
+            .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+            .replace(/\b\d+(\.\d+)?\b/g, '<n>');
+    }
+
+    // FNV-1a, as 8 hex digits
+    function hash(text) {
+        let value = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            value ^= text.charCodeAt(i);
+            value = Math.imul(value, 0x01000193) >>> 0;
+        }
+        return value.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Group key for a report: its type, message and top in-app frames. Named frames are keyed by function,
+     * so edits elsewhere in the file don't split the group; anonymous ones fall back to their position.
+     * @param {Object} report - { type, message, frames }
+     * @returns {string}
+     */
+    function fingerprint(report) {
+        const frames = report.frames || [];
+        const inApp = frames.filter(frame => frame.file.startsWith('/'));
+        const keyFrames = (inApp.length > 0 ? inApp : frames).slice(0, FINGERPRINT_FRAMES)
+            .map(frame => `${frame.file}:${frame.function !== '?' ? frame.function : `${frame.line}:${frame.column}`}`);
+        return hash([report.type, groupingMessage(report.message)].concat(keyFrames).join('\n'));
+    }
+
+    // --- Source maps (v3) ---
+
+    function decodeVLQ(segment) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+        for (const character of segment) {
+            const digit = BASE64.indexOf(character);
+            value += (digit & 31) << shift;
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value & 1 ? -(value >> 1) : value >> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Decode a source map's mappings
+     * @param {Object} map - Parsed .map JSON ({ sources, names, mappings, sourceRoot })
+     * @returns {Array} Per generated line, [{ column, source, line, sourceColumn, name }] sorted by column (all 0-based)
+     */
+    function parseSourceMap(map) {
+        const state = { source: 0, line: 0, sourceColumn: 0, name: 0 };
+        const sourceRoot = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+        return String(map.mappings || '').split(';').map(lineMappings => {
+            let column = 0;
+            return lineMappings.split(',').filter(Boolean).map(segment => {
+                const values = decodeVLQ(segment);
+                column += values[0];
+                if (values.length < 4) return null;
+                state.source += values[1];
+                state.line += values[2];
+                state.sourceColumn += values[3];
+                if (values.length > 4) state.name += values[4];
+                return {
+                    column,
+                    source: sourceRoot + map.sources[state.source],
+                    line: state.line,
+                    sourceColumn: state.sourceColumn,
+                    name: values.length > 4 ? map.names[state.name] : null
+                };
+            }).filter(Boolean);
+        });
+    }
+
+    /**
+     * Original position of a frame
+     * @param {Array} mappings - From parseSourceMap()
+     * @param {Object} frame - { function, file, line, column } with 1-based line and column
+     * @returns {Object|null} The frame in original source, or null when the map doesn't cover it
+     */
+    function originalFrame(mappings, frame) {
+        const segments = mappings[frame.line - 1];
+        if (!segments) return null;
+        let match = null;
+        for (const segment of segments) {
+            if (segment.column > frame.column - 1) break;
+            match = segment;
+        }
+        if (!match) return null;
+        return {
+            function: match.name || frame.function,
+            file: resolveSource(frame.file, match.source),
+            line: match.line + 1,
+            column: match.sourceColumn + 1
+        };
+    }
+
+    // --- Breadcrumbs ---
+
+    // "button#next-btn", "a.btn-primary "Start Free Trial"" (text only for controls, never form values)
+    function describeElement(element) {
+        if (!element || !element.tagName) return 'unknown';
+        const tag = element.tagName.toLowerCase();
+        let description = element.id ? `${tag}#${element.id}` : tag;
+        const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+        if (!element.id && className) description += `.${className}`;
+        if (tag === 'a' || tag === 'button') {
+            const label = (element.getAttribute('aria-label') || element.textContent || '').trim().replace(/\s+/g, ' ');
+            if (label) description += ` "${label.slice(0, 40)}"`;
+        }
+        return description;
+    }
+
+    // Errors and everything else that can be thrown or rejected, as { type, message, frames }
+    function describeThrown(thrown, context) {
+        if (thrown && typeof thrown === 'object' && typeof thrown.message === 'string') {
+            const frames = parseStack(thrown.stack);
+            return { type: thrown.name || 'Error', message: thrown.message, frames };
+        }
+        let message;
+        try {
+            message = typeof thrown === 'string' ? thrown : JSON.stringify(thrown);
+        } catch (error) {
+            message = String(thrown);
+        }
+        // window.onerror without an Error still knows where it happened
+        const frames = context.filename
+            ? [{ function: '?', file: normalizeFile(context.filename), line: context.lineno || 0, column: context.colno || 0 }]
+            : [];
+        return { type: context.mechanism === 'onunhandledrejection' ? 'UnhandledRejection' : 'Error', message: String(message), frames };
+    }
+
+    function defaultTransport(endpoint) {
+        return (report) => {
+            const body = JSON.stringify(report);
+            const navigatorRef = root.navigator;
+            if (navigatorRef && typeof navigatorRef.sendBeacon === 'function' && typeof root.Blob === 'function') {
+                if (navigatorRef.sendBeacon(endpoint, new root.Blob([body], { type: 'application/json' }))) return;
+            }
+            if (typeof root.fetch === 'function') {
+                root.fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(error => warn('Report failed:', error));
+            }
+        };
+    }
+
+    /**
+     * New error reporter
+     * @param {Object} options - { endpoint, transport(report), consent(), release, maxBreadcrumbs, rateLimit: { max, interval },
+     *   dedupeInterval, beforeSend(report) } where consent defaults to PropGridConsent.has('errorReporting'),
+     *   transport to sendBeacon/fetch to endpoint, and beforeSend may edit a report or return null to drop it
+     * @returns {Object} { captureException, addBreadcrumb, getBreadcrumbs, install }
+     */
+    function createReporter(options = {}) {
+        const maxBreadcrumbs = options.maxBreadcrumbs || DEFAULT_MAX_BREADCRUMBS;
+        const rateLimit = Object.assign({}, DEFAULT_RATE_LIMIT, options.rateLimit);
+        const dedupeInterval = options.dedupeInterval === undefined ? DEFAULT_DEDUPE_INTERVAL : options.dedupeInterval;
+        const consent = options.consent || (() => Boolean(root.PropGridConsent && root.PropGridConsent.has('errorReporting')));
+        const transport = options.transport || (options.endpoint ? defaultTransport(options.endpoint) : null);
+        const sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+        const breadcrumbs = [];
+        const sentAt = []; // Send times within the current rate limit interval
+        const seen = new Map(); // fingerprint -> { lastSent, suppressed }
+        let dropped = 0; // Reports lost to the rate limit since the last one sent
+
+        function addBreadcrumb(category, message, data) {
+            breadcrumbs.push(Object.assign({ timestamp: Date.now(), category, message: String(message) }, data ? { data } : null));
+            if (breadcrumbs.length > maxBreadcrumbs) breadcrumbs.shift();
+        }
+
+        function rateLimited(now) {
+            while (sentAt.length > 0 && now - sentAt[0] >= rateLimit.interval) sentAt.shift();
+            return sentAt.length >= rateLimit.max;
+        }
+
+        const reporter = {
+            /**
+             * Report something that was thrown or rejected
+             * @param {*} thrown - Usually an Error; other values are reported by their JSON
+             * @param {Object} context - { mechanism: 'onerror'|'onunhandledrejection'|'manual'|..., handled,
+             *   filename, lineno, colno, ...extra } where extra keys are sent as report.context
+             * @returns {Object|null} The report, if it was sent
+             */
+            captureException(thrown, context = {}) {
+                const { mechanism = 'manual', handled = mechanism === 'manual', filename, lineno, colno, ...extra } = context;
+                const described = describeThrown(thrown, { mechanism, filename, lineno, colno });
+                if (IGNORED_MESSAGES.some(pattern => pattern.test(described.message))) return null;
+                if (!transport || !consent()) return null;
+
+                const now = Date.now();
+                const id = fingerprint(described);
+                const previous = seen.get(id);
+                if (previous && now - previous.lastSent < dedupeInterval) {
+                    previous.suppressed++;
+                    return null;
+                }
+                if (rateLimited(now)) {
+                    dropped++;
+                    return null;
+                }
+
+                let report = {
+                    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+                    type: described.type,
+                    message: scrubMessage(described.message),
+                    frames: described.frames,
+                    fingerprint: id,
+                    mechanism,
+                    handled,
+                    release: options.release || null,
+                    url: root.location ? root.location.pathname + root.location.hash : null,
+                    userAgent: root.navigator ? root.navigator.userAgent : null,
+                    timestamp: now,
+                    session: sessionId,
+                    context: extra,
+                    breadcrumbs: breadcrumbs.slice(),
+                    // Repeats of this error counted since it was last sent, and reports lost to the rate limit
+                    suppressed: previous ? previous.suppressed : 0,
+                    dropped
+                };
+                if (options.beforeSend) {
+                    report = options.beforeSend(report);
+                    if (!report) return null;
+                }
+
+                seen.set(id, { lastSent: now, suppressed: 0 });
+                sentAt.push(now);
+                dropped = 0;
+                try {
+                    transport(report);
+                } catch (error) {
+                    warn('Transport failed:', error);
+                }
+                return report;
+            },
+
+            /**
+             * Remember something the visitor or page did; the latest few go with every report
+             * @param {string} category - e.g. 'click', 'navigation', 'resource', 'form'
+             * @param {string} message
+             * @param {Object} data - Optional details
+             */
+            addBreadcrumb,
+
+            getBreadcrumbs() {
+                return breadcrumbs.slice();
+            },
+
+            /**
+             * Record clicks, navigation and failed resource loads as breadcrumbs
+             * @param {Window} target
+             * @returns {Function} Stops recording
+             */
+            install(target = root) {
+                const doc = target.document;
+                let lastUrl = target.location ? target.location.pathname + target.location.hash : '';
+                addBreadcrumb('navigation', lastUrl);
+
+                const handleClick = (event) => {
+                    const element = event.target && event.target.closest ? event.target.closest('a, button, [role="button"], input, select, label') || event.target : event.target;
+                    addBreadcrumb('click', describeElement(element));
+                };
+                const handleNavigation = () => {
+                    const url = target.location.pathname + target.location.hash;
+                    if (url === lastUrl) return;
+                    addBreadcrumb('navigation', url, { from: lastUrl });
+                    lastUrl = url;
+                };
+                // Failed <script>, <link> and <img> loads only reach capturing listeners
+                const handleResourceError = (event) => {
+                    const element = event.target;
+                    if (!element || element === target || !element.tagName) return;
+                    addBreadcrumb('resource', `${element.tagName.toLowerCase()} failed to load`, { src: element.src || element.href || null });
+                };
+
+                doc.addEventListener('click', handleClick, true);
+                target.addEventListener('hashchange', handleNavigation);
+                target.addEventListener('popstate', handleNavigation);
+                target.addEventListener('error', handleResourceError, true);
+                return () => {
+                    doc.removeEventListener('click', handleClick, true);
+                    target.removeEventListener('hashchange', handleNavigation);
+                    target.removeEventListener('popstate', handleNavigation);
+                    target.removeEventListener('error', handleResourceError, true);
+                };
+            }
+        };
+        return reporter;
+    }
+
+    const PropGridErrors = {
+        parseStack,
+        fingerprint,
+        parseSourceMap,
+        originalFrame,
+        describeElement,
+        createReporter
+    };
+
+    root.PropGridErrors = PropGridErrors;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PropGridErrors;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
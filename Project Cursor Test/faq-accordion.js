@@ -0,0 +1,68 @@
+/**
+ * PropGrid FAQ Accordion
+ * The question list on the home page and faq.html, mounted on
+ * data-component="faqAccordion". One answer is open at a time, and opening
+ * one is tracked as faq_opened.
+ */
+
+(function (root) {
+    class FAQAccordion {
+        /**
+         * @param {Object} context - From the app shell (see components.js); services.track(name, properties) is optional
+         */
+        constructor({ root: element, listen, services }) {
+            if (!element) {
+                throw new Error('FAQAccordion needs a data-component="faqAccordion" element');
+            }
+            this.root = element;
+            this.track = typeof services.track === 'function' ? services.track : () => {};
+            this.buttons = Array.from(element.querySelectorAll('.faq-accordion-btn'));
+
+            this.buttons.forEach(button => {
+                listen(button, 'click', (e) => {
+                    e.preventDefault();
+                    this.toggle(button);
+                });
+            });
+
+            // Every answer starts hidden
+            this.closeAll();
+        }
+
+        toggle(button) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            this.closeAll();
+            if (isExpanded) return;
+
+            button.nextElementSibling.classList.add('open');
+            button.setAttribute('aria-expanded', 'true');
+            const icon = button.querySelector('i');
+            if (icon) icon.style.transform = 'rotate(180deg)';
+            this.track('faq_opened', { question: button.textContent.trim() });
+        }
+
+        closeAll() {
+            this.buttons.forEach(button => {
+                const content = button.nextElementSibling;
+                const icon = button.querySelector('i');
+                if (content) content.classList.remove('open');
+                if (icon) icon.style.transform = '';
+                button.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        // The shell removes the click listeners
+        destroy() {
+            this.buttons = [];
+            this.root = null;
+        }
+    }
+
+    root.FAQAccordion = FAQAccordion;
+    if (root.PropGridComponents) {
+        root.PropGridComponents.define('faqAccordion', { create: context => new FAQAccordion(context) });
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FAQAccordion;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,237 @@
+/**
+ * PropGrid Deal Matching
+ * Scores deals against a subscriber's criteria (markets, budget band, strategies
+ * and investment goal) and ranks the matches, with a reason for every criterion.
+ * Used by the curation workflow to decide who gets which deal (see dev-server.js)
+ * and by the demo inbox's city/strategy filters.
+ */
+
+(function (root) {
+    // Investment ranges offered by the signup and curation forms
+    const BUDGET_BANDS = {
+        'under-100k': { min: 0, max: 100000, label: 'under $100k' },
+        '100k-250k': { min: 100000, max: 250000, label: '$100k–$250k' },
+        '250k-500k': { min: 250000, max: 500000, label: '$250k–$500k' },
+        '500k-1m': { min: 500000, max: 1000000, label: '$500k–$1M' },
+        'over-1m': { min: 1000000, max: Infinity, label: 'over $1M' }
+    };
+    const BUDGET_BAND_ORDER = Object.keys(BUDGET_BANDS);
+
+    // Points per criterion. A subscriber's score only counts criteria they actually set.
+    const weights = {
+        market: 40,
+        budget: 30,
+        strategy: 30,
+        goal: 10
+    };
+
+    // Deals one band above the subscriber's budget still earn this share of the budget points
+    const ADJACENT_BUDGET_CREDIT = 0.5;
+
+    // What each investment goal looks for in a deal. Goals not listed here don't affect the score.
+    const goalRules = {
+        'cash-flow': {
+            label: 'cash flow',
+            // Same threshold as the High Cash Flow badge (DealModel.thresholds.highCashOnCash)
+            test: deal => (deal.badges || []).some(badge => badge.id === 'high-cash-flow')
+        },
+        appreciation: {
+            label: 'appreciation',
+            test: deal => deal.tags.some(tag => tag === 'value-add' || tag === 'development') ||
+                deal.strategies.some(strategy => strategy === 'fix-and-flip' || strategy === 'land')
+        }
+    };
+
+    function normalizeSlug(value) {
+        return String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    }
+
+    function toSlugList(...values) {
+        const list = [];
+        values.forEach(value => {
+            [].concat(value || []).forEach(item => {
+                const slug = normalizeSlug(item);
+                if (slug && !list.includes(slug)) list.push(slug);
+            });
+        });
+        return list;
+    }
+
+    function formatSlug(slug) {
+        return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
+    /**
+     * Read a subscriber's criteria from a signup record or curation form values.
+     * Accepts either naming: markets/market/city, strategies/strategy,
+     * investmentRange/budget and investmentGoal/goal.
+     * @param {Object} profile
+     * @returns {Object} { markets, budget, strategies, goal }
+     */
+    function normalizeProfile(profile = {}) {
+        const budget = normalizeSlug(profile.investmentRange || profile.budget);
+        return {
+            markets: toSlugList(profile.markets, profile.market, profile.city),
+            budget: BUDGET_BANDS[budget] ? budget : null,
+            strategies: toSlugList(profile.strategies, profile.strategy),
+            goal: normalizeSlug(profile.investmentGoal || profile.goal) || null
+        };
+    }
+
+    /**
+     * @param {number} price
+     * @returns {string|null} The budget band key the price falls in
+     */
+    function budgetBandFor(price) {
+        if (price === null || price === undefined || !Number.isFinite(Number(price))) return null;
+        return BUDGET_BAND_ORDER.find(key => Number(price) < BUDGET_BANDS[key].max) || null;
+    }
+
+    function normalizeDeal(deal) {
+        return Object.assign({}, deal, {
+            city: normalizeSlug(deal.city) || null,
+            strategies: toSlugList(deal.strategies, deal.strategy),
+            tags: toSlugList(deal.tags)
+        });
+    }
+
+    function checkMarket(criteria, deal) {
+        const matched = Boolean(deal.city) && criteria.markets.includes(deal.city);
+        const market = deal.city ? formatSlug(deal.city) : 'Unknown market';
+        return {
+            criterion: 'market',
+            matched,
+            points: matched ? weights.market : 0,
+            message: matched ? `In ${market}, one of your markets` : `${market} is outside your markets`
+        };
+    }
+
+    function checkBudget(criteria, deal) {
+        const band = BUDGET_BANDS[criteria.budget];
+        const dealBand = budgetBandFor(deal.price);
+        const reason = { criterion: 'budget', matched: false, points: 0 };
+
+        if (!dealBand) {
+            reason.message = 'No asking price to compare with your budget';
+        } else if (dealBand === criteria.budget) {
+            reason.matched = true;
+            reason.points = weights.budget;
+            reason.message = `Priced within your ${band.label} budget`;
+        } else if (BUDGET_BAND_ORDER.indexOf(dealBand) === BUDGET_BAND_ORDER.indexOf(criteria.budget) + 1) {
+            reason.points = weights.budget * ADJACENT_BUDGET_CREDIT;
+            reason.message = `Slightly above your ${band.label} budget`;
+        } else {
+            reason.message = deal.price < band.min
+                ? `Below your ${band.label} budget`
+                : `Above your ${band.label} budget`;
+        }
+        return reason;
+    }
+
+    function checkStrategy(criteria, deal) {
+        const shared = deal.strategies.filter(strategy => criteria.strategies.includes(strategy));
+        const matched = shared.length > 0;
+        return {
+            criterion: 'strategy',
+            matched,
+            points: matched ? weights.strategy : 0,
+            message: matched
+                ? `Fits your ${shared.map(formatSlug).join(' and ')} strategy`
+                : `Not a ${criteria.strategies.map(formatSlug).join(' or ')} deal`
+        };
+    }
+
+    function checkGoal(criteria, deal) {
+        const rule = goalRules[criteria.goal];
+        const matched = rule.test(deal);
+        return {
+            criterion: 'goal',
+            matched,
+            points: matched ? weights.goal : 0,
+            message: matched ? `Suits your ${rule.label} goal` : `Not a strong ${rule.label} play`
+        };
+    }
+
+    /**
+     * Score one deal for one subscriber
+     * @param {Object} profile - Subscriber criteria (see normalizeProfile)
+     * @param {Object} deal - Deal, ideally from DealModel.create() so goal checks can use its badges
+     * @returns {Object} { deal, score (0–100), matched, reasons: [{ criterion, matched, points, message }] }
+     */
+    function scoreDeal(profile, deal) {
+        const criteria = normalizeProfile(profile);
+        const normalized = normalizeDeal(deal);
+        const reasons = [];
+
+        if (criteria.markets.length > 0) reasons.push(checkMarket(criteria, normalized));
+        if (criteria.budget) reasons.push(checkBudget(criteria, normalized));
+        if (criteria.strategies.length > 0) reasons.push(checkStrategy(criteria, normalized));
+        if (goalRules[criteria.goal]) reasons.push(checkGoal(criteria, normalized));
+
+        const possible = reasons.reduce((total, reason) => total + weights[reason.criterion], 0);
+        const earned = reasons.reduce((total, reason) => total + reason.points, 0);
+
+        // Market and strategy are hard requirements; budget allows one band of stretch
+        const matched = reasons.every(reason =>
+            reason.matched || reason.criterion === 'goal' || (reason.criterion === 'budget' && reason.points > 0));
+
+        return {
+            deal,
+            // Subscribers with no criteria get everything, unranked
+            score: possible === 0 ? 0 : Math.round(earned / possible * 100),
+            matched,
+            reasons
+        };
+    }
+
+    /**
+     * Rank deals for a subscriber
+     * @param {Object} profile - Subscriber criteria
+     * @param {Array} deals
+     * @param {Object} options - { minScore, limit, includeUnmatched }
+     * @returns {Array} scoreDeal() results, best first
+     */
+    function match(profile, deals, options = {}) {
+        const { minScore = 0, limit = Infinity, includeUnmatched = false } = options;
+        return deals
+            .map(deal => scoreDeal(profile, deal))
+            .filter(result => (includeUnmatched || result.matched) && result.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Rank subscribers for a deal (who should receive it)
+     * @param {Object} deal
+     * @param {Array} profiles - Subscriber records
+     * @param {Object} options - { minScore, limit, includeUnmatched }
+     * @returns {Array} { profile, score, matched, reasons }, best first
+     */
+    function subscribersForDeal(deal, profiles, options = {}) {
+        const { minScore = 0, limit = Infinity, includeUnmatched = false } = options;
+        return profiles
+            .map(profile => {
+                const { score, matched, reasons } = scoreDeal(profile, deal);
+                return { profile, score, matched, reasons };
+            })
+            .filter(result => (includeUnmatched || result.matched) && result.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    const DealMatching = {
+        BUDGET_BANDS,
+        weights,
+        goalRules,
+        normalizeProfile,
+        budgetBandFor,
+        scoreDeal,
+        match,
+        subscribersForDeal
+    };
+
+    root.DealMatching = DealMatching;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DealMatching;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
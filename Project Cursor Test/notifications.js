@@ -0,0 +1,275 @@
+/**
+ * PropGrid Notifications
+ * One notification center for toasts on every page: success, error, info,
+ * warning and action (a notice that waits for a button, like "update
+ * available"). A few show at once, stacked, and the rest queue. Each has a
+ * dismiss button, and its timer pauses while the pointer or focus is on it.
+ * Messages are announced through persistent live regions, politely unless
+ * configured otherwise (errors interrupt).
+ */
+
+(function (root) {
+    const DEFAULT_MAX_VISIBLE = 3;
+    const DEFAULT_DURATION = 5000; // ms; 0 keeps a notification until it's dismissed
+    const EXIT_DURATION = 300; // Matches the slide-out transition
+
+    const VARIANTS = {
+        success: { icon: 'fa-check-circle', iconClass: 'text-green-500', className: 'bg-white text-gray-800 border-l-4 border-green-500' },
+        error: { icon: 'fa-exclamation-circle', iconClass: 'text-red-500', className: 'bg-white text-gray-800 border-l-4 border-red-500', politeness: 'assertive' },
+        info: { icon: 'fa-info-circle', iconClass: 'text-blue-500', className: 'bg-white text-gray-800 border-l-4 border-blue-500' },
+        warning: { icon: 'fa-exclamation-triangle', iconClass: 'text-amber-500', className: 'bg-white text-gray-800 border-l-4 border-amber-500' },
+        // Waits for the visitor by default; give it actions
+        action: { icon: 'fa-bell', iconClass: 'text-blue-300', className: 'bg-gray-900 text-white', duration: 0 }
+    };
+
+    const POLITENESS = ['polite', 'assertive', 'off'];
+
+    function createLiveRegion(politeness) {
+        const region = document.createElement('div');
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        region.className = 'sr-only';
+        region.dataset.notificationsLive = politeness;
+        return region;
+    }
+
+    /**
+     * New notification center. Its container and live regions are added to the page on first use.
+     * @param {Object} options - { maxVisible, duration, politeness } where politeness ('polite', 'assertive' or 'off')
+     *   is how non-error notifications are announced
+     * @returns {Object} { notify, success, error, info, warning, dismiss, clear, destroy }
+     */
+    function createNotificationCenter(options = {}) {
+        const maxVisible = options.maxVisible || DEFAULT_MAX_VISIBLE;
+        const defaultDuration = options.duration === undefined ? DEFAULT_DURATION : options.duration;
+        const defaultPoliteness = POLITENESS.includes(options.politeness) ? options.politeness : 'polite';
+
+        const visible = []; // Entries on screen, oldest first
+        const queue = []; // Entries waiting for room
+        let nextId = 1;
+        let container = null;
+        let regions = null;
+
+        function mount() {
+            if (container) return;
+            container = document.createElement('div');
+            container.setAttribute('role', 'region');
+            container.setAttribute('aria-label', 'Notifications');
+            container.className = 'fixed top-4 right-4 z-50 flex flex-col gap-3 w-full max-w-sm pointer-events-none';
+            regions = { polite: createLiveRegion('polite'), assertive: createLiveRegion('assertive') };
+            document.body.append(container, regions.polite, regions.assertive);
+        }
+
+        // Clearing first makes screen readers repeat a message identical to the last one
+        function announce(entry) {
+            const region = regions[entry.politeness];
+            if (!region) return;
+            region.textContent = '';
+            setTimeout(() => {
+                region.textContent = entry.title ? `${entry.title}. ${entry.message}` : entry.message;
+            }, 50);
+        }
+
+        function startTimer(entry) {
+            if (!entry.remaining || entry.timer || entry.paused) return;
+            entry.startedAt = Date.now();
+            entry.timer = setTimeout(() => dismiss(entry.id), entry.remaining);
+        }
+
+        function pauseTimer(entry) {
+            if (!entry.timer) return;
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            entry.remaining = Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+        }
+
+        function render(entry) {
+            const variant = VARIANTS[entry.variant];
+            const element = entry.element || document.createElement('div');
+            element.className = `pointer-events-auto flex items-start gap-3 rounded-lg shadow-lg p-4 transform transition-all duration-300 ${variant.className}`;
+            element.dataset.notification = entry.variant;
+            element.innerHTML = `
+                <i class="fas ${variant.icon} ${variant.iconClass} mt-0.5" aria-hidden="true"></i>
+                <div class="flex-1 min-w-0 text-sm">
+                    ${entry.title ? '<p class="font-semibold" data-notification-title></p>' : ''}
+                    <p data-notification-message></p>
+                    ${entry.actions.length > 0 ? '<div class="flex flex-wrap gap-3 mt-2" data-notification-actions></div>' : ''}
+                </div>
+                ${entry.dismissible ? `
+                    <button type="button" class="opacity-60 hover:opacity-100" aria-label="Dismiss notification" data-notification-dismiss>
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                ` : ''}
+            `;
+            if (entry.title) element.querySelector('[data-notification-title]').textContent = entry.title;
+            element.querySelector('[data-notification-message]').textContent = entry.message;
+
+            entry.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `text-sm font-semibold hover:underline ${entry.variant === 'action' ? 'text-blue-300' : 'text-primary'}`;
+                button.textContent = action.label;
+                button.addEventListener('click', (event) => {
+                    if (action.dismiss !== false) dismiss(entry.id);
+                    if (typeof action.onClick === 'function') action.onClick(event, entry.handle);
+                });
+                element.querySelector('[data-notification-actions]').appendChild(button);
+            });
+            if (entry.dismissible) {
+                element.querySelector('[data-notification-dismiss]').addEventListener('click', () => dismiss(entry.id));
+            }
+            return element;
+        }
+
+        function show(entry) {
+            mount();
+            entry.element = render(entry);
+            entry.element.classList.add('translate-x-full', 'opacity-0');
+
+            // Nothing times out while the visitor is reading it or tabbing through its buttons
+            const pause = () => {
+                entry.paused = true;
+                pauseTimer(entry);
+            };
+            const resume = () => {
+                if (entry.element.matches(':hover') || entry.element.contains(document.activeElement)) return;
+                entry.paused = false;
+                startTimer(entry);
+            };
+            entry.element.addEventListener('mouseenter', pause);
+            entry.element.addEventListener('focusin', pause);
+            entry.element.addEventListener('mouseleave', resume);
+            entry.element.addEventListener('focusout', () => setTimeout(resume, 0));
+
+            visible.push(entry);
+            container.appendChild(entry.element);
+            requestAnimationFrame(() => entry.element.classList.remove('translate-x-full', 'opacity-0'));
+            announce(entry);
+            startTimer(entry);
+        }
+
+        function find(id) {
+            return visible.find(entry => entry.id === id) || queue.find(entry => entry.id === id) || null;
+        }
+
+        function dismiss(id) {
+            const queued = queue.findIndex(entry => entry.id === id);
+            if (queued >= 0) {
+                queue.splice(queued, 1);
+                return;
+            }
+
+            const index = visible.findIndex(entry => entry.id === id);
+            if (index < 0) return;
+            const [entry] = visible.splice(index, 1);
+            pauseTimer(entry);
+            entry.element.classList.add('translate-x-full', 'opacity-0');
+            setTimeout(() => entry.element.remove(), EXIT_DURATION);
+            if (typeof entry.onDismiss === 'function') entry.onDismiss();
+
+            if (queue.length > 0) show(queue.shift());
+        }
+
+        /**
+         * Show a notification, or queue it while maxVisible are on screen
+         * @param {Object} notification - { message, variant, title, duration, actions: [{ label, onClick(event, handle), dismiss }],
+         *   dismissible, politeness, id, onDismiss } where duration 0 waits for the visitor, an action dismisses
+         *   the notification unless its dismiss is false, and an id already showing or queued is replaced
+         * @returns {Object} Handle: { id, dismiss(), update(changes) }
+         */
+        function notify(notification) {
+            const variantName = VARIANTS[notification.variant] ? notification.variant : 'info';
+            const variant = VARIANTS[variantName];
+            const id = notification.id || `notification-${nextId++}`;
+            const duration = notification.duration !== undefined ? notification.duration
+                : variant.duration !== undefined ? variant.duration : defaultDuration;
+
+            const entry = {
+                id,
+                variant: variantName,
+                message: String(notification.message || ''),
+                title: notification.title || null,
+                actions: notification.actions || [],
+                dismissible: notification.dismissible !== false,
+                politeness: POLITENESS.includes(notification.politeness) ? notification.politeness : (variant.politeness || defaultPoliteness),
+                remaining: duration,
+                onDismiss: notification.onDismiss || null,
+                timer: null,
+                paused: false
+            };
+            entry.handle = {
+                id,
+                dismiss: () => dismiss(id),
+                update: (changes) => update(id, changes)
+            };
+
+            const existing = find(id);
+            if (existing && visible.includes(existing)) {
+                pauseTimer(existing);
+                Object.assign(existing, entry, { element: existing.element, paused: existing.paused });
+                render(existing);
+                announce(existing);
+                startTimer(existing);
+                return existing.handle;
+            }
+            if (existing) {
+                queue[queue.indexOf(existing)] = entry;
+            } else if (visible.length < maxVisible) {
+                show(entry);
+            } else {
+                queue.push(entry);
+            }
+            return entry.handle;
+        }
+
+        // Change a notification's message, title, variant or actions in place, without re-announcing it
+        function update(id, changes) {
+            const entry = find(id);
+            if (!entry) return;
+            ['message', 'title', 'variant', 'actions'].forEach(key => {
+                if (changes[key] !== undefined) entry[key] = changes[key];
+            });
+            if (entry.element) render(entry);
+        }
+
+        const shorthand = variant => (message, notification = {}) => notify(Object.assign({}, notification, { message, variant }));
+
+        return {
+            notify,
+            success: shorthand('success'),
+            error: shorthand('error'),
+            info: shorthand('info'),
+            warning: shorthand('warning'),
+            dismiss,
+
+            // Dismiss everything, queued notifications included
+            clear() {
+                queue.length = 0;
+                visible.slice().forEach(entry => dismiss(entry.id));
+            },
+
+            destroy() {
+                queue.length = 0;
+                visible.forEach(entry => pauseTimer(entry));
+                visible.length = 0;
+                if (container) {
+                    container.remove();
+                    regions.polite.remove();
+                    regions.assertive.remove();
+                    container = null;
+                    regions = null;
+                }
+            }
+        };
+    }
+
+    const PropGridNotifications = {
+        VARIANTS,
+        createNotificationCenter
+    };
+
+    root.PropGridNotifications = PropGridNotifications;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PropGridNotifications;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
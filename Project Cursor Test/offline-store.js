@@ -0,0 +1,387 @@
+/**
+ * PropGrid Offline Store
+ * IndexedDB storage shared by the page, the service worker and offline.html:
+ * - OfflineQueue: form submissions made while offline are queued here (one record
+ *   per submission, keyed by its idempotency key) and replayed by sw.js with retry and backoff.
+ * - DealLibrary: deals the user has already seen (inbox, opened deal pages, push alerts),
+ *   kept with their key metrics so offline.html can list them without a connection.
+ */
+
+(function (root) {
+    const DB_NAME = 'propgrid';
+    const DB_VERSION = 2;
+    const OUTBOX_STORE = 'outbox';
+    const DEALS_STORE = 'deals';
+
+    // Seen deals kept for offline reading; the least recently seen go first
+    const MAX_LIBRARY_DEALS = 100;
+
+    // Retry schedule for replaying queued submissions
+    const RETRY_BASE_DELAY = 30 * 1000; // 30s
+    const RETRY_MAX_DELAY = 30 * 60 * 1000; // 30min
+    const MAX_ATTEMPTS = 6;
+
+    let dbPromise = null;
+    let replayTimer = null; // Page-side retry of the queue when the next record comes due
+
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                    db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(DEALS_STORE)) {
+                    db.createObjectStore(DEALS_STORE, { keyPath: 'id' });
+                }
+            };
+
+            // Another tab or an older service worker still has the previous version open. Fail now rather
+            // than leave every caller waiting; the next call tries again.
+            let isBlocked = false;
+            request.onblocked = () => {
+                isBlocked = true;
+                dbPromise = null;
+                reject(new Error(`${DB_NAME} database upgrade is blocked by another open connection`));
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                if (isBlocked) {
+                    // The upgrade went through after we gave up on it
+                    db.close();
+                    return;
+                }
+                // Let a newer version's upgrade proceed instead of blocking it in turn
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    // Run a single request against a store and resolve once the transaction commits
+    async function withStore(storeName, mode, callback) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function getRetryDelay(attempts) {
+        return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+    }
+
+    // 4xx responses other than timeouts and rate limits will never succeed on retry
+    function isPermanentFailure(status) {
+        return status >= 400 && status < 500 && status !== 408 && status !== 429;
+    }
+
+    const OfflineQueue = {
+        SYNC_TAG: 'background-sync',
+
+        /**
+         * Create a key that identifies one logical submission across retries
+         * @returns {string}
+         */
+        createIdempotencyKey() {
+            if (root.crypto && typeof root.crypto.randomUUID === 'function') {
+                return root.crypto.randomUUID();
+            }
+            return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 12)}`;
+        },
+
+        /**
+         * Queue a submission for later delivery. Re-queuing the same key replaces
+         * the earlier record instead of adding a duplicate.
+         * @param {Object} submission - { id, kind, endpoint, payload }
+         * @returns {Promise<Object>} The stored record
+         */
+        async enqueue({ id, kind, endpoint, payload }) {
+            const record = {
+                id: id || this.createIdempotencyKey(),
+                kind,
+                endpoint,
+                payload,
+                attempts: 0,
+                createdAt: Date.now(),
+                nextAttemptAt: 0,
+                lastError: null
+            };
+            await withStore(OUTBOX_STORE, 'readwrite', store => store.put(record));
+            return record;
+        },
+
+        getAll() {
+            return withStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+        },
+
+        put(record) {
+            return withStore(OUTBOX_STORE, 'readwrite', store => store.put(record));
+        },
+
+        remove(id) {
+            return withStore(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+        },
+
+        /**
+         * Ask the service worker to replay the queue: via Background Sync where
+         * supported, otherwise with a REPLAY_QUEUE message. Page-only.
+         * @returns {Promise<string|boolean>} 'sync' or 'message' for how the worker was asked,
+         *   false when no service worker controls the page
+         */
+        async requestReplay() {
+            if (typeof navigator === 'undefined' || !navigator.serviceWorker || !navigator.serviceWorker.controller) {
+                return false;
+            }
+
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                try {
+                    await registration.sync.register(this.SYNC_TAG);
+                    return 'sync';
+                } catch (error) {
+                    // Background Sync can be blocked by permissions; fall back to a message
+                }
+            }
+
+            navigator.serviceWorker.controller.postMessage({ type: 'REPLAY_QUEUE' });
+            return 'message';
+        },
+
+        /**
+         * Replay the queue through the service worker, or from the page when none controls it.
+         * Only Background Sync wakes the queue again when a retry comes due, so otherwise this
+         * page replays again at the earliest nextAttemptAt for as long as it stays open. Page-only.
+         * @param {Function} notify - As for flush(); called when the page flushes the queue itself
+         */
+        async replay(notify = () => {}) {
+            clearTimeout(replayTimer);
+            replayTimer = null;
+
+            const delegated = await this.requestReplay();
+            if (delegated === 'sync') return; // The browser repeats the sync until the queue is empty
+            if (!delegated) {
+                await this.flush(notify);
+            }
+
+            const records = await this.getAll();
+            if (records.length === 0) return;
+
+            // A record that is already due is being sent by the worker right now; check back after one retry delay
+            const nextAttemptAt = Math.min(...records.map(record => record.nextAttemptAt || 0));
+            const delay = nextAttemptAt > Date.now() ? nextAttemptAt - Date.now() : RETRY_BASE_DELAY;
+            replayTimer = setTimeout(() => {
+                replayTimer = null;
+                // Going back online replays anyway
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+                this.replay(notify).catch(() => {});
+            }, delay);
+        },
+
+        /**
+         * Replay every queued submission that is due. Delivered and permanently
+         * rejected records are removed; transient failures are rescheduled with
+         * exponential backoff until MAX_ATTEMPTS.
+         * @param {Function} notify - Receives { type: 'SYNC_COMPLETE'|'SYNC_FAILED', id, kind, message }
+         * @returns {Promise<{sent: number, failed: number, pending: number}>}
+         */
+        async flush(notify = () => {}) {
+            const records = await this.getAll();
+            const result = { sent: 0, failed: 0, pending: 0 };
+
+            for (const record of records) {
+                if (record.nextAttemptAt > Date.now()) {
+                    result.pending++;
+                    continue;
+                }
+
+                let response = null;
+                try {
+                    response = await fetch(record.endpoint, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json',
+                            'Idempotency-Key': record.id
+                        },
+                        body: JSON.stringify(record.payload)
+                    });
+                } catch (error) {
+                    record.lastError = error.message;
+                }
+
+                if (response && response.ok) {
+                    await this.remove(record.id);
+                    result.sent++;
+                    notify({ type: 'SYNC_COMPLETE', id: record.id, kind: record.kind });
+                    continue;
+                }
+
+                if (response && isPermanentFailure(response.status)) {
+                    let body = null;
+                    try {
+                        body = await response.json();
+                    } catch (error) {
+                        body = null;
+                    }
+                    await this.remove(record.id);
+                    result.failed++;
+                    notify({
+                        type: 'SYNC_FAILED',
+                        id: record.id,
+                        kind: record.kind,
+                        message: body && body.message ? body.message : null
+                    });
+                    continue;
+                }
+
+                record.attempts++;
+                if (response) {
+                    record.lastError = `HTTP ${response.status}`;
+                }
+
+                if (record.attempts >= MAX_ATTEMPTS) {
+                    await this.remove(record.id);
+                    result.failed++;
+                    notify({ type: 'SYNC_FAILED', id: record.id, kind: record.kind, message: null });
+                } else {
+                    record.nextAttemptAt = Date.now() + getRetryDelay(record.attempts);
+                    await this.put(record);
+                    result.pending++;
+                }
+            }
+
+            return result;
+        }
+    };
+
+    // Only what the offline list shows; works on DealModel deals and on stored records alike
+    function toLibraryRecord(deal) {
+        const metrics = deal.metrics || {};
+        return {
+            id: String(deal.id),
+            subject: deal.subject || null,
+            avatar: deal.avatar || null,
+            city: deal.city || null,
+            propertyType: deal.propertyType || null,
+            preview: deal.preview || null,
+            price: deal.price === undefined ? null : deal.price,
+            metrics: {
+                noi: metrics.noi === undefined ? null : metrics.noi,
+                capRate: metrics.capRate === undefined ? null : metrics.capRate,
+                cashOnCash: metrics.cashOnCash === undefined ? null : metrics.cashOnCash,
+                monthlyCashFlow: metrics.monthlyCashFlow === undefined ? null : metrics.monthlyCashFlow
+            },
+            badges: (deal.badges || []).map(({ id, label }) => ({ id, label })),
+            url: deal.url || `/?deal=${encodeURIComponent(deal.id)}`
+        };
+    }
+
+    // Newer values win, but a sparse update (e.g. a push payload without a city) keeps what we had
+    function mergeRecords(existing, update) {
+        const merged = Object.assign({}, existing);
+        Object.keys(update).forEach(key => {
+            if (key === 'metrics') {
+                merged.metrics = Object.assign({}, existing.metrics);
+                Object.keys(update.metrics).forEach(name => {
+                    if (update.metrics[name] !== null) merged.metrics[name] = update.metrics[name];
+                });
+            } else if (update[key] !== null && !(Array.isArray(update[key]) && update[key].length === 0)) {
+                merged[key] = update[key];
+            }
+        });
+        return merged;
+    }
+
+    const DealLibrary = {
+        SOURCES: ['inbox', 'viewed', 'push'],
+        MAX_DEALS: MAX_LIBRARY_DEALS,
+        toRecord: toLibraryRecord,
+
+        /**
+         * Remember deals the user has seen. Saving a deal again refreshes it,
+         * moves it to the top and adds the new source.
+         * @param {Array} deals - Deals from DealModel.create() (or records from toRecord())
+         * @param {string} source - 'inbox', 'viewed' or 'push'
+         * @returns {Promise<void>}
+         */
+        async save(deals, source) {
+            const now = Date.now();
+            for (const deal of deals) {
+                if (!deal || deal.id === undefined || deal.id === null) continue;
+
+                const update = toLibraryRecord(deal);
+                const existing = await withStore(DEALS_STORE, 'readonly', store => store.get(update.id));
+                const record = existing ? mergeRecords(existing, update) : Object.assign(update, { sources: [], firstSeenAt: now });
+                if (!record.sources.includes(source)) {
+                    record.sources = record.sources.concat(source);
+                }
+                record.lastSeenAt = now;
+                await withStore(DEALS_STORE, 'readwrite', store => store.put(record));
+            }
+            await this.prune();
+        },
+
+        /**
+         * @returns {Promise<Array>} Saved deals, most recently seen first
+         */
+        async getAll() {
+            const records = await withStore(DEALS_STORE, 'readonly', store => store.getAll());
+            return records.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+        },
+
+        get(id) {
+            return withStore(DEALS_STORE, 'readonly', store => store.get(String(id)));
+        },
+
+        clear() {
+            return withStore(DEALS_STORE, 'readwrite', store => store.clear());
+        },
+
+        async prune() {
+            const records = await this.getAll();
+            for (const record of records.slice(MAX_LIBRARY_DEALS)) {
+                await withStore(DEALS_STORE, 'readwrite', store => store.delete(record.id));
+            }
+        },
+
+        /**
+         * Hand deals to the service worker to store (SAVE_DEALS message), or store
+         * them directly when no service worker controls the page. Page-only.
+         * @param {Array} deals
+         * @param {string} source
+         * @returns {Promise<void>}
+         */
+        async remember(deals, source) {
+            const records = deals.map(toLibraryRecord);
+            if (typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.controller) {
+                navigator.serviceWorker.controller.postMessage({ type: 'SAVE_DEALS', deals: records, source });
+                return;
+            }
+            if (typeof indexedDB !== 'undefined') {
+                await this.save(records, source);
+            }
+        }
+    };
+
+    root.OfflineQueue = OfflineQueue;
+    root.DealLibrary = DealLibrary;
+})(self);
@@ -0,0 +1,466 @@
+/**
+ * PropGrid Performance Report
+ * Loads every page listed in performance-budgets.json in headless Chrome and
+ * measures LCP, INP (by clicking the page's listed interactions), CLS, TTFB,
+ * load time, JS/CSS bytes, request count and JS heap. Each page is loaded cold
+ * several times and the median is checked against its budgets and compared with
+ * the last saved baseline. Writes perf-reports/report.json and report.html and
+ * exits 1 when any page is over budget or has regressed.
+ *
+ * Talks to Chrome over --remote-debugging-pipe, so it needs only Node and a
+ * local Chrome or Chromium; the pages are served by dev-server.js.
+ *
+ * Usage: node perf-report.js                    # check against perf-reports/baseline.json
+ *        node perf-report.js --save-baseline    # and make this run the new baseline
+ *        node perf-report.js --runs 5 --page /faq.html --port 8765
+ *        CHROME_PATH=/path/to/chrome node perf-report.js   (or --chrome /path/to/chrome)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const PropGridBudgets = require('./performance-budgets.js');
+
+const ROOT = __dirname;
+const BUDGETS_FILE = path.join(ROOT, 'performance-budgets.json');
+const REPORT_DIR = path.join(ROOT, 'perf-reports');
+const BASELINE_FILE = path.join(REPORT_DIR, 'baseline.json');
+
+const DEFAULT_RUNS = 3;
+const DEFAULT_PORT = 8765;
+const SETTLE_MS = 1500; // After the load event, for late requests and layout shifts
+const INTERACTION_GAP_MS = 300;
+const TIMEOUT_MS = 30000;
+
+const CHROME_CANDIDATES = [
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium'
+];
+
+// Installed into every page before its own scripts run; window.__propgridAudit() reads the results
+const COLLECTOR_SOURCE = `${fs.readFileSync(path.join(ROOT, 'web-vitals.js'), 'utf8')}
+(() => {
+    const audit = { lcp: null, shifts: [], interactions: new Map() };
+    const observe = (type, callback, options) => {
+        try {
+            new PerformanceObserver(list => callback(list.getEntries())).observe(Object.assign({ type, buffered: true }, options));
+        } catch (error) {
+            // Entry type not supported by this Chrome
+        }
+    };
+    observe('largest-contentful-paint', entries => { audit.lcp = entries[entries.length - 1]; });
+    observe('layout-shift', entries => { audit.shifts.push(...entries); });
+    observe('event', entries => entries.forEach(entry => {
+        const longest = audit.interactions.get(entry.interactionId);
+        if (entry.interactionId && (!longest || entry.duration > longest.duration)) {
+            audit.interactions.set(entry.interactionId, entry);
+        }
+    }), { durationThreshold: 16 });
+
+    window.__propgridAudit = () => {
+        const [navigation] = performance.getEntriesByType('navigation');
+        const ttfb = PropGridVitals.ttfbFrom(navigation);
+        const inp = PropGridVitals.inpFromInteractions([...audit.interactions.values()]);
+        return {
+            LCP: audit.lcp ? audit.lcp.startTime : null,
+            INP: inp ? inp.duration : null,
+            CLS: PropGridVitals.clsFromShifts(audit.shifts).value,
+            TTFB: ttfb ? ttfb.value : null,
+            loadTime: navigation ? navigation.loadEventEnd : null,
+            jsHeapBytes: performance.memory ? performance.memory.usedJSHeapSize : null
+        };
+    };
+})();`;
+
+function parseArgs(argv) {
+    const options = { runs: DEFAULT_RUNS, port: DEFAULT_PORT, pages: [], saveBaseline: false, chrome: process.env.CHROME_PATH || null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--save-baseline') options.saveBaseline = true;
+        else if (arg === '--runs') options.runs = Math.max(1, Number(argv[++i]) || DEFAULT_RUNS);
+        else if (arg === '--port') options.port = Number(argv[++i]) || DEFAULT_PORT;
+        else if (arg === '--page') options.pages.push(argv[++i]);
+        else if (arg === '--chrome') options.chrome = argv[++i];
+    }
+    return options;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, message) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), TIMEOUT_MS);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+function findChrome(preferred) {
+    const candidates = preferred ? [preferred] : CHROME_CANDIDATES;
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// --- Chrome DevTools Protocol over --remote-debugging-pipe: NUL-terminated JSON on fds 3 (to Chrome) and 4 (from Chrome) ---
+
+function launchChrome(chromePath) {
+    const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'propgrid-perf-'));
+    const args = [
+        '--headless=new',
+        '--remote-debugging-pipe',
+        `--user-data-dir=${userDataDir}`,
+        '--no-first-run',
+        '--no-default-browser-check',
+        '--disable-extensions',
+        '--disable-background-networking',
+        '--window-size=1350,940',
+        'about:blank'
+    ];
+    // Chrome refuses to start sandboxed as root (containers, CI)
+    if (typeof process.getuid === 'function' && process.getuid() === 0) {
+        args.push('--no-sandbox');
+    }
+
+    const child = spawn(chromePath, args, { stdio: ['ignore', 'ignore', 'pipe', 'pipe', 'pipe'] });
+    const toChrome = child.stdio[3];
+    const fromChrome = child.stdio[4];
+
+    let nextId = 1;
+    let received = Buffer.alloc(0);
+    let stderr = '';
+    const pending = new Map();
+    const listeners = new Set();
+
+    child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+    });
+
+    fromChrome.on('data', (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        let end;
+        while ((end = received.indexOf(0)) !== -1) {
+            const message = JSON.parse(received.subarray(0, end).toString('utf8'));
+            received = received.subarray(end + 1);
+
+            if (message.id && pending.has(message.id)) {
+                const { resolve, reject, method } = pending.get(message.id);
+                pending.delete(message.id);
+                if (message.error) {
+                    reject(new Error(`${method}: ${message.error.message}`));
+                } else {
+                    resolve(message.result);
+                }
+            } else if (message.method) {
+                listeners.forEach(listener => listener(message));
+            }
+        }
+    });
+
+    const exited = new Promise((resolve) => {
+        child.on('exit', (code) => {
+            pending.forEach(({ reject }) => reject(new Error(`Chrome exited (${code}): ${stderr.trim()}`)));
+            pending.clear();
+            resolve();
+        });
+    });
+    child.on('error', (error) => {
+        pending.forEach(({ reject }) => reject(error));
+        pending.clear();
+    });
+    // Writes fail with EPIPE once Chrome is gone; the pending request reports why
+    toChrome.on('error', () => {});
+
+    const chrome = {
+        send(method, params = {}, sessionId) {
+            const id = nextId++;
+            return withTimeout(new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject, method });
+                toChrome.write(`${JSON.stringify({ id, method, params, sessionId })}\0`);
+            }), `${method} timed out`);
+        },
+
+        // Resolve with the params of the next event called method in this session
+        waitForEvent(method, sessionId) {
+            let stop;
+            return withTimeout(new Promise((resolve) => {
+                stop = chrome.onEvent((message) => {
+                    if (message.method === method && message.sessionId === sessionId) {
+                        resolve(message.params);
+                    }
+                });
+            }), `Timed out waiting for ${method}`).finally(() => stop());
+        },
+
+        onEvent(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        async close() {
+            try {
+                await chrome.send('Browser.close');
+            } catch (error) {
+                child.kill();
+            }
+            await withTimeout(exited, 'Chrome did not exit').catch(() => child.kill('SIGKILL'));
+            fs.rmSync(userDataDir, { recursive: true, force: true });
+        }
+    };
+    return chrome;
+}
+
+// --- Site server ---
+
+function startServer(port) {
+    const server = spawn(process.execPath, [path.join(ROOT, 'dev-server.js'), String(port)], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    return withTimeout(new Promise((resolve, reject) => {
+        server.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('running at')) resolve(server);
+        });
+        server.stderr.on('data', (chunk) => {
+            output += chunk;
+        });
+        server.on('exit', (code) => reject(new Error(`dev-server.js exited (${code}): ${output.trim()}`)));
+    }), 'dev-server.js did not start');
+}
+
+// --- Measuring ---
+
+async function clickElement(send, selector) {
+    const { result } = await send('Runtime.evaluate', {
+        expression: `(() => {
+            const element = document.querySelector(${JSON.stringify(selector)});
+            if (!element) return null;
+            element.scrollIntoView({ block: 'center' });
+            const rect = element.getBoundingClientRect();
+            return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        })()`,
+        returnByValue: true
+    });
+    if (!result.value) {
+        console.warn(`⚠️ Interaction target not found: ${selector}`);
+        return;
+    }
+
+    const { x, y } = result.value;
+    await send('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button: 'left', clickCount: 1 });
+    await send('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button: 'left', clickCount: 1 });
+    await delay(INTERACTION_GAP_MS);
+}
+
+/**
+ * One cold load of a page in a fresh browser context (no cache, storage or service worker)
+ * @returns {Promise<Object>} Metric -> value
+ */
+async function measurePage(chrome, url, interactions) {
+    const { browserContextId } = await chrome.send('Target.createBrowserContext');
+    const { targetId } = await chrome.send('Target.createTarget', { url: 'about:blank', browserContextId });
+    const { sessionId } = await chrome.send('Target.attachToTarget', { targetId, flatten: true });
+    const send = (method, params) => chrome.send(method, params, sessionId);
+
+    const requests = new Map();
+    const stopListening = chrome.onEvent(({ method, params, sessionId: eventSession }) => {
+        if (eventSession !== sessionId) return;
+        if (method === 'Network.requestWillBeSent') {
+            requests.set(params.requestId, { type: PropGridBudgets.resourceType(params.request.url, params.type), bytes: 0 });
+        } else if (method === 'Network.loadingFinished' && requests.has(params.requestId)) {
+            requests.get(params.requestId).bytes = params.encodedDataLength;
+        }
+    });
+
+    try {
+        await send('Page.enable');
+        await send('Network.enable');
+        await send('Network.setCacheDisabled', { cacheDisabled: true });
+        await send('Page.addScriptToEvaluateOnNewDocument', { source: COLLECTOR_SOURCE });
+
+        const loaded = chrome.waitForEvent('Page.loadEventFired', sessionId);
+        await send('Page.navigate', { url });
+        await loaded;
+        await delay(SETTLE_MS);
+
+        for (const selector of interactions) {
+            await clickElement(send, selector);
+        }
+
+        const { result } = await send('Runtime.evaluate', { expression: 'window.__propgridAudit()', returnByValue: true });
+        return Object.assign(result.value, PropGridBudgets.summarizeRequests([...requests.values()]));
+    } finally {
+        stopListening();
+        await chrome.send('Target.disposeBrowserContext', { browserContextId }).catch(() => {});
+    }
+}
+
+function median(values) {
+    const numbers = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+    if (numbers.length === 0) return null;
+    const middle = Math.floor(numbers.length / 2);
+    return numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2;
+}
+
+function medianMetrics(runs) {
+    const metrics = {};
+    Object.keys(PropGridBudgets.METRICS).forEach(metric => {
+        metrics[metric] = median(runs.map(run => run[metric]));
+    });
+    return metrics;
+}
+
+// --- Report ---
+
+function buildReport(results, budgets, baseline, meta) {
+    const pages = results.map(({ path: pagePath, metrics }) => {
+        const limits = PropGridBudgets.limitsFor(budgets, pagePath);
+        return {
+            path: pagePath,
+            metrics,
+            budgets: limits,
+            baseline: baseline && baseline.pages[pagePath] ? baseline.pages[pagePath] : null,
+            violations: PropGridBudgets.check(limits, metrics),
+            regressions: PropGridBudgets.compare(metrics, baseline ? baseline.pages[pagePath] : null, budgets.regressionTolerance)
+        };
+    });
+
+    return Object.assign({}, meta, {
+        baselineGeneratedAt: baseline ? baseline.generatedAt : null,
+        passed: pages.every(page => page.violations.length === 0 && page.regressions.length === 0),
+        pages
+    });
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[character]);
+}
+
+function renderHtml(report) {
+    const { format, METRICS } = PropGridBudgets;
+    const sections = report.pages.map(page => {
+        const rows = Object.keys(METRICS)
+            .filter(metric => page.metrics[metric] !== null || page.budgets[metric] !== undefined)
+            .map(metric => {
+                const over = page.violations.some(violation => violation.metric === metric);
+                const regression = page.regressions.find(item => item.metric === metric);
+                const status = over ? '<span class="bad">Over budget</span>'
+                    : regression ? `<span class="warn">Regressed +${escapeHtml(format(metric, regression.delta))}</span>`
+                        : page.metrics[metric] === null ? '<span class="muted">Not measured</span>' : '<span class="ok">OK</span>';
+                return `<tr>
+                    <th scope="row">${escapeHtml(METRICS[metric].label)}</th>
+                    <td>${escapeHtml(format(metric, page.metrics[metric]))}</td>
+                    <td>${escapeHtml(format(metric, page.budgets[metric]))}</td>
+                    <td>${escapeHtml(format(metric, page.baseline ? page.baseline[metric] : null))}</td>
+                    <td>${status}</td>
+                </tr>`;
+            }).join('');
+        const passed = page.violations.length === 0 && page.regressions.length === 0;
+        return `<section>
+            <h2>${passed ? '✅' : '❌'} ${escapeHtml(page.path)}</h2>
+            <table>
+                <thead><tr><th scope="col">Metric</th><th scope="col">Median</th><th scope="col">Budget</th><th scope="col">Baseline</th><th scope="col">Status</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>PropGrid Performance Report</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #111827; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 2rem; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+        thead th { color: #6b7280; font-weight: 500; }
+        .ok { color: #047857; } .bad { color: #b91c1c; font-weight: 600; } .warn { color: #b45309; font-weight: 600; } .muted { color: #9ca3af; }
+    </style>
+</head>
+<body>
+    <h1>${report.passed ? '✅ Within budget' : '❌ Budget exceeded or regressed'}</h1>
+    <p>${escapeHtml(report.generatedAt)} · ${escapeHtml(report.browser)} · median of ${report.runs} cold load(s) per page ·
+        ${report.baselineGeneratedAt ? `baseline from ${escapeHtml(report.baselineGeneratedAt)}` : 'no baseline saved yet'}</p>
+    ${sections}
+</body>
+</html>
+`;
+}
+
+function describeProblems(page) {
+    const { format } = PropGridBudgets;
+    return page.violations.map(item => `${item.metric} ${format(item.metric, item.value)} > ${format(item.metric, item.budget)} budget`)
+        .concat(page.regressions.map(item => `${item.metric} +${format(item.metric, item.delta)} vs baseline`));
+}
+
+// --- Main ---
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const budgets = JSON.parse(fs.readFileSync(BUDGETS_FILE, 'utf8'));
+    const pagePaths = options.pages.length > 0 ? options.pages : Object.keys(budgets.pages);
+    const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8')) : null;
+
+    const chromePath = findChrome(options.chrome);
+    if (!chromePath) {
+        console.error('❌ Chrome not found. Set CHROME_PATH or pass --chrome /path/to/chrome.');
+        process.exit(2);
+    }
+
+    const server = await startServer(options.port);
+    const chrome = launchChrome(chromePath);
+    const results = [];
+    let browser = null;
+    try {
+        browser = (await chrome.send('Browser.getVersion')).product;
+        for (const pagePath of pagePaths) {
+            const page = budgets.pages[PropGridBudgets.pageKey(pagePath)] || {};
+            const runs = [];
+            for (let run = 0; run < options.runs; run++) {
+                runs.push(await measurePage(chrome, `http://localhost:${options.port}${pagePath}`, page.interactions || []));
+            }
+            results.push({ path: pagePath, metrics: medianMetrics(runs) });
+            console.log(`📏 Measured ${pagePath} (${runs.length} run${runs.length === 1 ? '' : 's'})`);
+        }
+    } finally {
+        await chrome.close();
+        server.kill();
+    }
+
+    const generatedAt = new Date().toISOString();
+    const report = buildReport(results, budgets, baseline, { generatedAt, browser, runs: options.runs });
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    fs.writeFileSync(path.join(REPORT_DIR, 'report.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(REPORT_DIR, 'report.html'), renderHtml(report));
+
+    report.pages.forEach(page => {
+        const problems = describeProblems(page);
+        console.log(problems.length === 0 ? `✅ ${page.path}` : `❌ ${page.path}: ${problems.join('; ')}`);
+    });
+    console.log(`📄 Wrote ${path.relative(ROOT, path.join(REPORT_DIR, 'report.html'))}${baseline ? '' : ' (no baseline yet: run with --save-baseline)'}`);
+
+    if (options.saveBaseline) {
+        const pages = {};
+        results.forEach(result => {
+            pages[result.path] = result.metrics;
+        });
+        fs.writeFileSync(BASELINE_FILE, JSON.stringify({ generatedAt, browser, pages }, null, 2));
+        console.log('💾 Saved this run as the baseline');
+    }
+
+    process.exitCode = report.passed ? 0 : 1;
+}
+
+main().catch((error) => {
+    console.error('❌ Performance report failed:', error.message);
+    process.exit(2);
+});
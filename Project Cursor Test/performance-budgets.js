@@ -0,0 +1,142 @@
+/**
+ * PropGrid Performance Budgets
+ * Reads performance-budgets.json (defaults plus per-page overrides) and checks
+ * measurements against it. PerformanceMonitor checks real visits at runtime;
+ * perf-report.js checks headless lab runs and compares them with the last
+ * saved baseline to flag regressions.
+ */
+
+(function (root) {
+    // Metrics a budget can limit. Timings are in ms, sizes in transferred bytes.
+    const METRICS = {
+        LCP: { label: 'Largest Contentful Paint', unit: 'ms' },
+        INP: { label: 'Interaction to Next Paint', unit: 'ms' },
+        CLS: { label: 'Cumulative Layout Shift', unit: '' },
+        TTFB: { label: 'Time to First Byte', unit: 'ms' },
+        loadTime: { label: 'Load event', unit: 'ms' },
+        scriptBytes: { label: 'JavaScript', unit: 'bytes' },
+        styleBytes: { label: 'CSS', unit: 'bytes' },
+        requestCount: { label: 'Requests', unit: '' },
+        jsHeapBytes: { label: 'JS heap', unit: 'bytes' }
+    };
+
+    // Used until performance-budgets.json loads, or if it can't
+    const DEFAULT_LIMITS = {
+        LCP: 2500,
+        INP: 200,
+        CLS: 0.1,
+        loadTime: 3000,
+        jsHeapBytes: 50 * 1024 * 1024
+    };
+
+    // '/' and '/index.html' are the same page
+    function pageKey(pathname) {
+        return pathname === '/index.html' ? '/' : pathname;
+    }
+
+    /**
+     * Limits for one page: DEFAULT_LIMITS, then the file's defaults, then the page's own budgets
+     * @param {Object|null} budgets - Parsed performance-budgets.json
+     * @param {string} pathname
+     * @returns {Object} Metric -> limit
+     */
+    function limitsFor(budgets, pathname) {
+        const page = budgets && budgets.pages ? budgets.pages[pageKey(pathname)] : null;
+        return Object.assign({}, DEFAULT_LIMITS, budgets ? budgets.defaults : null, page ? page.budgets : null);
+    }
+
+    /**
+     * @param {Object} limits - From limitsFor()
+     * @param {Object} measurements - Metric -> value; missing or null values aren't checked
+     * @returns {Array} [{ metric, value, budget }] for every metric over its budget
+     */
+    function check(limits, measurements) {
+        return Object.keys(METRICS)
+            .filter(metric => typeof limits[metric] === 'number' && typeof measurements[metric] === 'number')
+            .filter(metric => measurements[metric] > limits[metric])
+            .map(metric => ({ metric, value: measurements[metric], budget: limits[metric] }));
+    }
+
+    /**
+     * Metrics that got worse than the baseline by more than their tolerance
+     * @param {Object} measurements - Metric -> value
+     * @param {Object|null} baseline - Metric -> value from the saved baseline
+     * @param {Object} tolerance - Metric -> allowed increase (noise between runs)
+     * @returns {Array} [{ metric, value, baseline, delta }]
+     */
+    function compare(measurements, baseline, tolerance = {}) {
+        if (!baseline) return [];
+        return Object.keys(METRICS)
+            .filter(metric => typeof measurements[metric] === 'number' && typeof baseline[metric] === 'number')
+            .filter(metric => measurements[metric] - baseline[metric] > (tolerance[metric] || 0))
+            .map(metric => ({
+                metric,
+                value: measurements[metric],
+                baseline: baseline[metric],
+                delta: measurements[metric] - baseline[metric]
+            }));
+    }
+
+    /**
+     * Budget category of a loaded resource
+     * @param {string} url
+     * @param {string} initiator - Resource timing initiatorType, or a DevTools resource type
+     * @returns {string} 'script', 'stylesheet' or 'other'
+     */
+    function resourceType(url, initiator) {
+        const type = String(initiator || '').toLowerCase();
+        if (type === 'script' || type === 'stylesheet') return type;
+        let pathname = '';
+        try {
+            pathname = new URL(url, 'http://localhost').pathname;
+        } catch (error) {
+            pathname = String(url);
+        }
+        if (/\.m?js$/i.test(pathname)) return 'script';
+        if (/\.css$/i.test(pathname) || (type === 'link' && /\/css2?$/.test(pathname))) return 'stylesheet';
+        return 'other';
+    }
+
+    /**
+     * Page weight from its requests
+     * @param {Array} requests - [{ type: 'script'|'stylesheet'|..., bytes }], including the document itself
+     * @returns {Object} { scriptBytes, styleBytes, requestCount }
+     */
+    function summarizeRequests(requests) {
+        const bytesOf = type => requests.filter(request => request.type === type)
+            .reduce((total, request) => total + (request.bytes || 0), 0);
+        return {
+            scriptBytes: bytesOf('script'),
+            styleBytes: bytesOf('stylesheet'),
+            requestCount: requests.length
+        };
+    }
+
+    /**
+     * Human-readable value, e.g. "2.4s", "180ms", "312 KB", "0.08"
+     */
+    function format(metric, value) {
+        if (typeof value !== 'number') return '—';
+        const unit = METRICS[metric] ? METRICS[metric].unit : '';
+        if (unit === 'ms') return value >= 1000 ? `${(value / 1000).toFixed(2)}s` : `${Math.round(value)}ms`;
+        if (unit === 'bytes') return value >= 1024 * 1024 ? `${(value / 1024 / 1024).toFixed(1)} MB` : `${Math.round(value / 1024)} KB`;
+        return metric === 'CLS' ? value.toFixed(3) : String(value);
+    }
+
+    const PropGridBudgets = {
+        METRICS,
+        DEFAULT_LIMITS,
+        pageKey,
+        limitsFor,
+        check,
+        compare,
+        resourceType,
+        summarizeRequests,
+        format
+    };
+
+    root.PropGridBudgets = PropGridBudgets;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PropGridBudgets;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,154 @@
+/**
+ * PropGrid Plans
+ * Subscription tiers (Free and Pro), the Pro trial and weekly deal allotments.
+ * getState() says what a subscriber is entitled to right now; selectDeliveries()
+ * applies that allotment to a ranked list of matched deals (see matching.js).
+ * Shared by the page and dev-server.js.
+ */
+
+(function (root) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Keep in sync with the pricing section in index.html
+    const PLANS = {
+        free: { id: 'free', name: 'Free', price: 0, weeklyDeals: 1, trialDays: 0 },
+        pro: { id: 'pro', name: 'Pro', price: 39, weeklyDeals: 10, trialDays: 7 }
+    };
+    const DEFAULT_PLAN = 'free';
+
+    function toDate(value) {
+        return value instanceof Date ? value : new Date(value);
+    }
+
+    /**
+     * Start of the delivery week: allotments reset on Monday at 00:00 UTC
+     * @param {Date|string|number} now
+     * @returns {Date}
+     */
+    function weekStart(now = new Date()) {
+        const date = toDate(now);
+        const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+        return new Date(start.getTime() - daysSinceMonday * DAY_MS);
+    }
+
+    /**
+     * New subscription record. Pro starts with its free trial.
+     * @param {string} planId - 'free' or 'pro'; anything else falls back to Free
+     * @param {Date|string|number} now
+     * @returns {Object} { plan, startedAt, trialStartedAt, trialEndsAt, convertedAt }
+     */
+    function createSubscription(planId, now = new Date()) {
+        const plan = PLANS[planId] || PLANS[DEFAULT_PLAN];
+        const startedAt = toDate(now);
+        const subscription = {
+            plan: plan.id,
+            startedAt: startedAt.toISOString(),
+            trialStartedAt: null,
+            trialEndsAt: null,
+            convertedAt: null
+        };
+        if (plan.trialDays > 0) {
+            subscription.trialStartedAt = subscription.startedAt;
+            subscription.trialEndsAt = new Date(startedAt.getTime() + plan.trialDays * DAY_MS).toISOString();
+        }
+        return subscription;
+    }
+
+    // Mark a trial as paid so the subscriber keeps Pro once it ends
+    function convertTrial(subscription, now = new Date()) {
+        return Object.assign({}, subscription, { convertedAt: toDate(now).toISOString() });
+    }
+
+    /**
+     * What a subscriber is entitled to right now
+     * @param {Object|null} subscription - From createSubscription(); null means a visitor without one
+     * @param {Object} options - { now, deliveries: [{ dealId, sentAt }] }
+     * @returns {Object} { tier, planName, status, onTrial, trialEndsAt, trialDaysLeft, trialAvailable,
+     *   weeklyAllowance, usedThisWeek, remainingThisWeek, weekStartsAt, weekEndsAt }
+     */
+    function getState(subscription, options = {}) {
+        const now = toDate(options.now || new Date());
+        const deliveries = options.deliveries || [];
+        const start = weekStart(now);
+        const end = new Date(start.getTime() + 7 * DAY_MS);
+
+        let tier = DEFAULT_PLAN;
+        let status = 'none';
+        let onTrial = false;
+        let trialDaysLeft = 0;
+
+        if (subscription && PLANS[subscription.plan]) {
+            tier = subscription.plan;
+            status = 'active';
+            if (subscription.trialEndsAt && !subscription.convertedAt) {
+                const msLeft = toDate(subscription.trialEndsAt).getTime() - now.getTime();
+                if (msLeft > 0) {
+                    status = 'trialing';
+                    onTrial = true;
+                    trialDaysLeft = Math.ceil(msLeft / DAY_MS);
+                } else {
+                    // Unpaid trials drop back to Free
+                    tier = DEFAULT_PLAN;
+                    status = 'trial-ended';
+                }
+            }
+        }
+
+        const plan = PLANS[tier];
+        const usedThisWeek = deliveries.filter(delivery => {
+            const sentAt = toDate(delivery.sentAt).getTime();
+            return sentAt >= start.getTime() && sentAt < end.getTime();
+        }).length;
+
+        return {
+            tier,
+            planName: plan.name,
+            status,
+            onTrial,
+            trialEndsAt: subscription ? subscription.trialEndsAt : null,
+            trialDaysLeft,
+            trialAvailable: !subscription || !subscription.trialStartedAt,
+            weeklyAllowance: plan.weeklyDeals,
+            usedThisWeek,
+            remainingThisWeek: Math.max(0, plan.weeklyDeals - usedThisWeek),
+            weekStartsAt: start.toISOString(),
+            weekEndsAt: end.toISOString()
+        };
+    }
+
+    /**
+     * Pick which matched deals to send this week, best first, within the allotment.
+     * Deals the subscriber already received are skipped.
+     * @param {Object} subscription
+     * @param {Array} matches - Ranked DealMatching.match() results
+     * @param {Object} options - { now, deliveries: [{ dealId, sentAt }] }
+     * @returns {Object} { send, held, state } where held are matches over the cap
+     */
+    function selectDeliveries(subscription, matches, options = {}) {
+        const state = getState(subscription, options);
+        const delivered = new Set((options.deliveries || []).map(delivery => delivery.dealId));
+        const pending = matches.filter(result => !delivered.has(result.deal.id));
+
+        return {
+            send: pending.slice(0, state.remainingThisWeek),
+            held: pending.slice(state.remainingThisWeek),
+            state
+        };
+    }
+
+    const PropGridPlans = {
+        PLANS,
+        DEFAULT_PLAN,
+        weekStart,
+        createSubscription,
+        convertTrial,
+        getState,
+        selectDeliveries
+    };
+
+    root.PropGridPlans = PropGridPlans;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PropGridPlans;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
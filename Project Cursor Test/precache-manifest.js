@@ -0,0 +1,134 @@
+// Generated by build-precache.js. Do not edit; run `node build-precache.js` after changing any asset.
+self.PRECACHE_MANIFEST = {
+    "version": "cdeaa7edf9",
+    "entries": [
+        {
+            "url": "/",
+            "revision": "055faecc89"
+        },
+        {
+            "url": "/2zeilN5FnQ4boMLVI0qnMaQk248.svg",
+            "revision": "4cd618345d"
+        },
+        {
+            "url": "/404.html",
+            "revision": "dc2abf186b"
+        },
+        {
+            "url": "/analytics.js",
+            "revision": "3c3c1354e7"
+        },
+        {
+            "url": "/components.js",
+            "revision": "8a6b5f0cc5"
+        },
+        {
+            "url": "/consent.js",
+            "revision": "306d1e3be7"
+        },
+        {
+            "url": "/contact-form.js",
+            "revision": "17b14d9bb8"
+        },
+        {
+            "url": "/contact.html",
+            "revision": "1a19074266"
+        },
+        {
+            "url": "/deal-model.js",
+            "revision": "a867405903"
+        },
+        {
+            "url": "/deals.json",
+            "revision": "85a88874af"
+        },
+        {
+            "url": "/error-reporter.js",
+            "revision": "987b6b1a87"
+        },
+        {
+            "url": "/faq-accordion.js",
+            "revision": "568e105153"
+        },
+        {
+            "url": "/faq.html",
+            "revision": "bdfaeeb8d0"
+        },
+        {
+            "url": "/index.html",
+            "revision": "055faecc89"
+        },
+        {
+            "url": "/manifest.json",
+            "revision": "ecec759ad2"
+        },
+        {
+            "url": "/matching.js",
+            "revision": "85b1b8c49e"
+        },
+        {
+            "url": "/notifications.js",
+            "revision": "6caefe0eb3"
+        },
+        {
+            "url": "/offline-store.js",
+            "revision": "c0bc61ab84"
+        },
+        {
+            "url": "/offline.html",
+            "revision": "34b0937ea4"
+        },
+        {
+            "url": "/og-image.png",
+            "revision": "e448a32359"
+        },
+        {
+            "url": "/performance-budgets.js",
+            "revision": "d0ec96ee43"
+        },
+        {
+            "url": "/performance-budgets.json",
+            "revision": "ed0c346429"
+        },
+        {
+            "url": "/plans.js",
+            "revision": "a151de41ea"
+        },
+        {
+            "url": "/privacy.html",
+            "revision": "fe5fbf60ba"
+        },
+        {
+            "url": "/script.js",
+            "revision": "8aef22e9d9"
+        },
+        {
+            "url": "/terms.html",
+            "revision": "0078f40499"
+        },
+        {
+            "url": "/underwriting.js",
+            "revision": "32d1bc65e8"
+        },
+        {
+            "url": "/validation.js",
+            "revision": "70fa720abd"
+        },
+        {
+            "url": "/web-vitals.js",
+            "revision": "24a97df8b9"
+        },
+        {
+            "url": "https://cdn.tailwindcss.com",
+            "revision": null
+        },
+        {
+            "url": "https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap",
+            "revision": null
+        },
+        {
+            "url": "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css",
+            "revision": null
+        }
+    ]
+};
@@ -29,6 +29,20 @@ const utils = {
     };
   },
 
+  /**
+   * Debounce a function so it only runs once calls stop for 'wait' ms
+   * @param {Function} fn - The function to debounce
+   * @param {number} wait - Quiet period (ms) before the call goes through
+   * @returns {Function}
+   */
+  debounce(fn, wait) {
+    let timeout;
+    return function(...args) {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => fn.apply(this, args), wait);
+    };
+  },
+
   /**
    * Smoothly scroll to an element by ID
    * @param {string} id - The ID of the element to scroll to
@@ -68,6 +82,20 @@ const utils = {
     }
   },
 
+  /**
+   * Escape a value for interpolation into HTML markup
+   * @param {*} value - The value to escape
+   * @returns {string}
+   */
+  escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
   /**
    * Safely remove event listener with error handling
    * @param {Element} element - The element to remove listener from
@@ -88,125 +116,482 @@ const utils = {
   }
 };
 
-// --- Ensure AppState and emailDeals are defined before use ---
+// --- Ensure AppState is defined before use ---
 if (typeof window.AppState === 'undefined') {
   window.AppState = {
+    deals: [], // Demo inbox playlist, loaded from the deal feed (see EmailSimulation)
     currentEmailStep: 0,
     visibleEmails: [],
     isSimulationRunning: false,
     isTyping: false
   };
 }
-if (typeof window.emailDeals === 'undefined') {
-  window.emailDeals = [
-    // Example deals for simulation; replace with real data as needed
-    {
-      id: 'deal1',
-      avatar: '🏠',
-      subject: 'New DEAL: 3BR Rental in Austin',
-      sender: 'PropGrid Deals',
-      time: '09:15 AM',
-      preview: 'High CoC, strong cap rate, off-market opportunity.',
-      status: 'new'
-    },
-    {
-      id: 'deal2',
-      avatar: '🏢',
-      subject: 'Commercial DEAL: Retail Plaza, Phoenix',
-      sender: 'PropGrid Deals',
-      time: '10:02 AM',
-      preview: '8.2% cap rate, value-add, high traffic area.',
-      status: 'starred'
-    },
-    {
-      id: 'deal3',
-      avatar: '🌳',
-      subject: 'Land Opportunity: Tampa Suburbs',
-      sender: 'PropGrid Deals',
-      time: '11:30 AM',
-      preview: 'Development potential, distressed seller.',
-      status: 'new'
-    }
-  ];
+
+// --- Runtime configuration (define window.PropGridConfig before script.js to override) ---
+window.PropGridConfig = Object.assign({
+  signupEndpoint: '/api/signup',
+  dealFeedUrl: '/deals.json',
+  // Web Push deal alerts; set vapidPublicKey to skip fetching it from pushPublicKeyUrl
+  pushPublicKeyUrl: '/api/push/public-key',
+  pushSubscribeEndpoint: '/api/push/subscribe',
+  pushUnsubscribeEndpoint: '/api/push/unsubscribe',
+  vapidPublicKey: null,
+  // Analytics adapters by name (see analytics.js): 'ga4', 'beacon' (posts to analyticsEndpoint), 'console'
+  analyticsAdapters: ['ga4', 'beacon'],
+  analyticsEndpoint: '/api/analytics',
+  // Web Vitals report sent with sendBeacon when the page is hidden (null turns it off)
+  vitalsEndpoint: '/api/vitals',
+  // Per-page limits PerformanceMonitor warns about (see performance-budgets.js)
+  performanceBudgetsUrl: '/performance-budgets.json',
+  // Error reports (see error-reporter.js) are POSTed here with error reporting consent (null keeps them on the page);
+  // release tags them with the deployed version
+  errorReportingEndpoint: '/api/errors',
+  release: null,
+  // Toast options (see notifications.js): { politeness, maxVisible, duration }
+  notifications: {}
+}, window.PropGridConfig || {});
+
+// Bundled feed used when PropGridConfig.dealFeedUrl is unreachable
+const DEFAULT_DEAL_FEED_URL = '/deals.json';
+
+let dealFeedPromise = null;
+
+/**
+ * Load the deal feed from PropGridConfig.dealFeedUrl, falling back to the bundled deals.json.
+ * The demo inbox and the deals listing share one request per page.
+ * @returns {Promise<Array>} Deals from DealModel.create() (empty if every source failed)
+ */
+function loadDealFeed() {
+  if (dealFeedPromise) return dealFeedPromise;
+
+  dealFeedPromise = (async () => {
+    const sources = [...new Set([window.PropGridConfig.dealFeedUrl, DEFAULT_DEAL_FEED_URL])];
+
+    for (const url of sources) {
+      try {
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const feed = await response.json();
+        const deals = Array.isArray(feed) ? feed : feed.deals;
+        if (Array.isArray(deals) && deals.length > 0) {
+          return deals.map(deal => DealModel.create(deal));
+        }
+      } catch (error) {
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn(`[DealFeed] Could not load deal feed ${url}:`, error);
+        }
+      }
+    }
+    return [];
+  })();
+
+  return dealFeedPromise;
+}
+
+// Demo inbox playback; override any of these via PropGridConfig.emailSimulation
+const EMAIL_SIMULATION_DEFAULTS = {
+  loop: true, // Rotate back to the first deal instead of stopping at the end
+  maxVisible: 6, // Oldest emails rotate out beyond this many
+  interval: 3000, // ms between deliveries
+  typingDelay: 1500, // ms the "typing" indicator shows before each email
+  startDelay: 2000 // ms after the feed loads before the first delivery
+};
+
+const EMPTY_INBOX_HTML = `
+  <div class="p-8 text-center text-gray-500">
+    <i class="fas fa-inbox text-4xl mb-4 text-gray-300"></i>
+    <p class="text-lg font-medium">Your deal alerts will appear here</p>
+    <p class="text-sm">PropGrid will scan for deals that match your criteria...</p>
+  </div>
+`;
+
+// Deal calculator inputs: Underwriting.analyze() key -> input id. Percent inputs are shown as 7 for 7%.
+const DEAL_CALCULATOR_FIELDS = {
+  price: { id: 'calc-price' },
+  downPaymentRate: { id: 'calc-down-payment', percent: true },
+  interestRate: { id: 'calc-interest-rate', percent: true },
+  termYears: { id: 'calc-term-years' },
+  closingCostRate: { id: 'calc-closing-costs', percent: true },
+  rehabCost: { id: 'calc-rehab-cost' },
+  monthlyRent: { id: 'calc-monthly-rent' },
+  monthlyExpenses: { id: 'calc-monthly-expenses' },
+  vacancyRate: { id: 'calc-vacancy', percent: true },
+  holdYears: { id: 'calc-hold-years' },
+  appreciationRate: { id: 'calc-appreciation', percent: true },
+  rentGrowthRate: { id: 'calc-rent-growth', percent: true }
+};
+
+/**
+ * Normalise a city or strategy name to a slug ("San Antonio" -> "san-antonio")
+ * @param {string} value - Raw name or slug
+ * @returns {string}
+ */
+function normalizeSlug(value) {
+  return String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+// "san-antonio" -> "San Antonio"
+function formatSlug(slug) {
+  return String(slug || '').split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Key numbers and computed badges (see deal-model.js) for inbox and listing cards
+function renderDealMetrics(deal) {
+  const metrics = deal.metrics || {};
+  const figures = [];
+  if (deal.price !== null && deal.price !== undefined) {
+    figures.push(['Price', DealModel.formatCurrency(deal.price)]);
+  }
+  if (metrics.capRate !== null && metrics.capRate !== undefined) {
+    figures.push(['Cap', DealModel.formatPercent(metrics.capRate)]);
+  }
+  if (metrics.cashOnCash !== null && metrics.cashOnCash !== undefined) {
+    figures.push(['CoC', DealModel.formatPercent(metrics.cashOnCash)]);
+  }
+  if (metrics.monthlyCashFlow !== null && metrics.monthlyCashFlow !== undefined) {
+    figures.push(['Cash flow', `${DealModel.formatCurrency(metrics.monthlyCashFlow)}/mo`]);
+  }
+  if (deal.arv) {
+    figures.push(['ARV', DealModel.formatCurrency(deal.arv)]);
+  }
+
+  const badges = deal.badges || [];
+  if (figures.length === 0 && badges.length === 0) return '';
+
+  return `
+    ${figures.length > 0 ? `
+      <dl class="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+        ${figures.map(([label, value]) => `
+          <div class="flex gap-1"><dt class="text-gray-500">${label}</dt><dd class="font-semibold text-gray-900">${utils.escapeHtml(value)}</dd></div>
+        `).join('')}
+      </dl>
+    ` : ''}
+    ${badges.length > 0 ? `
+      <div class="mt-3 flex flex-wrap gap-2">
+        ${badges.map(badge => `<span class="${utils.escapeHtml(badge.className)} text-xs px-2 py-1 rounded-full font-medium" data-badge="${utils.escapeHtml(badge.id)}">${utils.escapeHtml(badge.label)}</span>`).join('')}
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Whether the visitor allows a consent category (see consent.js). Without consent.js nothing optional is sent.
+ * @param {string} category - 'analytics', 'errorReporting' or 'marketing'
+ * @returns {boolean}
+ */
+function hasConsent(category) {
+  return typeof PropGridConsent !== 'undefined' && PropGridConsent.has(category);
+}
+
+let analyticsClient = null;
+
+/**
+ * Shared analytics client built from PropGridConfig.analyticsAdapters (null without analytics.js)
+ * @returns {Object|null} See PropGridAnalytics.createAnalytics()
+ */
+function getAnalytics() {
+  if (analyticsClient || typeof PropGridAnalytics === 'undefined') return analyticsClient;
+
+  const { analyticsAdapters = [], analyticsEndpoint } = window.PropGridConfig;
+  const adapters = analyticsAdapters.map(name => {
+    const factory = PropGridAnalytics.ADAPTERS[name];
+    if (!factory) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[Analytics] Unknown adapter "${name}"`);
+      }
+      return null;
+    }
+    return name === 'beacon' ? (analyticsEndpoint ? factory({ endpoint: analyticsEndpoint }) : null) : factory();
+  }).filter(Boolean);
+
+  analyticsClient = PropGridAnalytics.createAnalytics({ adapters });
+  return analyticsClient;
+}
+
+/**
+ * Track a catalog event (see PropGridAnalytics.EVENTS)
+ * @param {string} name
+ * @param {Object} properties
+ * @returns {boolean} Whether the event was queued
+ */
+function trackEvent(name, properties) {
+  const analytics = getAnalytics();
+  return analytics ? analytics.track(name, properties) : false;
+}
+
+let errorReporter = null;
+
+/**
+ * Shared error reporter, recording breadcrumbs from the first call (null without error-reporter.js)
+ * @returns {Object|null} See PropGridErrors.createReporter()
+ */
+function getErrorReporter() {
+  if (errorReporter || typeof PropGridErrors === 'undefined') return errorReporter;
+
+  const { errorReportingEndpoint, release } = window.PropGridConfig;
+  errorReporter = PropGridErrors.createReporter({
+    endpoint: errorReportingEndpoint,
+    release,
+    consent: () => hasConsent('errorReporting')
+  });
+  errorReporter.install(window);
+  return errorReporter;
+}
+
+/**
+ * Report an error with the breadcrumbs that led up to it
+ * @param {*} error - Usually an Error
+ * @param {Object} context - See reporter.captureException(); mechanism defaults to 'manual' (a caught error)
+ * @returns {Object|null} The report, if it was sent
+ */
+function reportError(error, context) {
+  const reporter = getErrorReporter();
+  return reporter ? reporter.captureException(error, context) : null;
+}
+
+function addErrorBreadcrumb(category, message, data) {
+  const reporter = getErrorReporter();
+  if (reporter) reporter.addBreadcrumb(category, message, data);
+}
+
+let notificationCenter = null;
+
+/**
+ * Shared notification center for every toast on the page (null without notifications.js)
+ * @returns {Object|null} See PropGridNotifications.createNotificationCenter()
+ */
+function getNotifications() {
+  if (notificationCenter || typeof PropGridNotifications === 'undefined') return notificationCenter;
+  notificationCenter = PropGridNotifications.createNotificationCenter(window.PropGridConfig.notifications);
+  return notificationCenter;
+}
+
+/**
+ * Show a toast
+ * @param {string} message
+ * @param {string} variant - 'success', 'error', 'info', 'warning' or 'action'
+ * @param {Object} options - See notificationCenter.notify()
+ * @returns {Object|null} The notification's handle
+ */
+function notify(message, variant = 'info', options = {}) {
+  const notifications = getNotifications();
+  return notifications ? notifications.notify(Object.assign({}, options, { message, variant })) : null;
+}
+
+// Bump when the shape of the signup payload changes; the API rejects versions it doesn't know
+const SIGNUP_PAYLOAD_VERSION = 1;
+
+// In-progress signup answers are kept in localStorage so a reload doesn't lose them.
+// Drafts from another draft format or signup schema version are discarded.
+const SIGNUP_DRAFT_KEY = 'propgrid-signup-draft';
+const SIGNUP_DRAFT_VERSION = 1;
+const SIGNUP_DRAFT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// The visitor's subscription (see plans.js) as returned by the signup API, so pricing
+// and the success screen can show their tier on later visits
+const SUBSCRIPTION_STORAGE_KEY = 'propgrid-subscription';
+
+// Toast copy for queued submissions replayed by the service worker (see offline-store.js)
+const OUTBOX_NOTICES = {
+  signup: {
+    complete: "You're on the list! The signup you made offline has been submitted.",
+    failed: "We couldn't submit the signup you made offline. Please try again."
+  },
+  contact: {
+    complete: 'Your message has been sent.',
+    failed: "We couldn't send the message you wrote offline. Please try again."
+  }
+};
+
+// --- Error UI ---
+// How loudly a failure shows. Most failures only affect one part of the page, and the rest keeps working.
+const ERROR_SEVERITY = {
+  SILENT: 'silent', // Logged and reported only: third-party scripts, analytics, failed requests
+  INLINE: 'inline', // The failed component shows a fallback with a retry button in its own place
+  TOAST: 'toast', // A dismissible notice; the page keeps working
+  FATAL: 'fatal' // A blocking screen with a reload button, for when the page can't work at all
+};
+
+const DEFAULT_ERROR_MESSAGE = 'Something went wrong. If it keeps happening, try reloading the page.';
+// For the fatal screen when the app itself can't start
+const APP_START_ERROR_MESSAGE = "PropGrid couldn't start properly, so parts of this page won't respond. Reloading usually fixes it.";
+const ERROR_TOAST_DURATION = 8000; // ms before a toast without a retry button hides itself
+
+// Network failures surface as these; the code that made the request decides what the visitor sees
+const NETWORK_ERROR_MESSAGES = [/^Failed to fetch$/, /^NetworkError when attempting to fetch resource\.?$/, /^Load failed$/];
+
+function isOwnScript(url) {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Severity of an uncaught error or rejection: silent unless it came from one of our own scripts
+ * @param {*} error - The thrown value or rejection reason
+ * @param {string} filename - Script the error event names, if any
+ * @returns {string} An ERROR_SEVERITY value
+ */
+function classifyUncaughtError(error, filename) {
+  // Rejections with no Error ("undefined", a string from a library) aren't anything the visitor can act on
+  if (!error || typeof error !== 'object' || typeof error.message !== 'string') return ERROR_SEVERITY.SILENT;
+  if (error.name === 'AbortError' || NETWORK_ERROR_MESSAGES.some(pattern => pattern.test(error.message))) {
+    return ERROR_SEVERITY.SILENT;
+  }
+
+  const frames = typeof PropGridErrors !== 'undefined' ? PropGridErrors.parseStack(error.stack) : [];
+  const fromOurCode = frames.length > 0
+    ? frames.some(frame => isOwnScript(frame.file))
+    : !filename || isOwnScript(filename);
+  return fromOurCode ? ERROR_SEVERITY.TOAST : ERROR_SEVERITY.SILENT;
 }
 
-// --- DRY Global Error Handler ---
-function showCriticalError(msg) {
-  let errorDiv = document.getElementById('critical-error');
-  if (!errorDiv) {
-    errorDiv = document.createElement('div');
-    errorDiv.id = 'critical-error';
-    errorDiv.style.position = 'fixed';
-    errorDiv.style.top = '0';
-    errorDiv.style.left = '0';
-    errorDiv.style.width = '100vw';
-    errorDiv.style.background = '#fee2e2';
-    errorDiv.style.color = '#b91c1c';
-    errorDiv.style.fontSize = '1.25rem';
-    errorDiv.style.padding = '1.5rem';
-    errorDiv.style.zIndex = '9999';
-    errorDiv.style.textAlign = 'center';
-    errorDiv.setAttribute('role', 'alert');
-    errorDiv.setAttribute('aria-live', 'assertive');
-    errorDiv.innerText = 'A critical error occurred: ' + msg;
-    document.body.appendChild(errorDiv);
+/**
+ * Report an error and show it as loudly as its severity calls for
+ * @param {*} error
+ * @param {Object} options - { severity, message, retry, container, context } where retry is offered as a button,
+ *   container is the element an inline fallback replaces (without one, inline falls back to a toast)
+ *   and context goes with the report (see reportError())
+ */
+function handleError(error, options = {}) {
+  const { severity = ERROR_SEVERITY.TOAST, message = DEFAULT_ERROR_MESSAGE, retry = null, container = null, context = {} } = options;
+  reportError(error, Object.assign({ severity }, context));
+
+  if (severity === ERROR_SEVERITY.SILENT) {
+    if (typeof console !== 'undefined' && console.warn) {
+      console.warn('[Errors] Ignored:', error);
+    }
+    return;
+  }
+  if (typeof console !== 'undefined' && console.error) {
+    console.error('Error:', error);
+  }
+
+  if (severity === ERROR_SEVERITY.FATAL) {
+    showFatalError(message, { retry });
+  } else if (severity === ERROR_SEVERITY.INLINE && container) {
+    showErrorFallback(container, message, { retry });
   } else {
-    errorDiv.innerText = 'A critical error occurred: ' + msg;
+    showErrorToast(message, { retry });
   }
-  if (document.body) {
-    document.body.style.display = '';
-    document.body.style.opacity = '1';
+}
+
+/**
+ * Dismissible error notice. Only one shows at a time; a newer error replaces it.
+ * @param {string} message
+ * @param {Object} options - { retry } where retry is called from a "Try again" button
+ */
+function showErrorToast(message, { retry = null } = {}) {
+  notify(message, 'error', {
+    id: 'uncaught-error',
+    // A toast with a retry button waits for the visitor
+    duration: retry ? 0 : ERROR_TOAST_DURATION,
+    actions: retry ? [{ label: 'Try again', onClick: retry }] : []
+  });
+}
+
+/**
+ * Stand-in for a component that failed: hides the container's content and shows a message with a retry button.
+ * Retrying restores the content before calling retry, so a component can initialize against its own markup again.
+ * @param {Element} container
+ * @param {string} message
+ * @param {Object} options - { retry }
+ */
+function showErrorFallback(container, message, { retry = null } = {}) {
+  if (container.querySelector(':scope > [data-error-fallback]')) return;
+
+  const hidden = Array.from(container.children).filter(child => !child.hidden);
+  hidden.forEach(child => {
+    child.hidden = true;
+  });
+
+  const fallback = document.createElement('div');
+  fallback.setAttribute('data-error-fallback', '');
+  fallback.setAttribute('role', 'alert');
+  fallback.className = 'col-span-full flex flex-col items-center justify-center text-center gap-3 p-8 text-gray-600';
+  fallback.innerHTML = `
+    <i class="fas fa-exclamation-circle text-3xl text-gray-300" aria-hidden="true"></i>
+    <p class="text-sm" data-error-message></p>
+    ${retry ? '<button type="button" class="px-4 py-2 rounded-lg border border-gray-300 text-sm font-medium text-gray-700 hover:bg-gray-50" data-error-retry>Try again</button>' : ''}
+  `;
+  fallback.querySelector('[data-error-message]').textContent = message;
+  if (retry) {
+    fallback.querySelector('[data-error-retry]').addEventListener('click', () => {
+      fallback.remove();
+      hidden.forEach(child => {
+        child.hidden = false;
+      });
+      retry();
+    });
+  }
+  container.appendChild(fallback);
+}
+
+/**
+ * Blocking error screen with a reload button. Styled inline so it still shows if the CSS never loaded.
+ * @param {string} message
+ * @param {Object} options - { retry } defaults to reloading the page
+ */
+function showFatalError(message, { retry = () => window.location.reload() } = {}) {
+  let overlay = document.getElementById('fatal-error');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'fatal-error';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'fatal-error-title');
+    overlay.setAttribute('aria-describedby', 'fatal-error-message');
+    Object.assign(overlay.style, {
+      position: 'fixed',
+      inset: '0',
+      zIndex: '9999',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '1.5rem',
+      background: 'rgba(255, 255, 255, 0.96)',
+      fontFamily: 'system-ui, sans-serif',
+      textAlign: 'center'
+    });
+    overlay.innerHTML = `
+      <div style="max-width: 28rem;">
+        <h2 id="fatal-error-title" style="font-size: 1.5rem; font-weight: 700; color: #111827; margin-bottom: 0.75rem;">Something went wrong</h2>
+        <p id="fatal-error-message" style="color: #4b5563; margin-bottom: 1.5rem;"></p>
+        <button type="button" style="background: #2563eb; color: #fff; border: 0; border-radius: 0.5rem; padding: 0.75rem 1.5rem; font-size: 1rem; font-weight: 600; cursor: pointer;">Reload page</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
   }
+  overlay.querySelector('#fatal-error-message').textContent = message;
+  overlay.querySelector('button').onclick = retry;
+  overlay.querySelector('button').focus();
+
+  // Loading animations may still have the page hidden
+  document.body.style.display = '';
+  document.body.style.opacity = '1';
 }
 
-// --- Essential error handler ---
+// --- Essential error handler: the one place uncaught errors are captured and reported ---
+getErrorReporter();
+
 window.addEventListener('error', function(e) {
-  console.error('Error:', e.error || e.message);
-  showCriticalError(e.error ? e.error.message : e.message);
+  handleError(e.error || e.message, {
+    severity: classifyUncaughtError(e.error, e.filename),
+    context: { mechanism: 'onerror', filename: e.filename, lineno: e.lineno, colno: e.colno }
+  });
   e.preventDefault();
 });
 
 window.addEventListener('unhandledrejection', function(e) {
-  console.error('Promise rejection:', e.reason);
-  showCriticalError(e.reason ? e.reason.message : e.reason);
-  e.preventDefault();
-});
-
-// Add error boundary for component initialization
-window.addEventListener('DOMContentLoaded', function() {
-  // Monitor for DOM mutations that might indicate errors
-  const observer = new MutationObserver(function(mutations) {
-    mutations.forEach(function(mutation) {
-      if (mutation.type === 'childList') {
-        // Check if critical elements were removed
-        const criticalElements = ['email-list', 'signup-form'];
-        criticalElements.forEach(id => {
-          if (!document.getElementById(id) && window.app) {
-            if (typeof console !== 'undefined' && console.warn) {
-              console.warn(`⚠️ Critical element ${id} was removed, attempting recovery`);
-            }
-            // Attempt to recover
-            setTimeout(() => {
-              if (!document.getElementById(id)) {
-                if (typeof console !== 'undefined' && console.warn) {
-                  console.warn(`⚠️ Critical element ${id} is missing - this may affect functionality`);
-                }
-                // Only show critical error for truly essential elements
-                if (id === 'signup-form') {
-                  showCriticalError(`Critical element ${id} is missing`);
-                }
-              }
-            }, 1000);
-          }
-        });
-      }
-    });
-  });
-  
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
+  handleError(e.reason, {
+    severity: classifyUncaughtError(e.reason),
+    context: { mechanism: 'onunhandledrejection' }
   });
+  e.preventDefault();
 });
 
 // --- Enhanced Defensive Initialization and Logging ---
@@ -263,20 +648,18 @@ const debug = {
             console.error = originalError;
         }, 1000);
         
-        // Check performance
-        if ('performance' in window) {
-            const timing = performance.timing;
-            if (timing) {
-                const loadTime = timing.loadEventEnd - timing.navigationStart;
-                this.log(`Page load time: ${loadTime}ms`);
+        // Check performance (navigation timing is relative to the start of the navigation)
+        if ('performance' in window && typeof performance.getEntriesByType === 'function') {
+            const [navigation] = performance.getEntriesByType('navigation');
+            if (navigation) {
+                this.log(`Page load time: ${Math.round(navigation.loadEventEnd)}ms (TTFB ${Math.round(navigation.responseStart)}ms)`);
             }
         }
     }
 };
 
-// --- Log AppState and emailDeals at the top for debugging ---
+// --- Log AppState at the top for debugging ---
 debug.log('AppState:', typeof AppState !== 'undefined' ? AppState : 'undefined');
-debug.log('emailDeals:', typeof emailDeals !== 'undefined' ? emailDeals : 'undefined');
 
 // Run diagnostic on page load
 window.addEventListener('load', () => {
@@ -309,7 +692,7 @@ window.debugConsole = {
     checkAppState() {
         console.log('App State:', window.AppState);
         console.log('App Instance:', window.app);
-        console.log('Email Deals:', window.emailDeals);
+        console.log('Deals:', window.AppState && window.AppState.deals);
     },
     
     // Restart app
@@ -344,17 +727,25 @@ document.addEventListener('keydown', (e) => {
 });
 
 class EmailSimulation {
-    constructor() {
+    constructor({ listen }) {
         if (typeof console !== 'undefined' && console.log) {
             console.log('[EmailSimulation] Initializing...');
         }
         this.container = utils.getElement('email-list');
         this.emailCount = utils.getElement('emailCount');
+        this.filterLabel = utils.getElement('email-filter-label');
+        this.strategyFilter = utils.getElement('email-strategy-filter');
+        this.options = Object.assign({}, EMAIL_SIMULATION_DEFAULTS, window.PropGridConfig.emailSimulation || {});
+        this.allDeals = []; // Full feed; AppState.deals holds the filtered playlist
+        this.filters = this.getFiltersFromUrl();
         this.intervalId = null;
+        this.typingTimeout = null;
         this.animationFrame = null;
         this.isRunning = false;
+        this.isPausedByUser = false;
         this.emailCache = new Map(); // Cache for email elements
-        this.eventListeners = new Map(); // Track event listeners for cleanup
+        this.rememberedDeals = new Set(); // Deals already handed to the offline library this visit
+        this.listen = listen;
         
         if (!this.container) {
             if (typeof console !== 'undefined' && console.error) {
@@ -370,49 +761,155 @@ class EmailSimulation {
             // Don't show critical error for missing email count - it's not essential
             return;
         }
-        try {
-            this.init();
-        } catch (err) {
-            if (typeof console !== 'undefined' && console.error) {
-                console.error('[EmailSimulation] Initialization error:', err);
-            }
-            showCriticalError('Email simulation failed to initialize: ' + (err && err.message ? err.message : err));
-        }
+        // Failures reach the error boundary in PropGridApp.handleComponentError
+        this.init();
     }
 
     init() {
-        // Initialize immediately if elements are available
-        if (this.container && this.emailCount) {
-            // Reset state
-            AppState.currentEmailStep = 0;
-            AppState.visibleEmails = [];
-            
-            // Start simulation after a short delay
+        // Reset state
+        AppState.currentEmailStep = 0;
+        AppState.visibleEmails = [];
+        this.setupFilterControls();
+        this.setupDealActions();
+
+        // Start simulation a short moment after the feed arrives
+        this.loadDeals().then(() => {
             setTimeout(() => {
                 this.startSimulation();
-            }, 2000);
-        } else {
-            // Retry initialization after DOM is ready
-            setTimeout(() => {
-                this.delayedInit();
-            }, 1000);
+            }, this.options.startDelay);
+        });
+    }
+
+    /**
+     * Load the deal feed (see loadDealFeed) into the inbox playlist
+     * @returns {Promise<Array>} The loaded deals (empty if every source failed)
+     */
+    async loadDeals() {
+        this.allDeals = await loadDealFeed();
+        this.applyFilters();
+        return this.allDeals;
+    }
+
+    getFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            city: normalizeSlug(params.get('city')),
+            strategy: normalizeSlug(params.get('strategy'))
+        };
+    }
+
+    setupFilterControls() {
+        if (!this.strategyFilter) return;
+
+        this.strategyFilter.value = this.filters.strategy || '';
+        this.listen(this.strategyFilter, 'change', () => this.setFilters({ strategy: this.strategyFilter.value }));
+    }
+
+    // "Analyze deal" on a card loads it into the deal calculator. Delegated because cards are re-rendered from a cache.
+    setupDealActions() {
+        const handler = (event) => {
+            const button = event.target.closest('[data-action="analyze-deal"]');
+            if (!button) return;
+
+            const card = button.closest('[data-deal-id]');
+            const deal = card && this.allDeals.find(item => item.id === card.dataset.dealId);
+            const calculator = window.app && window.app.mount('dealCalculator');
+            if (deal && calculator) {
+                event.stopPropagation();
+                calculator.prefill(deal);
+            }
+        };
+        this.listen(this.container, 'click', handler);
+    }
+
+    /**
+     * Narrow the demo inbox to a city and/or strategy and restart playback
+     * @param {Object} filters - { city, strategy }; empty values clear a filter
+     */
+    setFilters(filters) {
+        Object.keys(filters).forEach(key => {
+            this.filters[key] = normalizeSlug(filters[key]);
+        });
+
+        const wasRunning = this.isRunning;
+        this.reset();
+        this.applyFilters();
+        if (wasRunning) {
+            this.start();
         }
     }
-    
-    delayedInit() {
-        // Check if elements are now available
-        if (this.container && this.emailCount) {
-            // Reset state
-            AppState.currentEmailStep = 0;
-            AppState.visibleEmails = [];
-            
-            // Start simulation
-            this.startSimulation();
+
+    applyFilters() {
+        const { city, strategy } = this.filters;
+        const matches = DealMatching.match({ city, strategy }, this.allDeals).map(result => result.deal);
+
+        // Never leave the demo empty: show every deal when nothing matches
+        this.filtersMatched = matches.length > 0;
+        AppState.deals = this.filtersMatched ? matches : this.allDeals.slice();
+        this.updateFilterLabel();
+    }
+
+    updateFilterLabel() {
+        if (!this.filterLabel) return;
+
+        const { city, strategy } = this.filters;
+        const parts = [];
+        if (city) parts.push(formatSlug(city));
+        if (strategy && this.strategyFilter) {
+            const option = this.strategyFilter.querySelector(`option[value="${strategy}"]`);
+            parts.push(option ? option.textContent.trim() : formatSlug(strategy));
+        } else if (strategy) {
+            parts.push(formatSlug(strategy));
+        }
+
+        if (parts.length === 0) {
+            this.filterLabel.textContent = 'Demo mode';
+        } else if (this.filtersMatched) {
+            this.filterLabel.textContent = `Demo mode · ${parts.join(' · ')} deals`;
         } else {
-            if (typeof console !== 'undefined' && console.warn) {
-                console.warn('[EmailSimulation] Elements still not found after retry');
-            }
+            this.filterLabel.textContent = `Demo mode · No ${parts.join(' · ')} deals yet, showing all markets`;
+        }
+    }
+
+    // --- Playback API ---
+
+    start() {
+        this.isPausedByUser = false;
+        this.startSimulation();
+    }
+
+    pause() {
+        this.isPausedByUser = true;
+        this.stopSimulation();
+    }
+
+    reset() {
+        this.stopSimulation();
+        this.resetEmails();
+    }
+
+    /**
+     * Jump playback so the inbox looks as if 'step' deals had been delivered
+     * @param {number} step - Number of deals delivered so far
+     */
+    seek(step) {
+        const deals = AppState.deals;
+        const target = Math.max(0, Math.floor(step));
+        if (deals.length === 0) return;
+
+        const delivered = this.options.loop ? target : Math.min(target, deals.length);
+        const firstVisible = Math.max(0, delivered - this.options.maxVisible);
+        AppState.visibleEmails = [];
+        for (let i = firstVisible; i < delivered; i++) {
+            AppState.visibleEmails.push(deals[i % deals.length]);
+        }
+        AppState.currentEmailStep = delivered % deals.length;
+        if (!this.options.loop && delivered >= deals.length) {
+            AppState.currentEmailStep = deals.length;
         }
+
+        this.renderEmails();
+        this.updateEmailCount();
     }
 
     startSimulation() {
@@ -421,7 +918,7 @@ class EmailSimulation {
             this.intervalId = null;
         }
         
-        if (this.isRunning) return;
+        if (this.isRunning || this.isPausedByUser) return;
         
         // Check if we have the required elements
         if (!this.container || !this.emailCount) {
@@ -430,21 +927,34 @@ class EmailSimulation {
             }
             return;
         }
+
+        // Nothing to play until the feed has loaded
+        if (AppState.deals.length === 0) return;
         
         this.isRunning = true;
-        this.intervalId = setInterval(() => {
-            if (AppState.currentEmailStep < emailDeals.length) {
-                this.setTypingState(true);
-                
-                setTimeout(() => {
-                    this.addEmail(emailDeals[AppState.currentEmailStep]);
-                    this.setTypingState(false);
-                    AppState.currentEmailStep++;
-                }, 1500);
-            } else {
+        AppState.isSimulationRunning = true;
+        this.intervalId = setInterval(() => this.deliverNext(), this.options.interval);
+    }
+
+    deliverNext() {
+        const deals = AppState.deals;
+        if (AppState.currentEmailStep >= deals.length) {
+            if (!this.options.loop) {
                 this.stopSimulation();
+                return;
             }
-        }, 3000);
+            AppState.currentEmailStep = 0;
+        }
+
+        const deal = deals[AppState.currentEmailStep];
+        this.setTypingState(true);
+
+        this.typingTimeout = setTimeout(() => {
+            this.typingTimeout = null;
+            this.addEmail(deal);
+            this.setTypingState(false);
+            AppState.currentEmailStep++;
+        }, this.options.typingDelay);
     }
 
     stopSimulation() {
@@ -452,6 +962,11 @@ class EmailSimulation {
             clearInterval(this.intervalId);
             this.intervalId = null;
         }
+        if (this.typingTimeout) {
+            clearTimeout(this.typingTimeout);
+            this.typingTimeout = null;
+            this.setTypingState(false);
+        }
         this.isRunning = false;
         AppState.isSimulationRunning = false;
     }
@@ -466,13 +981,25 @@ class EmailSimulation {
 
     addEmail(email) {
         if (!email || !this.container) return;
+
+        // Replace the empty-inbox placeholder with the first email
+        if (AppState.visibleEmails.length === 0) {
+            this.container.innerHTML = '';
+        }
         
         // Create email element efficiently
         const emailElement = this.createEmailElement(email);
         this.container.appendChild(emailElement);
+        this.rememberDeal(email);
         
-        // Update visible emails array
+        // Update visible emails array; when looping, the oldest email rotates out
         AppState.visibleEmails.push(email);
+        while (AppState.visibleEmails.length > this.options.maxVisible) {
+            AppState.visibleEmails.shift();
+            if (this.container.firstElementChild) {
+                this.container.removeChild(this.container.firstElementChild);
+            }
+        }
         
         // Update count
         this.updateEmailCount();
@@ -483,6 +1010,13 @@ class EmailSimulation {
         });
     }
 
+    // Delivered deals go into the offline library so offline.html can list them (see offline-store.js)
+    rememberDeal(deal) {
+        if (typeof DealLibrary === 'undefined' || this.rememberedDeals.has(deal.id)) return;
+        this.rememberedDeals.add(deal.id);
+        DealLibrary.remember([deal], 'inbox').catch(() => {});
+    }
+
     createEmailElement(email) {
         // Check cache first
         if (this.emailCache.has(email.id)) {
@@ -490,6 +1024,7 @@ class EmailSimulation {
         }
         
         const emailDiv = document.createElement('div');
+        emailDiv.dataset.dealId = email.id;
         emailDiv.className = 'bg-white border border-gray-200 rounded-lg p-4 mb-3 shadow-sm hover:shadow-md transition-all duration-200 cursor-pointer opacity-0';
         
         // Determine status indicator
@@ -503,25 +1038,21 @@ class EmailSimulation {
         emailDiv.innerHTML = `
             <div class="flex items-start space-x-3">
                 <div class="w-8 h-8 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-full flex items-center justify-center text-sm font-medium flex-shrink-0">
-                    ${email.avatar}
+                    ${utils.escapeHtml(email.avatar)}
                 </div>
                 <div class="flex-1 min-w-0">
                     <div class="flex items-center justify-between mb-2">
-                        <h4 class="text-sm font-semibold text-gray-900 truncate pr-2">${email.subject}</h4>
-                        <span class="text-xs text-gray-500 flex-shrink-0">${email.time}</span>
+                        <h4 class="text-sm font-semibold text-gray-900 truncate pr-2">${utils.escapeHtml(email.subject)}</h4>
+                        <span class="text-xs text-gray-500 flex-shrink-0">${utils.escapeHtml(email.time)}</span>
                     </div>
-                    <p class="text-xs text-gray-600 mb-2 font-medium">${email.sender}</p>
-                    <p class="text-sm text-gray-700 leading-relaxed">${email.preview}</p>
+                    <p class="text-xs text-gray-600 mb-2 font-medium">${utils.escapeHtml(email.sender)}</p>
+                    <p class="text-sm text-gray-700 leading-relaxed">${utils.escapeHtml(email.preview)}</p>
                     
-                    <!-- Deal Metrics (for deal emails) -->
-                    ${email.subject.includes('DEAL') || email.subject.includes('Commercial') || email.subject.includes('Land') ? `
-                        <div class="mt-3 flex flex-wrap gap-2">
-                            ${email.preview.includes('CoC') ? '<span class="bg-green-100 text-green-700 text-xs px-2 py-1 rounded-full font-medium">High Cash Flow</span>' : ''}
-                            ${email.preview.includes('cap rate') ? '<span class="bg-blue-100 text-blue-700 text-xs px-2 py-1 rounded-full font-medium">Strong Cap Rate</span>' : ''}
-                            ${email.preview.includes('off-market') ? '<span class="bg-purple-100 text-purple-700 text-xs px-2 py-1 rounded-full font-medium">Off-Market</span>' : ''}
-                            ${email.preview.includes('distressed') ? '<span class="bg-orange-100 text-orange-700 text-xs px-2 py-1 rounded-full font-medium">Distressed</span>' : ''}
-                            ${email.preview.includes('development') ? '<span class="bg-indigo-100 text-indigo-700 text-xs px-2 py-1 rounded-full font-medium">Development</span>' : ''}
-                        </div>
+                    ${this.renderDealMetrics(email)}
+                    ${email.price ? `
+                        <button type="button" class="mt-3 inline-flex items-center gap-1 text-xs font-semibold text-blue-700 hover:text-blue-900" data-action="analyze-deal">
+                            <i class="fas fa-calculator"></i> Analyze deal
+                        </button>
                     ` : ''}
                 </div>
                 <div class="flex flex-col items-center space-y-2">
@@ -539,9 +1070,14 @@ class EmailSimulation {
         return emailDiv;
     }
 
+    // Key numbers and computed badges (see deal-model.js) under the email preview
+    renderDealMetrics(deal) {
+        return renderDealMetrics(deal);
+    }
+
     resetEmails() {
         if (this.container) {
-            this.container.innerHTML = '';
+            this.container.innerHTML = EMPTY_INBOX_HTML;
         }
         AppState.visibleEmails = [];
         AppState.currentEmailStep = 0;
@@ -558,17 +1094,17 @@ class EmailSimulation {
         if (!this.container) return;
         
         // Clear container
-        this.container.innerHTML = '';
+        this.container.innerHTML = AppState.visibleEmails.length === 0 ? EMPTY_INBOX_HTML : '';
         
         // Render existing emails
-        AppState.visibleEmails.forEach(email => {
+        AppState.visibleEmails.forEach((email, index) => {
             const emailElement = this.createEmailElement(email);
             this.container.appendChild(emailElement);
             
             // Animate in with staggered delay
             setTimeout(() => {
                 emailElement.classList.add('email-item');
-            }, AppState.visibleEmails.indexOf(email) * 100);
+            }, index * 100);
         });
     }
 
@@ -580,12 +1116,6 @@ class EmailSimulation {
             this.animationFrame = null;
         }
         
-        // Clear event listeners
-        this.eventListeners.forEach(({ element, event, handler, options }) => {
-            utils.removeEventListener(element, event, handler, options);
-        });
-        this.eventListeners.clear();
-        
         // Clear cache
         this.emailCache.clear();
         
@@ -596,28 +1126,481 @@ class EmailSimulation {
     }
 }
 
-// Navigation system with performance optimizations
-class Navigation {
-    constructor() {
-        this.navbar = utils.getElement('navbar');
-        this.mobileMenu = utils.getElement('mobile-menu');
-        this.mobileMenuButton = utils.getElement('mobile-menu-btn');
-        this.mobileMenuClose = utils.getElement('mobile-menu-close');
-        this.scrollTimeout = null;
-        this.isScrolling = false;
-        this.eventListeners = new Map(); // Track event listeners for cleanup
-        
+// Deal underwriting calculator (see underwriting.js); prefilled from "Analyze deal" on inbox cards
+class DealCalculator {
+    constructor({ listen }) {
+        this.form = utils.getElement('deal-calculator-form');
+        this.results = utils.getElement('calc-results');
+        this.schedule = utils.getElement('calc-schedule');
+        this.dealLabel = utils.getElement('calc-deal-label');
+        this.listen = listen;
+
+        if (!this.form || !this.results || typeof Underwriting === 'undefined') {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[DealCalculator] Missing calculator markup or underwriting.js. Skipping initialization.');
+            }
+            return;
+        }
         this.init();
     }
 
     init() {
-        if (!this.navbar) return;
-        
-        this.setupScrollEffects();
-        this.setupMobileMenu();
-        this.setupSmoothScrolling();
-        this.setupKeyboardNavigation();
-    }
+        this.listen(this.form, 'input', utils.debounce(() => this.calculate(), 150));
+        this.listen(this.form, 'submit', (event) => {
+            event.preventDefault();
+            this.calculate();
+        });
+
+        this.calculate();
+    }
+
+    /**
+     * Read the form into Underwriting.analyze() inputs
+     * @returns {Object|null} Inputs, or null when the price is missing
+     */
+    readInputs() {
+        const inputs = {};
+        Object.entries(DEAL_CALCULATOR_FIELDS).forEach(([key, { id, percent }]) => {
+            const input = utils.getElement(id);
+            if (!input || input.value === '') return;
+            const value = Number(input.value);
+            if (Number.isFinite(value)) {
+                inputs[key] = percent ? value / 100 : value;
+            }
+        });
+
+        if (!(inputs.price > 0)) return null;
+        return inputs;
+    }
+
+    /**
+     * Re-run the analysis from the current inputs and render it
+     * @returns {Object|null} The analysis
+     */
+    calculate() {
+        const inputs = this.readInputs();
+        this.analysis = inputs ? Underwriting.analyze(inputs) : null;
+        this.render(this.analysis);
+        return this.analysis;
+    }
+
+    /**
+     * Load a deal's numbers into the calculator and scroll to it
+     * @param {Object} deal - Deal from DealModel.create()
+     */
+    prefill(deal) {
+        const inputs = DealModel.toUnderwritingInputs(deal);
+        Object.entries(DEAL_CALCULATOR_FIELDS).forEach(([key, { id, percent }]) => {
+            const input = utils.getElement(id);
+            if (!input || inputs[key] === undefined) return;
+            // Round away float noise such as 0.07 * 100 = 7.000000000000001
+            input.value = percent ? String(Math.round(inputs[key] * 10000) / 100) : String(inputs[key]);
+        });
+
+        if (this.dealLabel) {
+            this.dealLabel.textContent = `Analyzing: ${deal.subject || deal.id}`;
+            this.dealLabel.hidden = false;
+        }
+
+        this.calculate();
+        utils.scrollToElement('deal-calculator');
+    }
+
+    render(analysis) {
+        const setMetric = (name, text) => {
+            const element = this.results.querySelector(`[data-metric="${name}"]`);
+            if (element) element.textContent = text;
+        };
+        const ratioText = value => (value === null || value === undefined ? '—' : `${value.toFixed(2)}x`);
+
+        if (!analysis) {
+            this.results.querySelectorAll('dd[data-metric]').forEach(element => {
+                element.textContent = '—';
+            });
+            if (this.schedule) this.schedule.innerHTML = '';
+            return;
+        }
+
+        const { projection } = analysis;
+        const finalYear = projection.years[projection.years.length - 1];
+        setMetric('noi', DealModel.formatCurrency(analysis.noi));
+        setMetric('capRate', DealModel.formatPercent(analysis.capRate));
+        setMetric('cashOnCash', DealModel.formatPercent(analysis.cashOnCash));
+        setMetric('monthlyCashFlow', DealModel.formatCurrency(analysis.monthlyCashFlow));
+        setMetric('dscr', ratioText(analysis.dscr));
+        setMetric('grm', analysis.grm === null ? '—' : analysis.grm.toFixed(1));
+        setMetric('onePercentRule', analysis.onePercentRule.ratio === null
+            ? '—'
+            : `${DealModel.formatPercent(analysis.onePercentRule.ratio, 2)} ${analysis.onePercentRule.passes ? '✓' : '✗'}`);
+        setMetric('holdYears', String(analysis.inputs.holdYears));
+        setMetric('irr', DealModel.formatPercent(projection.irr));
+        setMetric('equity', DealModel.formatCurrency(finalYear ? finalYear.equity : null));
+
+        if (this.schedule) {
+            this.schedule.innerHTML = projection.years.map(year => {
+                const loanYear = analysis.amortization[year.year - 1];
+                return `
+                    <tr>
+                        <td class="px-4 py-2">${year.year}</td>
+                        <td class="px-4 py-2 text-right">${DealModel.formatCurrency(year.cashFlow)}</td>
+                        <td class="px-4 py-2 text-right">${DealModel.formatCurrency(loanYear ? loanYear.principal : 0)}</td>
+                        <td class="px-4 py-2 text-right">${DealModel.formatCurrency(year.loanBalance)}</td>
+                        <td class="px-4 py-2 text-right">${DealModel.formatCurrency(year.equity)}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+    }
+}
+
+// Deals listing (#deals, narrowed by ?city=) and the deal detail view for ?deal=<id> and
+// web+propgrid: links (see protocol_handlers in manifest.json). Links between them navigate in place.
+class DealDirectory {
+    constructor({ listen }) {
+        this.list = utils.getElement('deals-list');
+        this.listTitle = utils.getElement('deals-title');
+        this.listSummary = utils.getElement('deals-summary');
+        this.cityLinks = utils.getElement('deals-cities');
+        this.detailSection = utils.getElement('deal-detail');
+        this.detail = utils.getElement('deal-detail-content');
+        this.deals = [];
+        this.defaultTitle = document.title;
+        this.listen = listen;
+
+        if (!this.list || !this.detailSection || !this.detail) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[DealDirectory] Missing #deals-list or #deal-detail markup. Skipping initialization.');
+            }
+            return;
+        }
+        this.init();
+    }
+
+    /**
+     * Deal id from a ?deal= value. Protocol handler links arrive whole,
+     * e.g. "web+propgrid://deal/atx-3br-rental" or "web+propgrid:atx-3br-rental".
+     * @param {string|null} value
+     * @returns {string|null}
+     */
+    static parseDealParam(value) {
+        let id = String(value || '').trim();
+        const protocolLink = id.match(/^web\+propgrid:(?:\/\/)?(.*)$/i);
+        if (protocolLink) {
+            id = protocolLink[1].split(/[?#]/)[0].replace(/^deals?\//i, '').replace(/\/+$/, '');
+        }
+        return id || null;
+    }
+
+    // Listing and detail URLs, shared by cards, the share button and notifications (see dev-server.js)
+    static dealUrl(deal) {
+        return `/?deal=${encodeURIComponent(deal.id)}`;
+    }
+
+    static cityUrl(city) {
+        return city ? `/?city=${encodeURIComponent(city)}#deals` : '/#deals';
+    }
+
+    init() {
+        this.listen(document, 'click', (event) => {
+            const link = event.target.closest('a[data-deal-link]');
+            // Let modified clicks open a new tab as usual
+            if (link && event.button === 0 && !event.metaKey && !event.ctrlKey && !event.shiftKey && !event.altKey) {
+                event.preventDefault();
+                this.navigate(link.getAttribute('href'));
+                return;
+            }
+
+            const action = event.target.closest('[data-deal-action]');
+            if (action && this.currentDeal) {
+                this.handleAction(action.dataset.dealAction, this.currentDeal);
+            }
+        });
+        this.listen(window, 'popstate', () => this.route());
+
+        loadDealFeed().then(deals => {
+            this.deals = deals;
+            this.route({ initial: true });
+        });
+    }
+
+    getRoute() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            dealId: DealDirectory.parseDealParam(params.get('deal')),
+            city: normalizeSlug(params.get('city'))
+        };
+    }
+
+    /**
+     * Show a listing or deal URL without reloading the page
+     * @param {string} url - e.g. "/?deal=atx-3br-rental" or "/?city=austin#deals"
+     */
+    navigate(url) {
+        window.history.pushState({}, '', url);
+        this.route();
+    }
+
+    route({ initial = false } = {}) {
+        const { dealId, city } = this.getRoute();
+        this.city = city;
+        this.renderList();
+
+        // Keep the demo inbox on the same market as the listing
+        const inbox = window.app && window.app.getComponent('emailSimulation');
+        if (!initial && inbox && inbox.setFilters && inbox.filters.city !== city) {
+            inbox.setFilters({ city });
+        }
+
+        if (dealId) {
+            this.showDeal(dealId);
+            utils.scrollToElement('deal-detail');
+        } else {
+            this.hideDeal();
+            if (city || window.location.hash === '#deals') {
+                utils.scrollToElement('deals');
+            }
+        }
+    }
+
+    renderList() {
+        const cities = [...new Set(this.deals.map(deal => normalizeSlug(deal.city)).filter(Boolean))].sort();
+        const deals = this.city ? this.deals.filter(deal => normalizeSlug(deal.city) === this.city) : this.deals;
+
+        if (this.listTitle) {
+            this.listTitle.textContent = this.city ? `Deals in ${formatSlug(this.city)}` : 'Latest Deals';
+        }
+        if (this.listSummary) {
+            this.listSummary.textContent = deals.length === 1 ? '1 deal' : `${deals.length} deals`;
+        }
+        if (this.cityLinks) {
+            this.cityLinks.innerHTML = ['', ...cities].map(city => {
+                const active = city === (this.city || '');
+                return `
+                    <a href="${DealDirectory.cityUrl(city)}" data-deal-link
+                       class="px-4 py-2 rounded-full text-sm font-medium transition-colors ${active ? 'bg-primary text-white' : 'bg-white text-gray-700 border border-gray-200 hover:border-primary hover:text-primary'}"
+                       ${active ? 'aria-current="page"' : ''}>${city ? utils.escapeHtml(formatSlug(city)) : 'All markets'}</a>
+                `;
+            }).join('');
+        }
+
+        if (deals.length === 0) {
+            this.list.innerHTML = `
+                <div class="col-span-full text-center text-gray-500 py-12">
+                    <i class="fas fa-search-location text-4xl mb-4 text-gray-300"></i>
+                    <p class="text-lg font-medium">${this.city ? `No ${utils.escapeHtml(formatSlug(this.city))} deals right now` : 'No deals right now'}</p>
+                    ${this.city ? `<a href="${DealDirectory.cityUrl('')}" data-deal-link class="text-primary font-medium hover:underline">See deals in every market</a>` : ''}
+                </div>
+            `;
+            return;
+        }
+
+        this.list.innerHTML = deals.map(deal => `
+            <a href="${DealDirectory.dealUrl(deal)}" data-deal-link data-deal-id="${utils.escapeHtml(deal.id)}"
+               class="block bg-white border border-gray-200 rounded-2xl p-6 shadow-sm hover:shadow-md hover:border-primary transition-all duration-200">
+                <div class="flex items-center gap-3 mb-3">
+                    <span class="text-2xl" aria-hidden="true">${utils.escapeHtml(deal.avatar || '🏠')}</span>
+                    <span class="text-xs font-medium text-gray-500 uppercase tracking-wide">${utils.escapeHtml(formatSlug(deal.city) || 'Undisclosed market')}</span>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-900 mb-2">${utils.escapeHtml(deal.subject)}</h3>
+                <p class="text-sm text-gray-600">${utils.escapeHtml(deal.preview || '')}</p>
+                ${renderDealMetrics(deal)}
+            </a>
+        `).join('');
+    }
+
+    /**
+     * Render the detail view for a deal, or a not-found message
+     * @param {string} dealId
+     */
+    showDeal(dealId) {
+        const deal = this.deals.find(item => item.id === dealId);
+        this.currentDeal = deal || null;
+        this.detailSection.hidden = false;
+
+        if (!deal) {
+            document.title = this.defaultTitle;
+            this.detail.innerHTML = `
+                <div class="text-center py-12">
+                    <i class="fas fa-search text-4xl mb-4 text-gray-300"></i>
+                    <h2 class="text-2xl font-bold text-gray-900 mb-2" id="deal-detail-title" tabindex="-1">We couldn't find that deal</h2>
+                    <p class="text-gray-600 mb-6">It may have sold or been taken off the market.</p>
+                    <a href="${DealDirectory.cityUrl('')}" data-deal-link class="text-primary font-medium hover:underline">Browse current deals</a>
+                </div>
+            `;
+            return;
+        }
+
+        const city = normalizeSlug(deal.city);
+        const location = deal.address || formatSlug(city) || 'Undisclosed market';
+        document.title = `${deal.subject} | PropGrid`;
+        if (typeof DealLibrary !== 'undefined') {
+            DealLibrary.remember([deal], 'viewed').catch(() => {});
+        }
+
+        this.detail.innerHTML = `
+            <nav class="flex flex-wrap items-center gap-2 text-sm text-gray-500 mb-6" aria-label="Breadcrumb">
+                <a href="${DealDirectory.cityUrl('')}" data-deal-link class="hover:text-primary"><i class="fas fa-arrow-left mr-1"></i>All deals</a>
+                ${city ? `<span aria-hidden="true">/</span><a href="${DealDirectory.cityUrl(city)}" data-deal-link class="hover:text-primary">${utils.escapeHtml(formatSlug(city))}</a>` : ''}
+            </nav>
+            <header class="mb-8">
+                <div class="flex items-center gap-3 mb-3">
+                    <span class="text-3xl" aria-hidden="true">${utils.escapeHtml(deal.avatar || '🏠')}</span>
+                    <span class="text-sm font-medium text-gray-500">${utils.escapeHtml([location, formatSlug(normalizeSlug(deal.propertyType)), deal.units ? `${deal.units} unit${deal.units === 1 ? '' : 's'}` : ''].filter(Boolean).join(' · '))}</span>
+                </div>
+                <h2 class="text-3xl sm:text-4xl font-bold text-gray-900 mb-4" id="deal-detail-title" tabindex="-1">${utils.escapeHtml(deal.subject)}</h2>
+                <p class="text-lg text-gray-600">${utils.escapeHtml(deal.preview || '')}</p>
+                ${(deal.badges || []).length > 0 ? `
+                    <div class="mt-4 flex flex-wrap gap-2">
+                        ${deal.badges.map(badge => `<span class="${utils.escapeHtml(badge.className)} text-xs px-2 py-1 rounded-full font-medium" data-badge="${utils.escapeHtml(badge.id)}">${utils.escapeHtml(badge.label)}</span>`).join('')}
+                    </div>
+                ` : ''}
+            </header>
+            ${this.renderPhotos(deal)}
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-8 mt-8">
+                <div class="lg:col-span-2">
+                    <h3 class="text-xl font-semibold text-gray-900 mb-4">The Numbers</h3>
+                    ${this.renderFigures(deal)}
+                </div>
+                <div>
+                    <h3 class="text-xl font-semibold text-gray-900 mb-4">Location</h3>
+                    <div class="h-48 bg-gray-100 border border-gray-200 rounded-xl flex flex-col items-center justify-center text-center p-4" role="img" aria-label="Map of ${utils.escapeHtml(location)}" data-map-placeholder>
+                        <i class="fas fa-map-marked-alt text-3xl text-gray-400 mb-2"></i>
+                        <p class="text-sm font-medium text-gray-700">${utils.escapeHtml(location)}</p>
+                        <p class="text-xs text-gray-500">Exact address shared with subscribers</p>
+                    </div>
+                    <a href="https://www.openstreetmap.org/search?query=${encodeURIComponent(location)}" target="_blank" rel="noopener" class="inline-block mt-2 text-sm text-primary hover:underline">Open in maps</a>
+                </div>
+            </div>
+            <div class="mt-8 flex flex-wrap gap-3">
+                <button type="button" class="bg-primary text-white px-5 py-3 rounded-lg font-medium hover:bg-blue-600 transition-colors" data-deal-action="share">
+                    <i class="fas fa-share-alt mr-2"></i>Share deal
+                </button>
+                ${deal.price ? `
+                    <button type="button" class="bg-white text-gray-900 px-5 py-3 rounded-lg font-medium border border-gray-200 hover:border-primary hover:text-primary transition-colors" data-deal-action="analyze">
+                        <i class="fas fa-calculator mr-2"></i>Analyze deal
+                    </button>
+                ` : ''}
+                <a href="#signup" class="bg-white text-gray-900 px-5 py-3 rounded-lg font-medium border border-gray-200 hover:border-primary hover:text-primary transition-colors">
+                    <i class="fas fa-bell mr-2"></i>Get deals like this
+                </a>
+            </div>
+        `;
+
+        const title = utils.getElement('deal-detail-title');
+        if (title) title.focus({ preventScroll: true });
+    }
+
+    renderPhotos(deal) {
+        const photos = deal.photos || [];
+        if (photos.length === 0) {
+            return `
+                <div class="grid grid-cols-3 gap-4" aria-label="Photos coming soon">
+                    ${[0, 1, 2].map(() => `
+                        <div class="aspect-video bg-gradient-to-br from-gray-100 to-gray-200 rounded-xl flex items-center justify-center text-gray-400">
+                            <i class="fas fa-image text-2xl"></i>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+        return `
+            <div class="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                ${photos.map((photo, index) => `
+                    <img src="${utils.escapeHtml(photo)}" alt="${utils.escapeHtml(`${deal.subject}, photo ${index + 1}`)}" loading="lazy"
+                         class="w-full aspect-video object-cover rounded-xl ${index === 0 ? 'col-span-2 row-span-2 h-full' : ''}">
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Headline numbers plus the fuller underwriting (DSCR, cash to close) when price and rent are known
+    renderFigures(deal) {
+        const metrics = deal.metrics || {};
+        const analysis = deal.price && deal.monthlyRent ? Underwriting.analyze(DealModel.toUnderwritingInputs(deal)) : null;
+        // Monthly amounts to the dollar; formatCurrency would round $2,450 to $2k
+        const dollars = value => (value === null || value === undefined ? '—' : `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value)).toLocaleString('en-US')}`);
+        const figures = [
+            ['Asking price', DealModel.formatCurrency(deal.price)],
+            ['Monthly rent', dollars(deal.monthlyRent)],
+            ['NOI', DealModel.formatCurrency(metrics.noi)],
+            ['Cap rate', DealModel.formatPercent(metrics.capRate)],
+            ['Cash-on-cash', DealModel.formatPercent(metrics.cashOnCash)],
+            ['Monthly cash flow', dollars(metrics.monthlyCashFlow)],
+            ['DSCR', analysis && analysis.dscr !== null ? `${analysis.dscr.toFixed(2)}x` : '—'],
+            ['Cash to close', DealModel.formatCurrency(metrics.totalCashInvested)]
+        ];
+        if (deal.rehabCost) figures.push(['Rehab budget', DealModel.formatCurrency(deal.rehabCost)]);
+        if (deal.arv) figures.push(['ARV', DealModel.formatCurrency(deal.arv)]);
+
+        return `
+            <dl class="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                ${figures.map(([label, value]) => `
+                    <div class="bg-white border border-gray-200 rounded-xl p-4">
+                        <dt class="text-xs text-gray-500 mb-1">${label}</dt>
+                        <dd class="text-lg font-semibold text-gray-900">${utils.escapeHtml(value)}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+        `;
+    }
+
+    hideDeal() {
+        this.currentDeal = null;
+        this.detailSection.hidden = true;
+        this.detail.innerHTML = '';
+        document.title = this.defaultTitle;
+    }
+
+    handleAction(action, deal) {
+        if (action === 'share') {
+            this.shareDeal(deal);
+        } else if (action === 'analyze') {
+            const calculator = window.app && window.app.mount('dealCalculator');
+            if (calculator) calculator.prefill(deal);
+        }
+    }
+
+    // Native share sheet where there is one, otherwise copy the link
+    async shareDeal(deal) {
+        const url = new URL(DealDirectory.dealUrl(deal), window.location.origin).href;
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: deal.subject, text: deal.preview, url });
+                return;
+            }
+            await navigator.clipboard.writeText(url);
+            notify('Deal link copied to your clipboard.', 'info');
+        } catch (error) {
+            // Closing the share sheet isn't a failure
+            if (error && error.name === 'AbortError') return;
+            notify("Couldn't share this deal. Copy the link from your address bar instead.", 'error');
+        }
+    }
+}
+
+// Navigation system with performance optimizations
+class Navigation {
+    constructor({ listen }) {
+        this.navbar = utils.getElement('navbar');
+        this.mobileMenu = utils.getElement('mobile-menu');
+        this.mobileMenuButton = utils.getElement('mobile-menu-btn');
+        this.mobileMenuClose = utils.getElement('mobile-menu-close');
+        this.scrollTimeout = null;
+        this.isScrolling = false;
+        this.listen = listen;
+        this.removeFocusTrapListener = null;
+        
+        this.init();
+    }
+
+    init() {
+        if (!this.navbar) return;
+        
+        this.setupScrollEffects();
+        this.setupMobileMenu();
+        this.setupSmoothScrolling();
+        this.setupKeyboardNavigation();
+    }
 
     setupScrollEffects() {
         // Use throttled scroll handler for better performance
@@ -641,8 +1624,7 @@ class Navigation {
             }, 150);
         }, 16); // ~60fps
         
-        utils.addEventListener(window, 'scroll', handleScroll, { passive: true });
-        this.eventListeners.set('scroll', { element: window, event: 'scroll', handler: handleScroll, options: { passive: true } });
+        this.listen(window, 'scroll', handleScroll, { passive: true });
     }
 
     setupMobileMenu() {
@@ -670,8 +1652,7 @@ class Navigation {
             }
         };
         
-        utils.addEventListener(this.mobileMenuButton, 'click', toggleMenu);
-        this.eventListeners.set('mobileMenuButton', { element: this.mobileMenuButton, event: 'click', handler: toggleMenu });
+        this.listen(this.mobileMenuButton, 'click', toggleMenu);
         
         // Close menu on escape key
         const escapeHandler = (e) => {
@@ -679,8 +1660,7 @@ class Navigation {
                 toggleMenu();
             }
         };
-        utils.addEventListener(document, 'keydown', escapeHandler);
-        this.eventListeners.set('escape', { element: document, event: 'keydown', handler: escapeHandler });
+        this.listen(document, 'keydown', escapeHandler);
         
         // Close menu when clicking outside
         const outsideClickHandler = (e) => {
@@ -691,13 +1671,11 @@ class Navigation {
                 toggleMenu();
             }
         };
-        utils.addEventListener(document, 'click', outsideClickHandler);
-        this.eventListeners.set('outsideClick', { element: document, event: 'click', handler: outsideClickHandler });
+        this.listen(document, 'click', outsideClickHandler);
         
         // Close menu button
         if (this.mobileMenuClose) {
-            utils.addEventListener(this.mobileMenuClose, 'click', toggleMenu);
-            this.eventListeners.set('mobileMenuClose', { element: this.mobileMenuClose, event: 'click', handler: toggleMenu });
+            this.listen(this.mobileMenuClose, 'click', toggleMenu);
         }
     }
 
@@ -727,17 +1705,17 @@ class Navigation {
             }
         };
         
-        this.mobileMenu.addEventListener('keydown', handleTabKey);
-        this.mobileMenu._focusTrapHandler = handleTabKey;
+        this.removeFocusTrap();
+        this.removeFocusTrapListener = this.listen(this.mobileMenu, 'keydown', handleTabKey);
         
         // Focus first element
         firstElement.focus();
     }
 
     removeFocusTrap() {
-        if (this.mobileMenu._focusTrapHandler) {
-            this.mobileMenu.removeEventListener('keydown', this.mobileMenu._focusTrapHandler);
-            delete this.mobileMenu._focusTrapHandler;
+        if (this.removeFocusTrapListener) {
+            this.removeFocusTrapListener();
+            this.removeFocusTrapListener = null;
         }
     }
 
@@ -745,7 +1723,7 @@ class Navigation {
         const links = document.querySelectorAll('a[href^="#"]');
         
         links.forEach(link => {
-            link.addEventListener('click', (e) => {
+            this.listen(link, 'click', (e) => {
                 e.preventDefault();
                 const targetId = link.getAttribute('href').substring(1);
                 utils.scrollToElement(targetId);
@@ -763,7 +1741,7 @@ class Navigation {
 
     setupKeyboardNavigation() {
         // Add keyboard navigation for interactive elements
-        document.addEventListener('keydown', (e) => {
+        this.listen(document, 'keydown', (e) => {
             // Skip if user is typing in an input
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
                 return;
@@ -797,12 +1775,6 @@ class Navigation {
         // Remove focus trap
         this.removeFocusTrap();
         
-        // Clear event listeners
-        this.eventListeners.forEach(({ element, event, handler, options }) => {
-            utils.removeEventListener(element, event, handler, options);
-        });
-        this.eventListeners.clear();
-        
         // Clear references
         this.navbar = null;
         this.mobileMenu = null;
@@ -816,6 +1788,9 @@ class Navigation {
 class FormHandler {
     constructor() {
         this.signupForm = document.getElementById('signup-form');
+        this.validator = this.signupForm
+            ? FormValidation.createFormValidator(this.signupForm, { fields: NAME_FIELD_RULES })
+            : null;
         this.init();
     }
 
@@ -910,126 +1885,18 @@ class FormHandler {
     }
 
     validateField(field) {
-        if (!field) return true;
-        
-        const value = field.value.trim();
-        const type = field.type;
-        const name = field.name;
-        
-        // Clear previous errors
-        this.clearFieldError(field);
-        
-        // Check if required field is empty
-        if (field.hasAttribute('required') && !value) {
-            this.showFieldError(field, 'This field is required');
-            return false;
-        }
-        
-        // Skip validation for empty non-required fields
-        if (!value && !field.hasAttribute('required')) {
-            return true;
-        }
-        
-        // Type-specific validation
-        switch (type) {
-            case 'email':
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(value)) {
-                    this.showFieldError(field, 'Please enter a valid email address');
-                    return false;
-                }
-                break;
-                
-            case 'tel':
-                const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-                if (!phoneRegex.test(value.replace(/[\s\-\(\)]/g, ''))) {
-                    this.showFieldError(field, 'Please enter a valid phone number');
-                    return false;
-                }
-                break;
-                
-            case 'url':
-                try {
-                    new URL(value.startsWith('http') ? value : `https://${value}`);
-                } catch {
-                    this.showFieldError(field, 'Please enter a valid URL');
-                    return false;
-                }
-                break;
-        }
-        
-        // Custom validation for specific fields
-        if (name === 'firstName' || name === 'lastName') {
-            if (value.length < 2) {
-                this.showFieldError(field, 'Name must be at least 2 characters long');
-                return false;
-            }
-        }
-        
-        if (name === 'company' && value.length > 0 && value.length < 2) {
-            this.showFieldError(field, 'Company name must be at least 2 characters long');
-            return false;
-        }
-        
-        return true;
+        if (!field || !this.validator) return true;
+        return this.validator.validateField(field);
     }
 
     showFieldError(field, message) {
-        if (!field) return;
-        
-        // Add error styling to the field
-        field.classList.add('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
-        field.classList.remove('border-gray-300', 'focus:border-primary', 'focus:ring-primary');
-        
-        // Find existing error message element by ID or class
-        let errorElement = document.getElementById(`error-${field.name || field.id}`);
-        if (!errorElement) {
-            errorElement = field.parentNode.querySelector('.error-message');
-        }
-        
-        if (!errorElement) {
-            // Create new error element
-            errorElement = document.createElement('div');
-            errorElement.className = 'error-message text-red-600 text-sm mt-1 flex items-center';
-            errorElement.id = `error-${field.name || field.id || 'field'}`;
-            errorElement.setAttribute('aria-live', 'polite');
-            errorElement.setAttribute('role', 'alert');
-            
-            // Insert after the field
-            const container = field.parentNode;
-            container.appendChild(errorElement);
-        }
-        
-        // Update error message
-        errorElement.innerHTML = `<i class=\"fas fa-exclamation-circle mr-1\"></i>${message}`;
-        errorElement.classList.remove('hidden');
-        
-        // Add ARIA attributes for accessibility
-        field.setAttribute('aria-invalid', 'true');
-        field.setAttribute('aria-describedby', errorElement.id);
-        
-        // Focus the field if it's not already focused
-        if (document.activeElement !== field) {
-            field.focus();
-        }
+        if (!field || !this.validator) return;
+        this.validator.showError(field, message);
     }
 
     clearFieldError(field) {
-        if (!field) return;
-        
-        // Remove error styling
-        field.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
-        field.classList.add('border-gray-300', 'focus:border-primary', 'focus:ring-primary');
-        
-        // Remove error message
-        const errorElement = field.parentNode.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.remove();
-        }
-        
-        // Remove ARIA attributes
-        field.removeAttribute('aria-invalid');
-        field.removeAttribute('aria-describedby');
+        if (!field || !this.validator) return;
+        this.validator.clearError(field);
     }
 
     async handleFormSubmission() {
@@ -1037,17 +1904,10 @@ class FormHandler {
         const data = Object.fromEntries(formData);
         
         // Validate all fields
-        const inputs = this.signupForm.querySelectorAll('input[required], select[required]');
-        let isValid = true;
-        
-        inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isValid = false;
-            }
-        });
+        const isValid = this.validator.validateAll('input[required], select[required]');
 
         if (!isValid) {
-            this.showToast('Please fix the errors above', 'error');
+            notify('Please fix the errors above', 'error');
             return;
         }
 
@@ -1063,19 +1923,14 @@ class FormHandler {
             
             // Show success state
             this.showSuccessState();
-            this.showToast('Thank you! We\'ll be in touch soon.', 'success');
+            notify('Thank you! We\'ll be in touch soon.', 'success');
             
             // Track conversion
-            if (window.gtag) {
-                window.gtag('event', 'sign_up', {
-                    'event_category': 'engagement',
-                    'event_label': 'landing_page_signup'
-                });
-            }
+            trackEvent('signup_submitted', { queued: false });
             
         } catch (error) {
             console.error('Form submission error:', error);
-            this.showToast('Something went wrong. Please try again.', 'error');
+            notify('Something went wrong. Please try again.', 'error');
         } finally {
             submitBtn.innerHTML = originalText;
             submitBtn.disabled = false;
@@ -1095,49 +1950,171 @@ class FormHandler {
             </div>
         `;
     }
+}
 
-    showToast(message, type = 'info') {
-        // Create toast element
-        const toast = document.createElement('div');
-        toast.className = `fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full`;
-        toast.setAttribute('role', 'alert');
-        toast.setAttribute('aria-live', 'polite');
-        
-        const bgColor = type === 'success' ? 'bg-green-500' : type === 'error' ? 'bg-red-500' : 'bg-blue-500';
-        toast.classList.add(bgColor, 'text-white');
-        
-        toast.innerHTML = `
-            <div class="flex items-center space-x-2">
-                <i class="fas ${type === 'success' ? 'fa-check' : type === 'error' ? 'fa-exclamation-triangle' : 'fa-info-circle'}" aria-hidden="true"></i>
-                <span>${message}</span>
+// Name-length rules for forms whose markup doesn't carry minlength attributes
+const NAME_FIELD_RULES = {
+    firstName: { rules: [{ rule: 'minLength', value: 2, message: 'Name must be at least 2 characters long' }] },
+    lastName: { rules: [{ rule: 'minLength', value: 2, message: 'Name must be at least 2 characters long' }] },
+    company: { rules: [{ rule: 'minLength', value: 2, message: 'Company name must be at least 2 characters long' }] }
+};
+
+// --- Signup form schema support ---
+// MultiStepForm renders its steps from the JSON schema in #signup-form-schema
+// (or window.PropGridConfig.signupSchema). Each field type maps to a renderer below
+// and each step-level validator type to a function returning an error message or null.
+
+const SIGNUP_INPUT_CLASSES = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200';
+
+function renderSignupFieldAttributes(field) {
+    const esc = utils.escapeHtml;
+    const attributes = [];
+    if (field.required) attributes.push('required');
+    if (field.minLength) attributes.push(`minlength="${esc(field.minLength)}"`);
+    if (field.maxLength) attributes.push(`maxlength="${esc(field.maxLength)}"`);
+    if (field.pattern) attributes.push(`pattern="${esc(field.pattern)}"`);
+    if (field.autocomplete) attributes.push(`autocomplete="${esc(field.autocomplete)}"`);
+    if (field.placeholder) attributes.push(`placeholder="${esc(field.placeholder)}"`);
+    return attributes.join(' ');
+}
+
+function renderSignupLabel(field, inputId) {
+    return `<label for="${utils.escapeHtml(inputId)}" class="block text-sm font-medium text-gray-700 mb-2">${utils.escapeHtml(field.label)}${field.required ? ' *' : ''}</label>`;
+}
+
+function renderSignupError(errorId, extraClasses = '') {
+    return `<div id="${utils.escapeHtml(errorId)}" class="error-message hidden text-red-600 text-sm mt-1${extraClasses}" aria-live="polite" role="alert"></div>`;
+}
+
+const signupFieldRenderers = {
+    text(field) {
+        const esc = utils.escapeHtml;
+        const id = field.id || field.name;
+        return `
+            ${renderSignupLabel(field, id)}
+            <input type="${esc(field.type || 'text')}" id="${esc(id)}" name="${esc(field.name)}" ${renderSignupFieldAttributes(field)}
+                   class="${SIGNUP_INPUT_CLASSES}" aria-describedby="error-${esc(id)}">
+            ${renderSignupError(`error-${id}`)}
+        `;
+    },
+
+    email(field) {
+        return signupFieldRenderers.text(field);
+    },
+
+    tel(field) {
+        return signupFieldRenderers.text(field);
+    },
+
+    select(field) {
+        const esc = utils.escapeHtml;
+        const id = field.id || field.name;
+        const options = (field.options || [])
+            .map(option => `<option value="${esc(option.value)}">${esc(option.label)}</option>`)
+            .join('');
+        return `
+            ${renderSignupLabel(field, id)}
+            <select name="${esc(field.name)}" id="${esc(id)}" ${field.required ? 'required' : ''} class="${SIGNUP_INPUT_CLASSES}" aria-describedby="error-${esc(id)}">
+                <option value="">${esc(field.placeholder || 'Select an option')}</option>
+                ${options}
+            </select>
+            ${renderSignupError(`error-${id}`)}
+        `;
+    },
+
+    radio(field) {
+        const esc = utils.escapeHtml;
+        const options = (field.options || []).map(option => {
+            const descriptionId = `${field.name}-${option.value}-desc`;
+            return `
+                <label class="relative cursor-pointer">
+                    <input type="radio" name="${esc(field.name)}" value="${esc(option.value)}" class="sr-only"${option.description ? ` aria-describedby="${esc(descriptionId)}"` : ''}>
+                    <div class="border-2 border-gray-200 rounded-lg p-4 hover:border-primary transition-all duration-200 radio-option">
+                        <div class="flex items-center">
+                            <div class="w-4 h-4 border-2 border-gray-300 rounded-full mr-3 radio-circle"></div>
+                            <div>
+                                <div class="font-medium text-gray-900">${esc(option.label)}</div>
+                                ${option.description ? `<div class="text-sm text-gray-500" id="${esc(descriptionId)}">${esc(option.description)}</div>` : ''}
+                            </div>
+                        </div>
+                    </div>
+                </label>
+            `;
+        }).join('');
+        return `
+            <label class="block text-sm font-medium text-gray-700 mb-3" id="${esc(field.name)}-label">${esc(field.label)}${field.required ? ' *' : ''}</label>
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-4" role="radiogroup" aria-labelledby="${esc(field.name)}-label" aria-describedby="error-${esc(field.name)}">
+                ${renderSignupError(`error-${field.name}`, ' col-span-2')}
+                ${options}
             </div>
         `;
-        
-        document.body.appendChild(toast);
-        
-        // Animate in
-        requestAnimationFrame(() => {
-            toast.classList.remove('translate-x-full');
-        });
-        
-        // Remove after 5 seconds
-        setTimeout(() => {
-            toast.classList.add('translate-x-full');
-            setTimeout(() => {
-                if (document.body.contains(toast)) {
-                    document.body.removeChild(toast);
-                }
-            }, 300);
-        }, 5000);
+    },
+
+    'checkbox-group'(field) {
+        const esc = utils.escapeHtml;
+        const options = (field.options || []).map(option => `
+            <label class="relative cursor-pointer">
+                <input type="checkbox" name="${esc(field.name)}" value="${esc(option.value)}" class="sr-only">
+                <div class="border-2 border-gray-200 rounded-lg p-3 hover:border-primary transition-all duration-200 checkbox-option flex items-center">
+                    <div class="w-4 h-4 border-2 border-gray-300 rounded mr-3 checkbox-square flex items-center justify-center"></div>
+                    <span class="text-sm font-medium text-gray-900">${esc(option.label)}</span>
+                </div>
+            </label>
+        `).join('');
+        return `
+            <label class="block text-sm font-medium text-gray-700 mb-3" id="${esc(field.name)}-label">${esc(field.label)}${field.required ? ' *' : ''}</label>
+            <div class="grid grid-cols-2 sm:grid-cols-3 gap-3" role="group" aria-labelledby="${esc(field.name)}-label" aria-describedby="error-${esc(field.name)}">
+                ${renderSignupError(`error-${field.name}`, ' col-span-2 sm:col-span-3')}
+                ${options}
+            </div>
+        `;
+    },
+
+    checkbox(field) {
+        const esc = utils.escapeHtml;
+        const id = field.id || field.name;
+        return `
+            <div class="flex items-start space-x-3">
+                <input type="checkbox" id="${esc(id)}" name="${esc(field.name)}" ${field.required ? 'required' : ''} class="mt-1 w-4 h-4 text-primary border-gray-300 rounded focus:ring-primary">
+                <label for="${esc(id)}" class="text-sm text-gray-700">
+                    ${esc(field.label)}
+                    ${field.hint ? `<span class="text-gray-500">${esc(field.hint)}</span>` : ''}
+                </label>
+            </div>
+            ${renderSignupError(`error-${id}`)}
+        `;
     }
-}
+};
+
+const signupStepValidators = {
+    // At least one of rule.fields must have a value
+    requireOne(rule, form) {
+        return rule.fields.some(name => form.getFieldValues(name).length > 0) ? null : rule.message;
+    },
+
+    // No more than rule.max options of rule.field may be selected
+    maxSelected(rule, form) {
+        return form.getFieldValues(rule.field).length <= rule.max ? null : rule.message;
+    }
+};
 
 // Comprehensive Multi-Step Form Handler
 class MultiStepForm {
-    constructor() {
+    /**
+     * @param {Object} context - From the app shell (see components.js); listeners go through context.listen
+     */
+    constructor({ listen }) {
+        this.listen = listen;
         this.currentStep = 1;
-        this.totalSteps = 2;
-        this.formData = {};
+        this.totalSteps = 0;
+        this.formData = {}; // In-progress answers keyed by step id, mirrored to the saved draft
+        this.schema = null;
+        this.fieldConfigs = new Map(); // Field name -> schema field definition
+        this.submissionKey = null; // Idempotency key shared by retries of the same signup
+        this.lastViewedStepId = null; // signup_step_viewed fires once per step change, not per re-render
+        this.stepViewedAt = Date.now();
+        this.funnelStarted = false; // Set by the first answer; leaving after that counts as abandoning
+        this.funnelFinished = false;
         this.init();
     }
 
@@ -1147,13 +2124,15 @@ class MultiStepForm {
         this.setupCustomInputs();
         this.setupValidation();
         this.setupFormSubmission();
+        this.setupFunnelTracking();
     }
 
     setupFormElements() {
         this.form = document.getElementById('signup-form');
-        this.steps = document.querySelectorAll('.step-content');
+        this.stepsContainer = document.getElementById('signup-steps');
         this.progressBar = document.getElementById('progress-bar');
         this.currentStepElement = document.getElementById('current-step');
+        this.totalStepsElement = document.getElementById('total-steps');
         this.progressPercentage = document.getElementById('progress-percentage');
         this.nextBtn = document.getElementById('next-btn');
         this.prevBtn = document.getElementById('prev-btn');
@@ -1165,41 +2144,372 @@ class MultiStepForm {
             }
             return;
         }
-    }
 
-    setupStepNavigation() {
-        if (!this.nextBtn || !this.prevBtn) return;
+        // Rendered inputs carry required/minlength/pattern attributes; the schema supplies messages
+        this.validator = FormValidation.createFormValidator(this.form, {
+            fields: field => ({ messages: (this.fieldConfigs.get(field.name) || {}).messages })
+        });
+
+        this.schema = this.loadSchema();
+        if (!this.schema) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[MultiStepForm] No signup form schema found. Skipping step rendering.');
+            }
+            return;
+        }
 
-        this.nextBtn.addEventListener('click', () => this.nextStep());
-        this.prevBtn.addEventListener('click', () => this.previousStep());
+        this.renderSteps();
+        this.restoreDraft();
+        this.updateFieldVisibility();
+        this.updateStepDisplay({ scroll: false });
+        this.setupDrafts();
     }
 
-    setupCustomInputs() {
-        // Optimize radio button handling
-        const radioGroups = new Map();
-        document.querySelectorAll('input[type="radio"]').forEach(radio => {
-            const name = radio.name;
-            if (!radioGroups.has(name)) {
-                radioGroups.set(name, []);
-            }
-            radioGroups.get(name).push(radio);
-        });
+    // --- Save and resume ---
+
+    setupDrafts() {
+        this.draftNotice = document.getElementById('signup-draft-notice');
+        const startOverBtn = document.getElementById('start-over-btn');
+        if (startOverBtn) {
+            this.listen(startOverBtn, 'click', () => this.startOver());
+        }
+        this.toggleDraftNotice(this.draftRestored);
+
+        this.scheduleDraftSave = utils.debounce(() => this.saveDraft(), 400);
+        this.listen(this.form, 'input', () => this.scheduleDraftSave());
+        this.listen(this.form, 'change', () => this.scheduleDraftSave());
+    }
+
+    loadDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(SIGNUP_DRAFT_KEY));
+        } catch (error) {
+            draft = null;
+        }
+        if (!draft) return null;
+
+        const isCurrent = draft.version === SIGNUP_DRAFT_VERSION
+            && draft.schemaVersion === this.schema.version
+            && draft.expiresAt > Date.now();
+        if (!isCurrent) {
+            this.clearDraft();
+            return null;
+        }
+        return draft;
+    }
+
+    // Snapshot every answered field, grouped by step
+    collectStepAnswers() {
+        const answers = {};
+        this.schema.steps.forEach(step => {
+            const stepAnswers = {};
+            step.fields.forEach(field => {
+                const values = this.getFieldValues(field.name);
+                if (values.length === 0) return;
+                if (field.type === 'checkbox-group') {
+                    stepAnswers[field.name] = values;
+                } else if (field.type === 'checkbox') {
+                    stepAnswers[field.name] = true;
+                } else {
+                    stepAnswers[field.name] = values[0];
+                }
+            });
+            if (Object.keys(stepAnswers).length > 0) {
+                answers[step.id] = stepAnswers;
+            }
+        });
+        return answers;
+    }
+
+    saveDraft() {
+        if (!this.schema || !this.form.isConnected) return;
+
+        this.formData = this.collectStepAnswers();
+        if (Object.keys(this.formData).length === 0) {
+            this.clearDraft();
+            return;
+        }
+
+        const currentStep = this.getActiveSteps()[this.currentStep - 1];
+        const now = Date.now();
+        try {
+            localStorage.setItem(SIGNUP_DRAFT_KEY, JSON.stringify({
+                version: SIGNUP_DRAFT_VERSION,
+                schemaVersion: this.schema.version,
+                savedAt: now,
+                expiresAt: now + SIGNUP_DRAFT_TTL,
+                currentStep: currentStep ? currentStep.id : null,
+                steps: this.formData
+            }));
+        } catch (error) {
+            // Storage can be full or disabled (private browsing); drafts are best effort
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[MultiStepForm] Could not save signup draft:', error);
+            }
+        }
+    }
+
+    clearDraft() {
+        this.formData = {};
+        try {
+            localStorage.removeItem(SIGNUP_DRAFT_KEY);
+        } catch (error) {
+            // Nothing stored if storage is unavailable
+        }
+    }
+
+    restoreDraft() {
+        const draft = this.loadDraft();
+        this.draftRestored = false;
+        if (!draft) return;
+
+        Object.values(draft.steps || {}).forEach(stepAnswers => {
+            Object.entries(stepAnswers).forEach(([name, value]) => {
+                const config = this.fieldConfigs.get(name);
+                if (!config) return;
+
+                const inputs = this.form.querySelectorAll(`[name="${name}"]`);
+                if (config.type === 'radio' || config.type === 'checkbox-group') {
+                    const selected = [].concat(value).map(String);
+                    inputs.forEach(input => {
+                        input.checked = selected.includes(input.value);
+                    });
+                } else if (config.type === 'checkbox') {
+                    inputs.forEach(input => {
+                        input.checked = Boolean(value);
+                    });
+                } else {
+                    inputs.forEach(input => {
+                        input.value = value;
+                    });
+                }
+            });
+        });
+
+        // Conditional steps depend on the restored answers, so resolve visibility first
+        this.updateFieldVisibility();
+        const stepIndex = this.getActiveSteps().findIndex(step => step.id === draft.currentStep);
+        this.currentStep = stepIndex >= 0 ? stepIndex + 1 : 1;
+        this.formData = draft.steps || {};
+        this.draftRestored = true;
+    }
+
+    toggleDraftNotice(visible) {
+        if (this.draftNotice) {
+            this.draftNotice.classList.toggle('hidden', !visible);
+        }
+    }
+
+    startOver() {
+        this.clearDraft();
+        this.form.reset();
+        this.submissionKey = null;
+
+        // Reset custom radio/checkbox styling and any visible errors
+        this.form.querySelectorAll('input[type="radio"]').forEach(radio => this.updateRadioStyling(radio));
+        this.form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => this.updateCheckboxStyling(checkbox));
+        this.form.querySelectorAll('input, select, textarea').forEach(field => this.clearFieldError(field));
+        this.fieldConfigs.forEach((config, name) => this.clearGroupError(name));
+        this.form.querySelectorAll('[id^="error-step-"]').forEach(errorElement => {
+            errorElement.textContent = '';
+            errorElement.classList.add('hidden');
+        });
+
+        this.currentStep = 1;
+        this.updateFieldVisibility();
+        this.updateStepDisplay();
+        this.toggleDraftNotice(false);
+
+        const firstField = this.getStepElement(this.getActiveSteps()[0])?.querySelector('input, select, textarea');
+        if (firstField) {
+            firstField.focus();
+        }
+    }
+
+    loadSchema() {
+        if (window.PropGridConfig.signupSchema) {
+            return window.PropGridConfig.signupSchema;
+        }
+
+        const schemaElement = document.getElementById('signup-form-schema');
+        if (!schemaElement) return null;
+
+        try {
+            const schema = JSON.parse(schemaElement.textContent);
+            return Array.isArray(schema.steps) && schema.steps.length > 0 ? schema : null;
+        } catch (error) {
+            if (typeof console !== 'undefined' && console.error) {
+                console.error('[MultiStepForm] Invalid signup form schema:', error);
+            }
+            return null;
+        }
+    }
+
+    renderSteps() {
+        if (!this.stepsContainer) return;
+
+        this.fieldConfigs.clear();
+        this.stepsContainer.innerHTML = this.schema.steps
+            .map((step, index) => this.renderStep(step, index))
+            .join('');
+    }
+
+    renderStep(step, index) {
+        const esc = utils.escapeHtml;
+        step.fields.forEach(field => this.fieldConfigs.set(field.name, field));
+
+        return `
+            <div id="step-${index + 1}" class="step-content hidden" data-step-id="${esc(step.id)}">
+                <div class="space-y-6">
+                    <div>
+                        <h3 class="text-2xl font-bold text-gray-900 mb-2">${esc(step.title)}</h3>
+                        ${step.description ? `<p class="text-gray-600">${esc(step.description)}</p>` : ''}
+                    </div>
+                    ${this.renderFields(step.fields)}
+                    ${renderSignupError(`error-step-${step.id}`)}
+                </div>
+            </div>
+        `;
+    }
+
+    renderFields(fields) {
+        // Consecutive half-width fields share a two-column row
+        const blocks = [];
+        let row = [];
+        fields.forEach(field => {
+            if (field.width === 'half') {
+                row.push(field);
+                if (row.length === 2) {
+                    blocks.push(row);
+                    row = [];
+                }
+                return;
+            }
+            if (row.length > 0) {
+                blocks.push(row);
+                row = [];
+            }
+            blocks.push(field);
+        });
+        if (row.length > 0) {
+            blocks.push(row);
+        }
+
+        return blocks.map(block => Array.isArray(block)
+            ? `<div class="grid grid-cols-1 sm:grid-cols-2 gap-6">${block.map(field => this.renderField(field)).join('')}</div>`
+            : this.renderField(block)
+        ).join('');
+    }
+
+    renderField(field) {
+        const renderer = signupFieldRenderers[field.type] || signupFieldRenderers.text;
+        return `<div data-field="${utils.escapeHtml(field.name)}">${renderer(field)}</div>`;
+    }
+
+    // Current values of a field: checked options for radios/checkboxes, otherwise the input value
+    getFieldValues(name) {
+        return Array.from(this.form.querySelectorAll(`[name="${name}"]`))
+            .filter(input => !input.disabled)
+            .filter(input => (input.type === 'radio' || input.type === 'checkbox') ? input.checked : true)
+            .map(input => input.value.trim())
+            .filter(value => value !== '');
+    }
+
+    /**
+     * Evaluate a visibleWhen condition from the schema
+     * @param {Object} condition - { field, equals } | { field, oneOf: [] } | { field, filled: boolean }
+     * @returns {boolean}
+     */
+    isConditionMet(condition) {
+        if (!condition) return true;
+
+        const values = this.getFieldValues(condition.field);
+        if ('equals' in condition) {
+            return values.includes(String(condition.equals));
+        }
+        if (Array.isArray(condition.oneOf)) {
+            return values.some(value => condition.oneOf.map(String).includes(value));
+        }
+        if ('filled' in condition) {
+            return (values.length > 0) === Boolean(condition.filled);
+        }
+        return true;
+    }
+
+    // Hidden fields, and every field of an inactive step, are disabled so they are
+    // neither validated nor submitted
+    updateFieldVisibility() {
+        if (!this.schema) return;
+
+        this.schema.steps.forEach(step => {
+            const stepActive = this.isConditionMet(step.visibleWhen);
+            step.fields.forEach(config => {
+                const wrapper = this.form.querySelector(`[data-field="${config.name}"]`);
+                if (!wrapper) return;
+
+                const visible = this.isConditionMet(config.visibleWhen);
+                wrapper.classList.toggle('hidden', !visible);
+                wrapper.querySelectorAll('input, select, textarea').forEach(input => {
+                    input.disabled = !stepActive || !visible;
+                });
+            });
+        });
+    }
+
+    handleAnswerChange() {
+        const stepCount = this.totalSteps;
+        this.updateFieldVisibility();
+        if (this.getActiveSteps().length !== stepCount) {
+            this.updateStepDisplay({ scroll: false });
+        }
+    }
+
+    getActiveSteps() {
+        if (!this.schema) return [];
+        return this.schema.steps.filter(step => this.isConditionMet(step.visibleWhen));
+    }
+
+    getStepElement(step) {
+        return step ? this.form.querySelector(`.step-content[data-step-id="${step.id}"]`) : null;
+    }
+
+    // 1-based position of a rendered step among the currently active steps (0 if inactive)
+    getStepNumber(stepElement) {
+        return this.getActiveSteps().findIndex(step => step.id === stepElement.dataset.stepId) + 1;
+    }
+
+    setupStepNavigation() {
+        if (!this.nextBtn || !this.prevBtn) return;
+
+        this.listen(this.nextBtn, 'click', () => this.nextStep());
+        this.listen(this.prevBtn, 'click', () => this.previousStep());
+    }
+
+    setupCustomInputs() {
+        if (!this.form) return;
+
+        // Re-evaluate conditional fields whenever an answer changes
+        this.listen(this.form, 'change', () => this.handleAnswerChange());
+        this.listen(this.form, 'input', () => this.handleAnswerChange());
+
+        // Optimize radio button handling
+        const radioGroups = new Map();
+        this.form.querySelectorAll('input[type="radio"]').forEach(radio => {
+            const name = radio.name;
+            if (!radioGroups.has(name)) {
+                radioGroups.set(name, []);
+            }
+            radioGroups.get(name).push(radio);
+        });
 
         // Set up radio button styling and behavior
         radioGroups.forEach((radios, name) => {
             radios.forEach(radio => {
-                radio.addEventListener('change', () => {
+                this.listen(radio, 'change', () => {
                     this.updateRadioStyling(radio);
                     // Clear errors when a selection is made
-                    if (name === 'experience') {
-                        const errorElement = document.getElementById('error-experience');
-                        if (errorElement) {
-                            errorElement.classList.add('hidden');
-                            errorElement.textContent = '';
-                        }
-                    } else {
-                        this.clearFieldError(radio);
-                    }
+                    this.clearGroupError(name);
                 });
                 
                 // Initial styling
@@ -1210,11 +2520,15 @@ class MultiStepForm {
         });
 
         // Optimize checkbox handling
-        document.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
+        this.form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            this.listen(checkbox, 'change', () => {
                 this.updateCheckboxStyling(checkbox);
                 // Clear errors when a selection is made
-                this.clearFieldError(checkbox);
+                if (this.fieldConfigs.get(checkbox.name)?.type === 'checkbox-group') {
+                    this.clearGroupError(checkbox.name);
+                } else {
+                    this.clearFieldError(checkbox);
+                }
             });
             
             // Initial styling
@@ -1222,18 +2536,13 @@ class MultiStepForm {
                 this.updateCheckboxStyling(checkbox);
             }
         });
+    }
 
-        // Dynamic "Other" market input
-        const otherMarketInput = document.getElementById('other-market');
-        const otherMarketCheckbox = document.querySelector('input[value="other"]');
-        
-        if (otherMarketInput && otherMarketCheckbox) {
-            otherMarketCheckbox.addEventListener('change', () => {
-                otherMarketInput.style.display = otherMarketCheckbox.checked ? 'block' : 'none';
-                if (otherMarketCheckbox.checked) {
-                    otherMarketInput.focus();
-                }
-            });
+    clearGroupError(name) {
+        const errorElement = document.getElementById(`error-${name}`);
+        if (errorElement) {
+            errorElement.classList.add('hidden');
+            errorElement.textContent = '';
         }
     }
 
@@ -1300,377 +2609,834 @@ class MultiStepForm {
     }
 
     setupValidation() {
+        if (!this.form) return;
+
         // Real-time validation for text inputs
-        document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"]').forEach(input => {
-            input.addEventListener('blur', () => this.validateField(input));
-            input.addEventListener('input', () => this.clearFieldError(input));
+        this.form.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"]').forEach(input => {
+            this.listen(input, 'blur', () => this.validateField(input));
+            this.listen(input, 'input', () => this.clearFieldError(input));
         });
 
         // Validation for selects
-        document.querySelectorAll('select').forEach(select => {
-            select.addEventListener('change', () => this.validateField(select));
+        this.form.querySelectorAll('select').forEach(select => {
+            this.listen(select, 'change', () => this.validateField(select));
         });
     }
 
     validateField(field) {
-        if (!field) return true;
-        
-        const value = field.value.trim();
-        const type = field.type;
-        const name = field.name;
-        
-        // Clear previous errors
-        this.clearFieldError(field);
-        
-        // Check if required field is empty
-        if (field.hasAttribute('required') && !value) {
-            this.showFieldError(field, 'This field is required');
-            return false;
-        }
-        
-        // Skip validation for empty non-required fields
-        if (!value && !field.hasAttribute('required')) {
-            return true;
-        }
-        
-        // Type-specific validation
-        switch (type) {
-            case 'email':
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(value)) {
-                    this.showFieldError(field, 'Please enter a valid email address');
-                    return false;
-                }
-                break;
-                
-            case 'tel':
-                const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-                if (!phoneRegex.test(value.replace(/[\s\-\(\)]/g, ''))) {
-                    this.showFieldError(field, 'Please enter a valid phone number');
-                    return false;
-                }
-                break;
-                
-            case 'url':
-                try {
-                    new URL(value.startsWith('http') ? value : `https://${value}`);
-                } catch {
-                    this.showFieldError(field, 'Please enter a valid URL');
-                    return false;
-                }
-                break;
-        }
-        
-        // Custom validation for specific fields
-        if (name === 'firstName' || name === 'lastName') {
-            if (value.length < 2) {
-                this.showFieldError(field, 'Name must be at least 2 characters long');
-                return false;
-            }
-        }
-        
-        if (name === 'company' && value.length > 0 && value.length < 2) {
-            this.showFieldError(field, 'Company name must be at least 2 characters long');
-            return false;
-        }
-        
-        return true;
+        if (!field || !this.validator) return true;
+        return this.validator.validateField(field);
     }
 
     showFieldError(field, message) {
-        if (!field) return;
-        
-        // Add error styling to the field
-        field.classList.add('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
-        field.classList.remove('border-gray-300', 'focus:border-primary', 'focus:ring-primary');
-        
-        // Find existing error message element by ID or class
-        let errorElement = document.getElementById(`error-${field.name || field.id}`);
-        if (!errorElement) {
-            errorElement = field.parentNode.querySelector('.error-message');
-        }
-        
-        if (!errorElement) {
-            // Create new error element
-            errorElement = document.createElement('div');
-            errorElement.className = 'error-message text-red-600 text-sm mt-1 flex items-center';
-            errorElement.id = `error-${field.name || field.id || 'field'}`;
-            errorElement.setAttribute('aria-live', 'polite');
-            errorElement.setAttribute('role', 'alert');
-            
-            // Insert after the field
-            const container = field.parentNode;
-            container.appendChild(errorElement);
-        }
-        
-        // Update error message
-        errorElement.innerHTML = `<i class=\"fas fa-exclamation-circle mr-1\"></i>${message}`;
-        errorElement.classList.remove('hidden');
-        
-        // Add ARIA attributes for accessibility
-        field.setAttribute('aria-invalid', 'true');
-        field.setAttribute('aria-describedby', errorElement.id);
-        
-        // Focus the field if it's not already focused
-        if (document.activeElement !== field) {
-            field.focus();
-        }
+        if (!field || !this.validator) return;
+        this.validator.showError(field, message);
     }
 
     clearFieldError(field) {
-        if (!field) return;
-        
-        // Remove error styling
-        field.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
-        field.classList.add('border-gray-300', 'focus:border-primary', 'focus:ring-primary');
-        
-        // Remove error message
-        const errorElement = field.parentNode.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.remove();
-        }
-        
-        // Remove ARIA attributes
-        field.removeAttribute('aria-invalid');
-        field.removeAttribute('aria-describedby');
+        if (!field || !this.validator) return;
+        this.validator.clearError(field);
     }
 
     validateCurrentStep() {
-        const currentStepElement = document.getElementById(`step-${this.currentStep}`);
+        const step = this.getActiveSteps()[this.currentStep - 1];
+        const currentStepElement = this.getStepElement(step);
         if (!currentStepElement) return true;
 
         let isValid = true;
 
-        // Validate required fields
-        const requiredFields = currentStepElement.querySelectorAll('[required]');
-        requiredFields.forEach(field => {
-            if (!this.validateField(field)) {
-                isValid = false;
-            }
+        // Validate text inputs, selects and single checkboxes (radio and checkbox groups
+        // are checked as a whole below)
+        const fields = Array.from(currentStepElement.querySelectorAll('input, select, textarea'))
+            .filter(field => !field.disabled && field.type !== 'radio')
+            .filter(field => (this.fieldConfigs.get(field.name) || {}).type !== 'checkbox-group');
+        const invalidFields = fields.filter(field => !this.validateField(field));
+        if (invalidFields.length > 0) {
+            invalidFields[0].focus();
+            isValid = false;
+        }
+        const failures = invalidFields.map(field => {
+            const errorElement = typeof FormValidation !== 'undefined' ? FormValidation.findErrorElement(field) : null;
+            return { field: field.name || field.id, message: errorElement ? errorElement.textContent.trim() : '' };
         });
 
-        // Special validation for radio button groups (experience level)
-        if (this.currentStep === 2) {
-            const experienceRadios = currentStepElement.querySelectorAll('input[name="experience"]');
-            const checkedExperience = Array.from(experienceRadios).filter(r => r.checked);
-            if (checkedExperience.length === 0) {
-                // Show error for the experience field group
-                const errorElement = document.getElementById('error-experience');
-                if (errorElement) {
-                    errorElement.textContent = 'Please select your investment experience level';
-                    errorElement.classList.remove('hidden');
+        step.fields
+            .filter(field => field.type === 'radio' || field.type === 'checkbox-group')
+            .filter(field => this.isConditionMet(field.visibleWhen))
+            .forEach(field => {
+                if (!this.validateChoiceGroup(field)) {
+                    isValid = false;
+                    const errorElement = document.getElementById(`error-${field.name}`);
+                    failures.push({ field: field.name, message: errorElement ? errorElement.textContent.trim() : '' });
                 }
-                this.showToast('Please select your investment experience level', 'error');
-                isValid = false;
-            } else {
-                // Clear any existing errors
-                const errorElement = document.getElementById('error-experience');
-                if (errorElement) {
-                    errorElement.classList.add('hidden');
-                    errorElement.textContent = '';
+            });
+
+        // Cross-field rules declared on the step
+        const stepErrorElement = document.getElementById(`error-step-${step.id}`);
+        const stepErrors = (step.validators || [])
+            .map(rule => {
+                const validator = signupStepValidators[rule.type];
+                if (!validator) {
+                    if (typeof console !== 'undefined' && console.warn) {
+                        console.warn(`[MultiStepForm] Unknown step validator "${rule.type}"`);
+                    }
+                    return null;
                 }
-            }
+                const message = validator(rule, this);
+                if (message) {
+                    failures.push({ field: rule.field || (rule.fields || []).join(', ') || rule.type, message });
+                }
+                return message;
+            })
+            .filter(Boolean);
+        if (stepErrorElement) {
+            stepErrorElement.textContent = stepErrors.join(' ');
+            stepErrorElement.classList.toggle('hidden', stepErrors.length === 0);
+        }
+        if (stepErrors.length > 0) {
+            isValid = false;
         }
 
-
+        failures.forEach(({ field, message }) => {
+            trackEvent('signup_validation_failed', { step: this.currentStep, step_id: step.id, field, message });
+        });
 
         return isValid;
     }
 
+    validateChoiceGroup(field) {
+        const messages = field.messages || {};
+        const count = this.getFieldValues(field.name).length;
+        let message = null;
+
+        if (field.required && count === 0) {
+            message = messages.required || 'Please make a selection';
+        } else if (field.maxSelected && count > field.maxSelected) {
+            message = messages.maxSelected || `Please select no more than ${field.maxSelected}`;
+        }
+
+        const errorElement = document.getElementById(`error-${field.name}`);
+        if (!message) {
+            this.clearGroupError(field.name);
+            return true;
+        }
+
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+        }
+        notify(message, 'error');
+        return false;
+    }
+
     nextStep() {
         if (!this.validateCurrentStep()) {
             return;
         }
+        this.trackStep('signup_step_completed');
 
-        if (this.currentStep < this.totalSteps) {
+        if (this.currentStep < this.getActiveSteps().length) {
             this.currentStep++;
             this.updateStepDisplay();
+            this.saveDraft();
         }
     }
 
     previousStep() {
         if (this.currentStep > 1) {
+            this.trackStep('signup_step_back');
             this.currentStep--;
             this.updateStepDisplay();
+            this.saveDraft();
         }
     }
 
-    updateStepDisplay() {
-        // Hide all steps
-        this.steps.forEach(step => step.classList.add('hidden'));
+    updateStepDisplay({ scroll = true } = {}) {
+        // Conditional steps may have come or gone since the last answer changed
+        const activeSteps = this.getActiveSteps();
+        this.totalSteps = activeSteps.length;
+        this.currentStep = Math.min(Math.max(this.currentStep, 1), this.totalSteps);
 
-        // Show current step
-        const currentStepElement = document.getElementById(`step-${this.currentStep}`);
+        // Hide all steps, then show the current one
+        this.form.querySelectorAll('.step-content').forEach(step => step.classList.add('hidden'));
+        const currentStepElement = this.getStepElement(activeSteps[this.currentStep - 1]);
         if (currentStepElement) {
             currentStepElement.classList.remove('hidden');
         }
+        const currentStepId = activeSteps[this.currentStep - 1] ? activeSteps[this.currentStep - 1].id : null;
+        if (currentStepId !== this.lastViewedStepId) {
+            this.lastViewedStepId = currentStepId;
+            this.stepViewedAt = Date.now();
+            this.trackStep('signup_step_viewed');
+        }
 
         // Update progress
         const progress = (this.currentStep / this.totalSteps) * 100;
-        this.progressBar.style.width = `${progress}%`;
-        this.currentStepElement.textContent = this.currentStep;
-        this.progressPercentage.textContent = Math.round(progress);
+        if (this.progressBar) this.progressBar.style.width = `${progress}%`;
+        if (this.currentStepElement) this.currentStepElement.textContent = this.currentStep;
+        if (this.totalStepsElement) this.totalStepsElement.textContent = this.totalSteps;
+        if (this.progressPercentage) this.progressPercentage.textContent = Math.round(progress);
 
         // Update navigation buttons
-        this.prevBtn.classList.toggle('hidden', this.currentStep === 1);
-        this.nextBtn.classList.toggle('hidden', this.currentStep === this.totalSteps);
-        this.submitBtn.classList.toggle('hidden', this.currentStep !== this.totalSteps);
+        const isLastStep = this.currentStep === this.totalSteps;
+        if (this.prevBtn) this.prevBtn.classList.toggle('hidden', this.currentStep === 1);
+        if (this.nextBtn) this.nextBtn.classList.toggle('hidden', isLastStep);
+        if (this.submitBtn) this.submitBtn.classList.toggle('hidden', !isLastStep);
 
         // Smooth scroll to form
-        this.form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (scroll) {
+            this.form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    // Report a funnel event for the current step; everything but "viewed" carries the time spent on it
+    trackStep(eventName) {
+        const step = this.getActiveSteps()[this.currentStep - 1];
+        if (!step) return;
+        const properties = {
+            step: this.currentStep,
+            step_id: step.id,
+            total_steps: this.totalSteps
+        };
+        if (eventName !== 'signup_step_viewed') {
+            properties.time_on_step_ms = Date.now() - this.stepViewedAt;
+        }
+        trackEvent(eventName, properties);
+        addErrorBreadcrumb('form', `${eventName.replace('signup_', '')}: ${step.id}`, { step: this.currentStep });
+    }
+
+    setupFunnelTracking() {
+        if (!this.form) return;
+
+        const markStarted = () => {
+            this.funnelStarted = true;
+        };
+        this.listen(this.form, 'input', markStarted);
+        this.listen(this.form, 'change', markStarted);
+        if (this.draftRestored) {
+            this.funnelStarted = true;
+        }
+
+        // beforeunload destroys the app first; pagehide covers mobile browsers that skip it
+        this.listen(window, 'pagehide', () => this.trackAbandon());
+    }
+
+    // Leaving after answering something, without submitting, abandons the signup on the current step
+    trackAbandon() {
+        if (!this.funnelStarted || this.funnelFinished || !this.form || !this.form.isConnected) return;
+        this.funnelFinished = true;
+        this.trackStep('signup_abandoned');
+        // The page is going away, so don't wait for the batch
+        const analytics = getAnalytics();
+        if (analytics) analytics.flush();
     }
 
     setupFormSubmission() {
         if (!this.form) return;
 
-        this.form.addEventListener('submit', (e) => {
+        this.listen(this.form, 'submit', (e) => {
             e.preventDefault();
             this.handleFormSubmission();
         });
     }
 
+    collectFormData() {
+        const formData = new FormData(this.form);
+        const data = Object.fromEntries(formData.entries());
+
+        // Checkbox groups submit every checked value
+        this.fieldConfigs.forEach((config, name) => {
+            if (config.type === 'checkbox-group') {
+                data[name] = formData.getAll(name);
+            }
+        });
+
+        return data;
+    }
+
+    buildSignupPayload(data) {
+        // Normalise each schema field by type; hidden (disabled) fields are absent from data
+        const signup = {};
+        this.fieldConfigs.forEach((config, name) => {
+            const value = data[name];
+            switch (config.type) {
+                case 'checkbox':
+                    signup[name] = value === 'on';
+                    break;
+                case 'checkbox-group':
+                    signup[name] = value || [];
+                    break;
+                case 'radio':
+                case 'select':
+                    signup[name] = value || null;
+                    break;
+                default:
+                    signup[name] = (value || '').trim();
+            }
+        });
+
+        // Chosen via the pricing CTAs (see PlanManager); not a schema field
+        const plans = window.app && window.app.getComponent('plans');
+        signup.plan = plans && plans.getSelectedPlan ? plans.getSelectedPlan() : 'free';
+
+        return {
+            version: SIGNUP_PAYLOAD_VERSION,
+            submittedAt: new Date().toISOString(),
+            source: window.location.pathname,
+            signup
+        };
+    }
+
+    getSubmissionKey() {
+        if (!this.submissionKey) {
+            this.submissionKey = typeof OfflineQueue !== 'undefined'
+                ? OfflineQueue.createIdempotencyKey()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 12)}`;
+        }
+        return this.submissionKey;
+    }
+
+    async submitSignup(payload) {
+        const response = await fetch(window.PropGridConfig.signupEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Idempotency-Key': this.getSubmissionKey()
+            },
+            body: JSON.stringify(payload)
+        });
+
+        // Error responses may not carry a JSON body (proxies, 502s, ...)
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (error) {
+            body = null;
+        }
+
+        return {
+            ok: response.ok,
+            status: response.status,
+            errors: body && body.errors ? body.errors : null,
+            message: body && body.message ? body.message : null,
+            subscription: body && body.subscription ? body.subscription : null,
+            id: body && body.id ? body.id : null
+        };
+    }
+
+    applyServerErrors(errors) {
+        const fieldErrors = [];
+        const formErrors = [];
+
+        Object.entries(errors).forEach(([name, message]) => {
+            const field = this.form.querySelector(`[name="${name}"]`);
+            if (field) {
+                fieldErrors.push({ field, name, message });
+            } else {
+                formErrors.push(message);
+            }
+        });
+
+        // Jump back to the earliest step that has a rejected field before showing errors,
+        // otherwise focusing the field inside a hidden step does nothing
+        const stepNumbers = fieldErrors
+            .map(({ field }) => field.closest('.step-content'))
+            .filter(Boolean)
+            .map(step => this.getStepNumber(step))
+            .filter(stepNumber => stepNumber > 0);
+        if (stepNumbers.length > 0) {
+            const firstStep = Math.min(...stepNumbers);
+            if (firstStep !== this.currentStep) {
+                this.currentStep = firstStep;
+                this.updateStepDisplay();
+            }
+        }
+
+        fieldErrors.forEach(({ field, name, message }) => {
+            if (field.type === 'radio' || this.fieldConfigs.get(name)?.type === 'checkbox-group') {
+                const errorElement = document.getElementById(`error-${name}`);
+                if (errorElement) {
+                    errorElement.textContent = message;
+                    errorElement.classList.remove('hidden');
+                }
+            } else {
+                this.showFieldError(field, message);
+            }
+        });
+
+        if (fieldErrors.length > 0) {
+            fieldErrors[0].field.focus();
+        }
+
+        return formErrors;
+    }
+
+    // Store the signup in the offline outbox for the service worker to deliver later
+    async queueSignup(payload) {
+        if (typeof OfflineQueue === 'undefined' || typeof indexedDB === 'undefined') {
+            return false;
+        }
+
+        try {
+            await OfflineQueue.enqueue({
+                id: this.getSubmissionKey(),
+                kind: 'signup',
+                endpoint: window.PropGridConfig.signupEndpoint,
+                payload
+            });
+        } catch (error) {
+            if (typeof console !== 'undefined' && console.error) {
+                console.error('Failed to queue signup:', error);
+            }
+            return false;
+        }
+
+        // Without a controlling service worker PropGridApp replays the queue on 'online'
+        OfflineQueue.requestReplay().catch(() => {});
+        this.clearDraft(); // The outbox holds the signup now
+        this.funnelFinished = true;
+        trackEvent('signup_submitted', { plan: payload.signup.plan, queued: true });
+        this.showQueuedState();
+        return true;
+    }
+
     async handleFormSubmission() {
         if (!this.validateCurrentStep()) {
             return;
         }
+        this.trackStep('signup_step_completed');
 
-        // Collect all form data
-        const formData = new FormData(this.form);
-        const data = Object.fromEntries(formData.entries());
+        const payload = this.buildSignupPayload(this.collectFormData());
 
-        // Add arrays for checkboxes (if they exist)
-        const strategiesCheckboxes = this.form.querySelectorAll('input[name="strategies"]:checked');
-        const marketsCheckboxes = this.form.querySelectorAll('input[name="markets"]:checked');
-        
-        if (strategiesCheckboxes.length > 0) {
-            data.strategies = Array.from(strategiesCheckboxes).map(cb => cb.value);
+        // Show loading state
+        this.submitBtn.disabled = true;
+        this.submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Processing...';
+
+        try {
+            if (!navigator.onLine && await this.queueSignup(payload)) {
+                return;
+            }
+
+            let result;
+            try {
+                result = await this.submitSignup(payload);
+            } catch (error) {
+                // fetch only rejects when the network is unreachable
+                if (await this.queueSignup(payload)) {
+                    return;
+                }
+                throw error;
+            }
+
+            if (result.ok) {
+                this.submissionKey = null;
+                this.clearDraft();
+                const plans = window.app && window.app.getComponent('plans');
+                if (result.subscription && plans && plans.setSubscription) {
+                    plans.setSubscription(result.subscription);
+                }
+                const push = window.app && window.app.getComponent('pushNotifications');
+                if (result.id && push) {
+                    push.setSubscriberId(result.id);
+                }
+                this.funnelFinished = true;
+                trackEvent('signup_submitted', { plan: payload.signup.plan, queued: false });
+                this.showSuccessState();
+                return;
+            }
+
+            if (result.errors) {
+                const formErrors = this.applyServerErrors(result.errors);
+                notify(formErrors[0] || result.message || 'Please fix the highlighted fields.', 'error');
+            } else {
+                notify(result.message || 'Something went wrong. Please try again.', 'error');
+            }
+        } catch (error) {
+            if (typeof console !== 'undefined' && console.error) {
+                console.error('Form submission error:', error);
+            }
+            notify('Something went wrong. Please try again.', 'error');
+        } finally {
+            this.submitBtn.disabled = false;
+            this.submitBtn.innerHTML = '<i class="fas fa-paper-plane mr-2"></i>Get Early Access';
+        }
+    }
+
+    showSuccessState() {
+        const formContainer = this.form.closest('.bg-white');
+        const push = window.app && window.app.getComponent('pushNotifications');
+        formContainer.innerHTML = `
+            <div class="text-center py-12">
+                <div class="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                    <i class="fas fa-check text-green-600 text-2xl"></i>
+                </div>
+                <h3 class="text-2xl font-bold text-gray-900 mb-4">Welcome to PropGrid!</h3>
+                <p class="text-gray-600 mb-6">Thank you for joining us. We'll start sending you personalized deal alerts based on your preferences.</p>
+                ${this.renderPlanSummary()}
+                <div class="bg-gray-50 rounded-lg p-4 mb-6">
+                    <p class="text-sm text-gray-600">Check your email for a welcome message and your first deal alert will arrive within 24 hours.</p>
+                </div>
+                ${push ? push.renderOptIn() : ''}
+                <a href="/" class="inline-flex items-center text-primary font-medium hover:underline">
+                    <i class="fas fa-arrow-left mr-2"></i>Back to Home
+                </a>
+            </div>
+        `;
+        if (push) {
+            push.render();
         }
-        if (marketsCheckboxes.length > 0) {
-            data.markets = Array.from(marketsCheckboxes).map(cb => cb.value);
+    }
+
+    // Tier line on the success screen, e.g. "Pro trial · 7 days left · up to 10 deals per week"
+    renderPlanSummary() {
+        const plans = window.app && window.app.getComponent('plans');
+        if (!plans || !plans.subscription) return '';
+
+        const state = plans.getState();
+        const allowance = state.weeklyAllowance === 1 ? '1 deal per week' : `up to ${state.weeklyAllowance} deals per week`;
+        const summary = state.onTrial ? `${plans.describeState(state)} · ${allowance}` : plans.describeState(state);
+        return `
+            <div class="inline-flex items-center gap-2 bg-blue-50 text-blue-700 px-4 py-2 rounded-full text-sm font-medium mb-6" data-plan-summary>
+                <i class="fas fa-crown"></i>
+                <span>${utils.escapeHtml(summary)}</span>
+            </div>
+        `;
+    }
+
+    showQueuedState() {
+        const formContainer = this.form.closest('.bg-white');
+        formContainer.innerHTML = `
+            <div class="text-center py-12">
+                <div class="w-16 h-16 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                    <i class="fas fa-cloud-upload-alt text-blue-600 text-2xl"></i>
+                </div>
+                <h3 class="text-2xl font-bold text-gray-900 mb-4">You're Offline</h3>
+                <p class="text-gray-600 mb-6">We've saved your signup on this device and will submit it automatically as soon as you're back online.</p>
+                <div class="bg-gray-50 rounded-lg p-4">
+                    <p class="text-sm text-gray-600">You'll see a confirmation here once it goes through. No need to fill out the form again.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    // The shell removes the listeners
+    destroy() {
+        this.trackAbandon();
+    }
+}
+
+// Plan state for pricing CTAs, the signup plan label and the success screen (see plans.js)
+class PlanManager {
+    constructor({ listen }) {
+        this.cards = document.querySelectorAll('[data-plan-card]');
+        this.signupLabel = utils.getElement('signup-plan-label');
+        this.listen = listen;
+
+        if (typeof PropGridPlans === 'undefined') {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[PlanManager] plans.js is not loaded. Skipping initialization.');
+            }
+            return;
+        }
+
+        this.subscription = this.loadSubscription();
+        this.selectedPlan = null;
+        this.init();
+    }
+
+    init() {
+        const requested = new URLSearchParams(window.location.search).get('plan');
+        if (requested && PropGridPlans.PLANS[requested]) {
+            this.selectPlan(requested);
+        }
+
+        this.listen(document, 'click', (event) => {
+            const cta = event.target.closest('[data-plan-cta]');
+            if (cta) {
+                this.selectPlan(cta.dataset.planCta);
+            }
+        });
+
+        this.render();
+    }
+
+    loadSubscription() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SUBSCRIPTION_STORAGE_KEY));
+            return stored && PropGridPlans.PLANS[stored.plan] ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the subscription the signup API returned and refresh the page
+     * @param {Object} subscription - From PropGridPlans.createSubscription()
+     */
+    setSubscription(subscription) {
+        this.subscription = subscription;
+        try {
+            localStorage.setItem(SUBSCRIPTION_STORAGE_KEY, JSON.stringify(subscription));
+        } catch (error) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[PlanManager] Could not store subscription:', error);
+            }
+        }
+        this.render();
+    }
+
+    // Plan the next signup asks for: the last pricing CTA clicked, else Free
+    getSelectedPlan() {
+        return this.selectedPlan || PropGridPlans.DEFAULT_PLAN;
+    }
+
+    selectPlan(planId) {
+        if (!PropGridPlans.PLANS[planId]) return;
+        this.selectedPlan = planId;
+        this.render();
+    }
+
+    getState() {
+        return PropGridPlans.getState(this.subscription);
+    }
+
+    // One-line summary of a plan state, e.g. "Pro trial · 5 days left"
+    describeState(state) {
+        if (state.onTrial) {
+            return `Pro trial · ${state.trialDaysLeft} day${state.trialDaysLeft === 1 ? '' : 's'} left`;
         }
+        if (state.status === 'trial-ended') {
+            return "Your Pro trial has ended · you're on Free";
+        }
+        const plan = PropGridPlans.PLANS[state.tier];
+        return `You're on ${plan.name} · ${plan.weeklyDeals === 1 ? '1 deal' : `up to ${plan.weeklyDeals} deals`} per week`;
+    }
+
+    render() {
+        const state = this.subscription ? this.getState() : null;
+
+        this.cards.forEach(card => {
+            const planId = card.dataset.planCard;
+            const cta = card.querySelector('[data-plan-cta]');
+            const status = card.querySelector('[data-plan-status]');
+            const isCurrent = Boolean(state) && state.tier === planId;
+
+            if (cta) {
+                if (!cta.dataset.defaultLabel) {
+                    cta.dataset.defaultLabel = cta.textContent.trim();
+                }
+                let label = cta.dataset.defaultLabel;
+                if (isCurrent) {
+                    label = 'Current Plan';
+                } else if (planId === 'pro' && state && !state.trialAvailable) {
+                    label = 'Upgrade to Pro';
+                }
+                cta.textContent = label;
+                if (isCurrent) {
+                    cta.setAttribute('aria-current', 'true');
+                } else {
+                    cta.removeAttribute('aria-current');
+                }
+            }
+
+            if (status) {
+                status.textContent = isCurrent ? this.describeState(state) : '';
+                status.classList.toggle('hidden', !isCurrent);
+            }
+        });
+
+        if (this.signupLabel && this.selectedPlan) {
+            const plan = PropGridPlans.PLANS[this.selectedPlan];
+            this.signupLabel.textContent = plan.trialDays > 0 && (!state || state.trialAvailable)
+                ? `${plan.name} plan · ${plan.trialDays}-day free trial`
+                : `${plan.name} plan`;
+        }
+    }
+}
+
+// Web Push deal alerts: the opt-in offered after signup, and subscribe/unsubscribe against the
+// server's VAPID key. The push and notificationclick handlers in sw.js render and open the alerts.
+class PushNotifications {
+    constructor({ listen }) {
+        this.listen = listen;
+        this.subscriberId = null;
+        this.isBusy = false;
+        this.init();
+    }
+
+    static isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    // VAPID keys are base64url; PushManager.subscribe() wants the raw bytes
+    static decodeKey(base64Url) {
+        const base64 = (base64Url + '='.repeat((4 - base64Url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    init() {
+        this.listen(document, 'click', (event) => {
+            if (event.target.closest('[data-push-toggle]')) {
+                this.toggle();
+            }
+        });
+    }
+
+    // Links the subscription to a signup so the server can match deals to it
+    setSubscriberId(id) {
+        this.subscriberId = id;
+    }
+
+    async getPublicKey() {
+        if (window.PropGridConfig.vapidPublicKey) {
+            return window.PropGridConfig.vapidPublicKey;
+        }
+        const response = await fetch(window.PropGridConfig.pushPublicKeyUrl, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Push key request failed with HTTP ${response.status}`);
+        }
+        const { publicKey } = await response.json();
+        return publicKey;
+    }
+
+    async getSubscription() {
+        if (!PushNotifications.isSupported()) return null;
+        const registration = await navigator.serviceWorker.ready;
+        return registration.pushManager.getSubscription();
+    }
+
+    async postJson(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`${url} answered HTTP ${response.status}`);
+        }
+    }
+
+    /**
+     * Ask for permission, subscribe with the server's VAPID key and register the subscription
+     * @returns {Promise<boolean>} Whether deal alerts are now on
+     */
+    async subscribe() {
+        if (!PushNotifications.isSupported()) return false;
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') return false;
+
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription() ||
+            await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: PushNotifications.decodeKey(await this.getPublicKey())
+            });
+
+        try {
+            await this.postJson(window.PropGridConfig.pushSubscribeEndpoint, {
+                subscription: subscription.toJSON(),
+                subscriberId: this.subscriberId
+            });
+        } catch (error) {
+            // A subscription the server doesn't know about would never receive anything
+            await subscription.unsubscribe();
+            throw error;
+        }
+        return true;
+    }
+
+    async unsubscribe() {
+        const subscription = await this.getSubscription();
+        if (!subscription) return;
+
+        await subscription.unsubscribe();
+        await this.postJson(window.PropGridConfig.pushUnsubscribeEndpoint, { endpoint: subscription.endpoint })
+            .catch((error) => {
+                if (typeof console !== 'undefined' && console.warn) {
+                    console.warn('[PushNotifications] Server did not drop the subscription:', error);
+                }
+            });
+    }
 
-        // Show loading state
-        this.submitBtn.disabled = true;
-        this.submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Processing...';
+    async toggle() {
+        if (this.isBusy) return;
+        this.isBusy = true;
+        this.render();
 
         try {
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            // Show success state
-            this.showSuccessState();
-            
-            // Log the collected data (in production, send to your backend)
-            // Form data collected successfully
-            
+            if (await this.getSubscription()) {
+                await this.unsubscribe();
+            } else if (!await this.subscribe() && typeof Notification !== 'undefined' && Notification.permission === 'denied') {
+                this.showMessage('Notifications are blocked for this site. Allow them in your browser settings to get deal alerts.');
+            }
         } catch (error) {
             if (typeof console !== 'undefined' && console.error) {
-                console.error('Form submission error:', error);
+                console.error('[PushNotifications] Could not update deal alerts:', error);
             }
-            this.showToast('Something went wrong. Please try again.', 'error');
+            this.showMessage("We couldn't turn on deal alerts. Please try again.");
         } finally {
-            this.submitBtn.disabled = false;
-            this.submitBtn.innerHTML = '<i class="fas fa-paper-plane mr-2"></i>Get Started';
+            this.isBusy = false;
+            this.render();
         }
     }
 
-    showSuccessState() {
-        const formContainer = this.form.closest('.bg-white');
-        formContainer.innerHTML = `
-            <div class="text-center py-12">
-                <div class="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-6">
-                    <i class="fas fa-check text-green-600 text-2xl"></i>
-                </div>
-                <h3 class="text-2xl font-bold text-gray-900 mb-4">Welcome to PropGrid!</h3>
-                <p class="text-gray-600 mb-6">Thank you for joining us. We'll start sending you personalized deal alerts based on your preferences.</p>
-                <div class="bg-gray-50 rounded-lg p-4 mb-6">
-                    <p class="text-sm text-gray-600">Check your email for a welcome message and your first deal alert will arrive within 24 hours.</p>
-                </div>
-                <a href="/" class="inline-flex items-center text-primary font-medium hover:underline">
-                    <i class="fas fa-arrow-left mr-2"></i>Back to Home
-                </a>
-            </div>
-        `;
+    showMessage(message) {
+        notify(message, 'error');
     }
 
-    showToast(message, type = 'info') {
-        // Create toast element
-        const toast = document.createElement('div');
-        toast.className = `fixed top-4 right-4 z-50 px-6 py-3 rounded-lg text-white font-medium transform translate-x-full transition-transform duration-300 ${
-            type === 'error' ? 'bg-red-500' : 'bg-primary'
-        }`;
-        toast.innerHTML = `
-            <div class="flex items-center">
-                <i class="fas fa-${type === 'error' ? 'exclamation-triangle' : 'info-circle'} mr-2"></i>
-                ${message}
+    // Opt-in card for the signup success screen; render() fills in the current state
+    renderOptIn() {
+        if (!PushNotifications.isSupported()) return '';
+        return `
+            <div class="border border-blue-100 rounded-lg p-4 mb-6 text-left" data-push-optin>
+                <p class="text-sm font-semibold text-gray-900 mb-1"><i class="fas fa-bell text-primary mr-2"></i>Get deals the moment they land</p>
+                <p class="text-sm text-gray-600 mb-3" data-push-status>Turn on browser notifications for instant deal alerts.</p>
+                <button type="button" class="bg-primary text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors" data-push-toggle>
+                    Turn on deal alerts
+                </button>
             </div>
         `;
-
-        document.body.appendChild(toast);
-
-        // Animate in
-        setTimeout(() => {
-            toast.classList.remove('translate-x-full');
-        }, 100);
-
-        // Remove after 5 seconds
-        setTimeout(() => {
-            toast.classList.add('translate-x-full');
-            setTimeout(() => {
-                document.body.removeChild(toast);
-            }, 300);
-        }, 5000);
-    }
-}
-
-// FAQ Accordion functionality with accessibility
-class FAQAccordion {
-    constructor() {
-        this.init();
     }
 
-    init() {
-        const accordionButtons = document.querySelectorAll('.faq-accordion-btn');
-        accordionButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.toggleAccordion(button);
-            });
-        });
-    }
+    async render() {
+        const containers = document.querySelectorAll('[data-push-optin]');
+        if (containers.length === 0) return;
 
-    toggleAccordion(button) {
-        const content = button.nextElementSibling;
-        const icon = button.querySelector('i');
-        const isExpanded = button.getAttribute('aria-expanded') === 'true';
-        
-        if (isExpanded) {
-            // Close
-            content.classList.remove('open');
-            icon.style.transform = 'rotate(0deg)';
-            button.setAttribute('aria-expanded', 'false');
-        } else {
-            // Close other open items
-            const openItems = document.querySelectorAll('.accordion-content.open');
-            openItems.forEach(item => {
-                item.classList.remove('open');
-                const itemIcon = item.previousElementSibling.querySelector('i');
-                const itemButton = item.previousElementSibling;
-                if (itemIcon) itemIcon.style.transform = 'rotate(0deg)';
-                if (itemButton) itemButton.setAttribute('aria-expanded', 'false');
-            });
-            
-            // Open current item
-            content.classList.add('open');
-            icon.style.transform = 'rotate(180deg)';
-            button.setAttribute('aria-expanded', 'true');
+        let subscribed = false;
+        try {
+            subscribed = Boolean(await this.getSubscription());
+        } catch (error) {
+            subscribed = false;
         }
+        const blocked = Notification.permission === 'denied';
+
+        containers.forEach(container => {
+            const status = container.querySelector('[data-push-status]');
+            const button = container.querySelector('[data-push-toggle]');
+            if (status) {
+                if (blocked) {
+                    status.textContent = 'Notifications are blocked for this site in your browser settings.';
+                } else {
+                    status.textContent = subscribed
+                        ? "Deal alerts are on. We'll notify you as soon as a matching deal lands."
+                        : 'Turn on browser notifications for instant deal alerts.';
+                }
+            }
+            if (button) {
+                button.disabled = this.isBusy || blocked;
+                button.textContent = subscribed ? 'Turn off deal alerts' : 'Turn on deal alerts';
+                button.setAttribute('aria-pressed', String(subscribed));
+            }
+        });
     }
 }
 
 // Animation controller with performance optimizations
 class AnimationController {
-    constructor() {
+    constructor({ listen }) {
+        this.listen = listen;
         this.observers = new Map();
         this.animationElements = new Set();
         this.isDestroyed = false;
@@ -1754,10 +3520,7 @@ class AnimationController {
             });
         }, 16);
         
-        window.addEventListener('scroll', handleParallaxScroll, { passive: true });
-        
-        // Store handler for cleanup
-        this._parallaxHandler = handleParallaxScroll;
+        this.listen(window, 'scroll', handleParallaxScroll, { passive: true });
     }
 
     addElement(element, animationType = 'fade-in') {
@@ -1811,23 +3574,24 @@ class AnimationController {
         });
         this.observers.clear();
         
-        // Remove scroll handler
-        if (this._parallaxHandler) {
-            window.removeEventListener('scroll', this._parallaxHandler);
-            this._parallaxHandler = null;
-        }
-        
         // Clear element references
         this.animationElements.clear();
     }
 }
 
+// Bounds on what PerformanceMonitor keeps in memory for INP
+const MAX_INP_CANDIDATES = 10;
+const MAX_TRACKED_FRAMES = 50;
+const MEMORY_CHECK_INTERVAL = 10000;
+
 // Performance monitoring with enhanced metrics
 class PerformanceMonitor {
-    constructor() {
+    constructor({ listen }) {
+        this.listen = listen;
         this.metrics = new Map();
         this.observers = new Map();
         this.isInitialized = false;
+        this.reportedViolations = new Set();
         
         this.init();
     }
@@ -1839,7 +3603,6 @@ class PerformanceMonitor {
         
         this.trackPageLoad();
         this.trackUserInteractions();
-        this.setupErrorTracking();
         this.setupPerformanceObserver();
         this.setupPerformanceAlerts();
         
@@ -1851,87 +3614,279 @@ class PerformanceMonitor {
     }
     
     setupPerformanceAlerts() {
-        // Alert if page load takes too long
-        setTimeout(() => {
-            const loadTime = performance.now() - this.startTime;
-            if (loadTime > 3000) {
-                if (typeof console !== 'undefined' && console.warn) {
-                    console.warn(`⚠️ Slow page load detected: ${loadTime.toFixed(0)}ms`);
-                }
-            }
-        }, 3000);
-        
-        // Monitor memory usage
+        if (typeof PropGridBudgets === 'undefined') return;
+
+        this.budgetLimits = PropGridBudgets.limitsFor(null, window.location.pathname);
+        this.budgetsReady = this.loadBudgets();
+
+        // Load time and page weight are final once the load event has finished
+        const checkLoad = () => setTimeout(() => {
+            this.budgetsReady.then(() => this.checkBudgets(this.measureLoad()));
+        }, 0);
+        if (document.readyState === 'complete') {
+            checkLoad();
+        } else {
+            this.listen(window, 'load', checkLoad, { once: true });
+        }
+
         if ('memory' in performance) {
-            setInterval(() => {
-                const memory = performance.memory;
-                if (memory.usedJSHeapSize > 50 * 1024 * 1024) { // 50MB
-                    if (typeof console !== 'undefined' && console.warn) {
-                        console.warn('⚠️ High memory usage detected:', 
-                            (memory.usedJSHeapSize / 1024 / 1024).toFixed(1) + 'MB');
-                    }
-                }
-            }, 10000);
+            this.memoryCheckInterval = setInterval(() => {
+                this.checkBudgets({ jsHeapBytes: performance.memory.usedJSHeapSize });
+            }, MEMORY_CHECK_INTERVAL);
+        }
+    }
+
+    // Replace the built-in limits with this page's from performance-budgets.json
+    async loadBudgets() {
+        const url = window.PropGridConfig.performanceBudgetsUrl;
+        if (!url) return;
+
+        try {
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.budgetLimits = PropGridBudgets.limitsFor(await response.json(), window.location.pathname);
+        } catch (error) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('[PerformanceMonitor] Could not load performance budgets, using defaults:', error);
+            }
         }
     }
 
+    /**
+     * Load time and page weight from the navigation and resource timing entries
+     * @returns {Object} { loadTime, scriptBytes, styleBytes, requestCount }
+     */
+    measureLoad() {
+        const entriesOf = type => (typeof performance.getEntriesByType === 'function' ? performance.getEntriesByType(type) : []);
+        const [navigation] = entriesOf('navigation');
+        const requests = entriesOf('resource').concat(navigation ? [navigation] : []).map(entry => ({
+            type: PropGridBudgets.resourceType(entry.name, entry.initiatorType),
+            // transferSize is 0 for cached and cross-origin responses without Timing-Allow-Origin
+            bytes: entry.transferSize || entry.encodedBodySize || 0
+        }));
+
+        return Object.assign({
+            loadTime: navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd : performance.now()
+        }, PropGridBudgets.summarizeRequests(requests));
+    }
+
+    /**
+     * Warn about measurements over this page's budget, once per metric
+     * @param {Object} measurements - Metric -> value
+     * @returns {Array} Every violation, including ones already warned about
+     */
+    checkBudgets(measurements) {
+        if (!this.budgetLimits) return [];
+
+        const violations = PropGridBudgets.check(this.budgetLimits, measurements);
+        violations.filter(violation => !this.reportedViolations.has(violation.metric)).forEach(violation => {
+            this.reportedViolations.add(violation.metric);
+            if (typeof console !== 'undefined' && console.warn) {
+                const { metric, value, budget } = violation;
+                console.warn(`⚠️ ${PropGridBudgets.METRICS[metric].label} over budget: ${PropGridBudgets.format(metric, value)} (budget ${PropGridBudgets.format(metric, budget)})`);
+            }
+        });
+        return violations;
+    }
+
     trackPageLoad() {
-        // Track Core Web Vitals
-        if ('PerformanceObserver' in window) {
-            try {
-                // Largest Contentful Paint (LCP)
-                const lcpObserver = new PerformanceObserver((list) => {
-                    const entries = list.getEntries();
-                    const lastEntry = entries[entries.length - 1];
-                    this.metrics.set('lcp', lastEntry.startTime);
-                    this.logMetric('LCP', lastEntry.startTime);
-                });
-                lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-                this.observers.set('lcp', lcpObserver);
+        // Core Web Vitals entries, turned into one report when the page is hidden (see reportVitals)
+        this.vitals = {
+            lcp: null,
+            shifts: [],
+            interactions: new Map(), // interactionId -> its longest event timing entry
+            interactionIds: new Set(),
+            frames: [] // Recent long animation frames, for INP handler attribution
+        };
 
-                // First Input Delay (FID)
-                const fidObserver = new PerformanceObserver((list) => {
-                    const entries = list.getEntries();
-                    entries.forEach(entry => {
-                        this.metrics.set('fid', entry.processingStart - entry.startTime);
-                        this.logMetric('FID', entry.processingStart - entry.startTime);
-                    });
-                });
-                fidObserver.observe({ entryTypes: ['first-input'] });
-                this.observers.set('fid', fidObserver);
+        this.observeEntries('largest-contentful-paint', (entries) => {
+            this.vitals.lcp = entries[entries.length - 1];
+            this.metrics.set('lcp', this.vitals.lcp.startTime);
+        });
 
-                // Cumulative Layout Shift (CLS)
-                let clsValue = 0;
-                const clsObserver = new PerformanceObserver((list) => {
-                    const entries = list.getEntries();
-                    entries.forEach(entry => {
-                        if (!entry.hadRecentInput) {
-                            clsValue += entry.value;
-                            this.metrics.set('cls', clsValue);
-                        }
-                    });
-                });
-                clsObserver.observe({ entryTypes: ['layout-shift'] });
-                this.observers.set('cls', clsObserver);
-            } catch (e) {
-                console.warn('Performance Observer not supported:', e);
+        this.observeEntries('layout-shift', (entries) => {
+            this.vitals.shifts.push(...entries);
+            this.metrics.set('cls', PropGridVitals.clsFromShifts(this.vitals.shifts).value);
+        });
+
+        // Interactions faster than 40ms can't set INP, so they aren't worth observing
+        this.observeEntries('event', (entries) => this.recordInteractions(entries), { durationThreshold: 40 });
+        this.observeEntries('first-input', (entries) => this.recordInteractions(entries));
+
+        this.observeEntries('long-animation-frame', (entries) => {
+            this.vitals.frames.push(...entries);
+            this.vitals.frames.splice(0, Math.max(0, this.vitals.frames.length - MAX_TRACKED_FRAMES));
+        });
+
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.reportVitals();
             }
-        }
+        });
 
         // Track DOM content loaded and load times
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => {
+            this.listen(document, 'DOMContentLoaded', () => {
                 this.metrics.set('domContentLoaded', performance.now());
                 this.logMetric('DOM Content Loaded', performance.now());
             });
         }
 
-        window.addEventListener('load', () => {
+        this.listen(window, 'load', () => {
             this.metrics.set('pageLoad', performance.now());
             this.logMetric('Page Load', performance.now());
         });
     }
 
+    // Observe one entry type, including entries from before script.js loaded; unsupported types are skipped
+    observeEntries(type, callback, options = {}) {
+        if (!('PerformanceObserver' in window) || typeof PropGridVitals === 'undefined') return;
+        if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return;
+
+        try {
+            const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+            observer.observe(Object.assign({ type, buffered: true }, options));
+            this.observers.set(type, observer);
+        } catch (e) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn(`Performance Observer for ${type} not supported:`, e);
+            }
+        }
+    }
+
+    recordInteractions(entries) {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return;
+            this.vitals.interactionIds.add(entry.interactionId);
+            const longest = this.vitals.interactions.get(entry.interactionId);
+            if (!longest || entry.duration > longest.duration) {
+                this.vitals.interactions.set(entry.interactionId, entry);
+            }
+        });
+
+        // Only the slowest few interactions can set INP; forget the rest so long visits stay small
+        if (this.vitals.interactions.size > MAX_INP_CANDIDATES) {
+            const slowest = [...this.vitals.interactions.entries()]
+                .sort((a, b) => b[1].duration - a[1].duration)
+                .slice(0, MAX_INP_CANDIDATES);
+            this.vitals.interactions = new Map(slowest);
+        }
+
+        const inp = PropGridVitals.inpFromInteractions([...this.vitals.interactions.values()], this.getInteractionCount());
+        if (inp) {
+            this.metrics.set('inp', inp.duration);
+        }
+    }
+
+    getInteractionCount() {
+        return performance.interactionCount || this.vitals.interactionIds.size;
+    }
+
+    // Which element was interacted with, where the time went and, where the browser
+    // reports long animation frames, which script handled it
+    getInteractionAttribution(entry) {
+        const end = entry.startTime + entry.duration;
+        const scripts = this.vitals.frames
+            .filter(frame => frame.startTime < end && frame.startTime + frame.duration > entry.startTime)
+            .flatMap(frame => Array.from(frame.scripts || []))
+            .sort((a, b) => b.duration - a.duration);
+        const script = scripts[0];
+
+        return {
+            target: PropGridVitals.selectorFor(entry.target),
+            eventType: entry.name,
+            inputDelay: Math.round(entry.processingStart - entry.startTime),
+            processingDuration: Math.round(entry.processingEnd - entry.processingStart),
+            presentationDelay: Math.round(Math.max(0, end - entry.processingEnd)),
+            handler: script ? {
+                invoker: script.invoker || null,
+                functionName: script.sourceFunctionName || null,
+                source: script.sourceURL || null,
+                duration: Math.round(script.duration)
+            } : null
+        };
+    }
+
+    /**
+     * Current Web Vitals with ratings and attribution
+     * @returns {Object} { url, navigationType, connection, timestamp, metrics: { LCP, INP, CLS, TTFB } }
+     *   where each metric is { value, rating, attribution }; metrics without data yet are left out
+     */
+    buildVitalsReport() {
+        const metrics = {};
+        const addMetric = (name, value, attribution) => {
+            metrics[name] = {
+                value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value),
+                rating: PropGridVitals.rate(name, value),
+                attribution
+            };
+        };
+
+        const lcp = this.vitals.lcp;
+        if (lcp) {
+            addMetric('LCP', lcp.startTime, {
+                element: PropGridVitals.selectorFor(lcp.element),
+                url: lcp.url || null,
+                size: lcp.size
+            });
+        }
+
+        const inp = PropGridVitals.inpFromInteractions([...this.vitals.interactions.values()], this.getInteractionCount());
+        if (inp) {
+            addMetric('INP', inp.duration, this.getInteractionAttribution(inp));
+        }
+
+        // CLS is reported even when nothing shifted: 0 is a real (good) score
+        if (this.observers.has('layout-shift')) {
+            const cls = PropGridVitals.clsFromShifts(this.vitals.shifts);
+            const largest = cls.entries.slice().sort((a, b) => b.value - a.value)[0];
+            const source = largest ? Array.from(largest.sources || []).find(item => item.node) : null;
+            addMetric('CLS', cls.value, {
+                largestShiftTarget: source ? PropGridVitals.selectorFor(source.node) : null,
+                largestShiftValue: largest ? Number(largest.value.toFixed(4)) : 0,
+                shiftCount: cls.entries.length
+            });
+        }
+
+        const [navigation] = typeof performance.getEntriesByType === 'function' ? performance.getEntriesByType('navigation') : [];
+        const ttfb = PropGridVitals.ttfbFrom(navigation);
+        if (ttfb) {
+            addMetric('TTFB', ttfb.value, ttfb.attribution);
+        }
+
+        return {
+            url: window.location.pathname,
+            navigationType: navigation ? navigation.type : null,
+            connection: navigator.connection ? navigator.connection.effectiveType : null,
+            timestamp: Date.now(),
+            metrics
+        };
+    }
+
+    // One beacon per page hide with every metric, skipped when nothing changed since the last one
+    reportVitals() {
+        if (typeof PropGridVitals === 'undefined' || !this.vitals) return;
+
+        const report = this.buildVitalsReport();
+        const signature = JSON.stringify(Object.entries(report.metrics).map(([name, metric]) => [name, metric.value]));
+        if (Object.keys(report.metrics).length === 0 || signature === this.lastVitalsSignature) return;
+        this.lastVitalsSignature = signature;
+
+        Object.entries(report.metrics).forEach(([name, metric]) => this.logMetric(name, metric.value));
+
+        const measurements = {};
+        Object.entries(report.metrics).forEach(([name, metric]) => {
+            measurements[name] = metric.value;
+        });
+        report.budgetViolations = this.checkBudgets(measurements);
+
+        const endpoint = window.PropGridConfig.vitalsEndpoint;
+        if (!endpoint || !hasConsent('analytics') || typeof navigator.sendBeacon !== 'function') return;
+        navigator.sendBeacon(endpoint, new Blob([JSON.stringify(report)], { type: 'application/json' }));
+    }
+
     trackUserInteractions() {
         // Track user engagement metrics
         let firstInteraction = true;
@@ -1948,42 +3903,12 @@ class PerformanceMonitor {
         };
 
         // Track clicks, scrolls, and form interactions
-        document.addEventListener('click', () => trackInteraction('click'), { passive: true });
-        document.addEventListener('scroll', utils.throttle(() => trackInteraction('scroll'), 1000), { passive: true });
+        this.listen(document, 'click', () => trackInteraction('click'), { passive: true });
+        this.listen(document, 'scroll', utils.throttle(() => trackInteraction('scroll'), 1000), { passive: true });
         
         // Track form interactions
-        document.addEventListener('input', () => trackInteraction('input'), { passive: true });
-        document.addEventListener('submit', () => trackInteraction('submit'), { passive: true });
-    }
-
-    setupErrorTracking() {
-        // Track JavaScript errors
-        window.addEventListener('error', (e) => {
-            this.logError('JavaScript Error', {
-                message: e.message,
-                filename: e.filename,
-                lineno: e.lineno,
-                colno: e.colno
-            });
-        });
-
-        // Track unhandled promise rejections
-        window.addEventListener('unhandledrejection', (e) => {
-            this.logError('Unhandled Promise Rejection', {
-                reason: e.reason
-            });
-        });
-
-        // Track resource loading errors
-        window.addEventListener('error', (e) => {
-            if (e.target && e.target.tagName) {
-                this.logError('Resource Loading Error', {
-                    tagName: e.target.tagName,
-                    src: e.target.src || e.target.href,
-                    type: e.type
-                });
-            }
-        }, true);
+        this.listen(document, 'input', () => trackInteraction('input'), { passive: true });
+        this.listen(document, 'submit', () => trackInteraction('submit'), { passive: true });
     }
 
     setupPerformanceObserver() {
@@ -2031,48 +3956,12 @@ class PerformanceMonitor {
         }
     }
 
-    logError(type, details) {
-        const error = {
-            type,
-            details,
-            timestamp: Date.now(),
-            url: window.location.href,
-            userAgent: navigator.userAgent
-        };
-        
-        // Log to console in development
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            if (typeof console !== 'undefined' && console.error) {
-            console.error(`❌ ${type}:`, details);
-        }
-        }
-        
-        // Send to error tracking in production
-        if (window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1') {
-            this.sendToErrorTracking(error);
-        }
-    }
-
     sendToAnalytics(metric) {
-        // Implement your analytics service here
-        // Example: Google Analytics, Mixpanel, etc.
-        if (window.gtag) {
-            window.gtag('event', 'performance_metric', {
-                metric_name: metric.name,
-                metric_value: metric.value,
-                ...metric
-            });
-        }
-    }
-
-    sendToErrorTracking(error) {
-        // Implement your error tracking service here
-        // Example: Sentry, Bugsnag, etc.
-        if (window.Sentry) {
-            window.Sentry.captureException(new Error(error.type), {
-                extra: error.details
-            });
-        }
+        // The analytics adapters hold metrics back until the visitor allows analytics
+        trackEvent('performance_metric', {
+            metric_name: metric.name,
+            metric_value: metric.value
+        });
     }
 
     getMetrics() {
@@ -2080,6 +3969,11 @@ class PerformanceMonitor {
     }
 
     destroy() {
+        if (this.memoryCheckInterval) {
+            clearInterval(this.memoryCheckInterval);
+            this.memoryCheckInterval = null;
+        }
+
         // Disconnect all observers
         this.observers.forEach(observer => {
             observer.disconnect();
@@ -2108,36 +4002,114 @@ class ServiceWorkerManager {
         }
         return null; // Return null if service worker is not supported
     }
+
+    /**
+     * Call onUpdateReady(worker) when a new sw.js has installed and is waiting to take over.
+     * The first install on a page has nothing to replace, so it doesn't count as an update.
+     * @param {ServiceWorkerRegistration} registration
+     * @param {Function} onUpdateReady - Receives the waiting ServiceWorker
+     */
+    static watchForUpdates(registration, onUpdateReady) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            onUpdateReady(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    onUpdateReady(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Activate a waiting worker and reload once it controls the page
+     * @param {ServiceWorker} worker - The waiting worker
+     */
+    static applyUpdate(worker) {
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
 }
 
+// --- Components ---
+// PropGridApp mounts each of these on the element that names it with data-component (see components.js);
+// faqAccordion is defined in faq-accordion.js. Each is its own error boundary: one with a fallback shows it
+// in place of its element, with a retry button, if it fails; any other fails silently. Components add their
+// listeners with context.listen, so the shell removes them on unmount and when create() throws partway,
+// and a retry or restart never binds them twice.
+PropGridComponents.define('navigation', { create: context => new Navigation(context) });
+PropGridComponents.define('emailSimulation', {
+  create: context => new EmailSimulation(context),
+  fallback: "The live deal feed couldn't load.",
+  // The simulation's own pause() is the visitor's; a hidden tab only stops playback
+  pause: simulation => simulation.stopSimulation(),
+  resume: simulation => simulation.startSimulation()
+});
+PropGridComponents.define('dealCalculator', {
+  create: context => new DealCalculator(context),
+  lazy: true,
+  fallback: "The deal calculator couldn't load."
+});
+PropGridComponents.define('dealDirectory', {
+  create: context => new DealDirectory(context),
+  dependsOn: ['emailSimulation'],
+  fallback: "Deals couldn't load."
+});
+PropGridComponents.define('plans', { create: context => new PlanManager(context) });
+PropGridComponents.define('pushNotifications', { create: context => new PushNotifications(context) });
+PropGridComponents.define('multiStepForm', {
+  create: context => new MultiStepForm(context),
+  dependsOn: ['plans', 'pushNotifications'],
+  fallback: "The signup form couldn't load."
+});
+PropGridComponents.define('animationController', { create: context => new AnimationController(context) });
+PropGridComponents.define('performanceMonitor', { create: context => new PerformanceMonitor(context) });
+
 // Main application initialization with proper cleanup
 class PropGridApp {
     constructor() {
         console.log('[PropGridApp] Initializing...');
-        this.components = new Map();
+        this.shell = null;
         this.isInitialized = false;
         this.isDestroyed = false;
+        // Components fail one at a time (see handleComponentError); failing here leaves nothing working
         try {
+            this.shell = PropGridComponents.createApp({
+                services: { track: trackEvent, notify },
+                onError: (error, details) => this.handleComponentError(error, details)
+            });
             this.init();
         } catch (err) {
-            if (typeof console !== 'undefined' && console.error) {
-                console.error('[PropGridApp] Initialization error:', err);
-            }
-            showCriticalError('App failed to initialize: ' + (err && err.message ? err.message : err));
+            // Unmount whatever did start so a half-built app isn't left listening
+            this.destroy();
+            handleError(err, {
+                severity: ERROR_SEVERITY.FATAL,
+                message: APP_START_ERROR_MESSAGE,
+                context: { component: 'app' }
+            });
         }
     }
 
     init() {
         if (this.isInitialized || this.isDestroyed) return;
         
-        // Initialize components in order of dependency
-        this.initializeComponents();
+        // Mount the page's components, dependencies first
+        this.shell.start();
         
         // Set up global event listeners
         this.setupGlobalListeners();
         
-        // Register service worker
-        this.registerServiceWorker();
+        // Register service worker, then flush anything queued on a previous visit
+        this.registerServiceWorker().then(() => this.replayOutbox());
         
         this.isInitialized = true;
         
@@ -2145,73 +4117,79 @@ class PropGridApp {
         // PropGrid App initialized successfully
     }
 
-    initializeComponents() {
-        // Initialize components with error handling
-        const componentInitializers = [
-            { name: 'navigation', init: () => new Navigation() },
-            { name: 'emailSimulation', init: () => new EmailSimulation() },
-            { name: 'multiStepForm', init: () => new MultiStepForm() },
-            { name: 'faqAccordion', init: () => new FAQAccordion() },
-            { name: 'animationController', init: () => new AnimationController() },
-            { name: 'performanceMonitor', init: () => new PerformanceMonitor() }
-        ];
-
-        componentInitializers.forEach(({ name, init }) => {
-            try {
-                const component = init();
-                this.components.set(name, component);
-                // Component initialized: ${name}
-            } catch (error) {
-                if (typeof console !== 'undefined' && console.error) {
-                    console.error(`❌ Failed to initialize ${name}:`, error);
-                }
-            }
+    handleComponentError(error, { name, root, fallback, retry }) {
+        const container = fallback ? root : null;
+        handleError(error, {
+            severity: container ? ERROR_SEVERITY.INLINE : ERROR_SEVERITY.SILENT,
+            message: fallback || undefined,
+            container,
+            retry,
+            context: { component: name }
         });
     }
 
+    // Added through the shell so destroy() removes them; it also pauses components while the tab is hidden
     setupGlobalListeners() {
-        // Handle page visibility changes
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pauseNonCriticalOperations();
-            } else {
-                this.resumeNonCriticalOperations();
-            }
+        // Clicks on [data-track] elements (CTAs, pricing plans) become analytics events
+        const analytics = getAnalytics();
+        this.stopAutoTrack = analytics ? analytics.autoTrack(document) : null;
+
+        // Deliver submissions queued while offline
+        this.shell.listen(window, 'online', () => {
+            this.replayOutbox();
         });
 
+        if ('serviceWorker' in navigator) {
+            this.shell.listen(navigator.serviceWorker, 'message', (event) => {
+                this.handleOutboxMessage(event.data || {});
+            });
+        }
+
         // Handle beforeunload for cleanup
-        window.addEventListener('beforeunload', () => {
+        this.shell.listen(window, 'beforeunload', () => {
             this.destroy();
         });
 
         // Handle resize events with throttling
-        window.addEventListener('resize', utils.throttle(() => {
+        this.shell.listen(window, 'resize', utils.throttle(() => {
             this.handleResize();
         }, 250), { passive: true });
 
         // Handle focus events for accessibility
-        document.addEventListener('focusin', (e) => {
+        this.shell.listen(document, 'focusin', (e) => {
             this.handleFocusIn(e);
         });
 
-        document.addEventListener('focusout', (e) => {
+        this.shell.listen(document, 'focusout', (e) => {
             this.handleFocusOut(e);
         });
     }
 
-    pauseNonCriticalOperations() {
-        // Pause email simulation when page is not visible
-        const emailSimulation = this.components.get('emailSimulation');
-        if (emailSimulation && emailSimulation.stopSimulation) {
-            emailSimulation.stopSimulation();
+    async replayOutbox() {
+        if (typeof OfflineQueue === 'undefined' || typeof indexedDB === 'undefined' || !navigator.onLine) {
+            return;
+        }
+
+        try {
+            // Prefer the service worker; replay from the page when nothing controls it
+            await OfflineQueue.replay((message) => this.handleOutboxMessage(message));
+        } catch (error) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('⚠️ Failed to replay queued submissions:', error);
+            }
         }
     }
 
-    resumeNonCriticalOperations() {
-        // Resume email simulation when page becomes visible
-        const emailSimulation = this.components.get('emailSimulation');
-        if (emailSimulation && emailSimulation.startSimulation) {
-            emailSimulation.startSimulation();
+    handleOutboxMessage(message) {
+        const notice = OUTBOX_NOTICES[message.kind];
+        if (!notice || (message.type !== 'SYNC_COMPLETE' && message.type !== 'SYNC_FAILED')) {
+            return;
+        }
+
+        if (message.type === 'SYNC_COMPLETE') {
+            notify(notice.complete, 'success');
+        } else {
+            notify(notice.failed, 'error');
         }
     }
 
@@ -2220,7 +4198,7 @@ class PropGridApp {
         const isMobile = window.innerWidth < 768;
         
         // Update mobile menu state
-        const navigation = this.components.get('navigation');
+        const navigation = this.getComponent('navigation');
         if (navigation && navigation.mobileMenu) {
             if (!isMobile && navigation.mobileMenu.classList.contains('translate-x-0')) {
                 navigation.mobileMenu.classList.remove('translate-x-0');
@@ -2249,7 +4227,9 @@ class PropGridApp {
         try {
             if ('serviceWorker' in navigator) {
                 const registration = await ServiceWorkerManager.register();
-                // Service Worker registered successfully
+                if (registration) {
+                    ServiceWorkerManager.watchForUpdates(registration, (worker) => this.showUpdateBanner(worker));
+                }
             }
         } catch (error) {
             if (typeof console !== 'undefined' && console.warn) {
@@ -2258,43 +4238,50 @@ class PropGridApp {
         }
     }
 
+    // Non-blocking prompt for a waiting service worker. Nothing reloads until the user accepts,
+    // so a half-finished signup is never lost.
+    showUpdateBanner(worker) {
+        notify('A new version of PropGrid is available.', 'action', {
+            id: 'sw-update',
+            actions: [{
+                label: 'Reload',
+                dismiss: false,
+                onClick: (event) => {
+                    // Keep whatever is typed into the signup form across the reload
+                    const multiStepForm = this.getComponent('multiStepForm');
+                    if (multiStepForm && typeof multiStepForm.saveDraft === 'function') {
+                        multiStepForm.saveDraft();
+                    }
+                    event.currentTarget.disabled = true;
+                    event.currentTarget.textContent = 'Updating...';
+                    ServiceWorkerManager.applyUpdate(worker);
+                }
+            }]
+        });
+    }
+
     getComponent(name) {
-        return this.components.get(name);
+        return this.shell.getComponent(name);
+    }
+
+    // Mounts a lazy component now if it hasn't scrolled into view yet
+    mount(name) {
+        return this.shell.mount(name);
     }
 
     destroy() {
         if (this.isDestroyed) return;
         
-        // Destroying PropGrid App
-        
-        // Destroy all components
-        this.components.forEach((component, name) => {
-            try {
-                if (component && typeof component.destroy === 'function') {
-                    component.destroy();
-                    // Component destroyed: ${name}
-                }
-            } catch (error) {
-                if (typeof console !== 'undefined' && console.error) {
-                    console.error(`❌ Error destroying ${name}:`, error);
-                }
-            }
-        });
-        
-        // Clear component references
-        this.components.clear();
-        
-        // Remove global event listeners
-        document.removeEventListener('visibilitychange', this.pauseNonCriticalOperations);
-        document.removeEventListener('focusin', this.handleFocusIn);
-        document.removeEventListener('focusout', this.handleFocusOut);
-        window.removeEventListener('beforeunload', this.destroy);
-        window.removeEventListener('resize', this.handleResize);
+        // Unmounts components in reverse order and removes every listener added through the shell
+        if (this.shell) this.shell.destroy();
+
+        if (this.stopAutoTrack) {
+            this.stopAutoTrack();
+            this.stopAutoTrack = null;
+        }
         
         this.isDestroyed = true;
         this.isInitialized = false;
-        
-        // PropGrid App destroyed
     }
 }
 
@@ -2311,8 +4298,12 @@ function initializeApp() {
     window.app = new PropGridApp();
     appInitialized = true;
   } catch (err) {
-    console.error('App initialization error:', err);
-    showCriticalError('App failed to initialize: ' + (err && err.message ? err.message : err));
+    // The page still reads fine, but nothing on it responds
+    handleError(err, {
+      severity: ERROR_SEVERITY.FATAL,
+      message: APP_START_ERROR_MESSAGE,
+      context: { component: 'app' }
+    });
   }
 }
 
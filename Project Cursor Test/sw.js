@@ -3,56 +3,94 @@
  * Provides offline support, caching, and performance optimization
  */
 
-const CACHE_NAME = 'propgrid-v1.0.0';
-const STATIC_CACHE = 'propgrid-static-v1.0.0';
-const DYNAMIC_CACHE = 'propgrid-dynamic-v1.0.0';
-
-// Files to cache immediately
-const STATIC_FILES = [
-    '/',
-    '/index.html',
-    '/script.js',
-    'https://cdn.tailwindcss.com',
-    'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap',
-    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
-];
+importScripts('/offline-store.js', '/underwriting.js', '/deal-model.js', '/precache-manifest.js');
+
+// Every page and asset with its content revision, generated by build-precache.js.
+// The precache is named after the manifest version, so any changed file yields a new cache.
+const PRECACHE_MANIFEST = self.PRECACHE_MANIFEST;
+const PRECACHE_PREFIX = 'propgrid-precache-';
+const STATIC_CACHE = `${PRECACHE_PREFIX}${PRECACHE_MANIFEST.version}`;
+
+// Caches from before the generated manifest and the runtime routes below
+const LEGACY_CACHES = ['propgrid-v1.0.0', 'propgrid-static-v1.0.0', 'propgrid-dynamic-v1.0.0'];
+
+// Cache key for a manifest entry: the revision is part of the key so an old copy never matches a new revision
+function precacheKey(entry) {
+    if (!entry.revision) return entry.url;
+    return new URL(`${entry.url}${entry.url.includes('?') ? '&' : '?'}__rev=${entry.revision}`, self.location.origin).href;
+}
+
+const precacheKeys = new Map(PRECACHE_MANIFEST.entries.map((entry) => [
+    new URL(entry.url, self.location.origin).href,
+    precacheKey(entry)
+]));
+
+// Look a request up in the current precache; undefined when it isn't precached
+async function matchPrecache(request) {
+    const url = new URL(typeof request === 'string' ? request : request.url, self.location.origin);
+    url.hash = '';
+    const key = precacheKeys.get(url.href);
+    if (!key) return undefined;
+
+    const cache = await caches.open(STATIC_CACHE);
+    return cache.match(key);
+}
 
-// Install event - cache static files
+// Install event - precache the manifest, reusing unchanged entries from the previous precache.
+// An update then waits until the page sends SKIP_WAITING (the user accepted the update banner).
+// If one of our own files fails to precache, the install fails, so the previous worker and its complete
+// precache stay in service. Third-party CDN files (no revision) are best-effort: an outage there mustn't
+// block a deploy, and the cdn route caches them on first use instead.
 self.addEventListener('install', (event) => {
-            // Service Worker installing
     event.waitUntil(
-        caches.open(STATIC_CACHE)
-            .then((cache) => {
-                // Caching static files
-                return cache.addAll(STATIC_FILES);
-            })
-            .then(() => {
-                // Service Worker installed
-                return self.skipWaiting();
-            })
+        precacheManifest()
             .catch((error) => {
                 if (typeof console !== 'undefined' && console.error) {
                     console.error('Service Worker install failed:', error);
                 }
+                throw error;
             })
     );
 });
 
-// Activate event - clean up old caches
+async function precacheManifest() {
+    const cache = await caches.open(STATIC_CACHE);
+
+    await Promise.all(PRECACHE_MANIFEST.entries.map(async (entry) => {
+        try {
+            await precacheEntry(cache, entry);
+        } catch (error) {
+            if (entry.revision) throw error;
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn(`Skipped precaching ${entry.url}:`, error);
+            }
+        }
+    }));
+}
+
+async function precacheEntry(cache, entry) {
+    const key = precacheKey(entry);
+    if (await cache.match(key)) return;
+
+    // Same revision in an older precache: copy it instead of refetching
+    const previous = await caches.match(key);
+    if (previous) {
+        await cache.put(key, previous);
+        return;
+    }
+
+    // Bypass the HTTP cache so a new revision isn't served a stale copy
+    const response = await fetch(entry.url, entry.revision ? { cache: 'reload' } : {});
+    if (!response.ok) {
+        throw new Error(`Precache of ${entry.url} failed with HTTP ${response.status}`);
+    }
+    await cache.put(key, response);
+}
+
+// Activate event - drop superseded precaches and runtime copies of now-precached files
 self.addEventListener('activate', (event) => {
-            // Service Worker activating
     event.waitUntil(
-        caches.keys()
-            .then((cacheNames) => {
-                return Promise.all(
-                    cacheNames.map((cacheName) => {
-                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
-                            // Deleting old cache
-                            return caches.delete(cacheName);
-                        }
-                    })
-                );
-            })
+        pruneStaleEntries()
             .then(() => {
                 // Service Worker activated
                 return self.clients.claim();
@@ -60,201 +98,461 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache or network
+async function pruneStaleEntries() {
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+        .filter((cacheName) => LEGACY_CACHES.includes(cacheName) ||
+            (cacheName.startsWith(PRECACHE_PREFIX) && cacheName !== STATIC_CACHE))
+        .map((cacheName) => caches.delete(cacheName)));
+
+    // A runtime copy of a precached file may be an older revision; refetch it on next use
+    await Promise.all(ROUTES.map(async (route) => {
+        const cache = await caches.open(cacheNameFor(route));
+        const requests = await cache.keys();
+        await Promise.all(requests
+            .filter((request) => precacheKeys.has(new URL(request.url).href))
+            .map((request) => deleteCachedEntry(cacheNameFor(route), request.url)));
+    }));
+}
+
+// --- Runtime caching routes ---
+// The first route whose match() accepts a request handles it. Each route names its strategy and
+// the limits on its cache (propgrid-runtime-<name>):
+//   network-first           fresh when online; the cached copy after networkTimeoutSeconds or offline
+//   cache-first             the cached copy while it's younger than maxAgeSeconds
+//   stale-while-revalidate  the cached copy now, refreshed in the background for next time
+// maxEntries evicts the least recently used entries. A route's fallback() answers when both
+// the network and the cache come up empty.
+const RUNTIME_CACHE_PREFIX = 'propgrid-runtime-';
+const DAY_SECONDS = 24 * 60 * 60;
+const isSameOrigin = (url) => url.origin === self.location.origin;
+
+const ROUTES = [
+    {
+        name: 'pages',
+        match: ({ url, request }) => isSameOrigin(url) && request.mode === 'navigate',
+        strategy: 'network-first',
+        networkTimeoutSeconds: 3,
+        maxEntries: 20,
+        maxAgeSeconds: 7 * DAY_SECONDS,
+        // Deep links such as /?deal=<id> are rendered client-side from the precached page
+        fallback: async ({ url }) => await matchPrecache(url.pathname) || matchPrecache('/offline.html')
+    },
+    {
+        name: 'data',
+        match: ({ url }) => isSameOrigin(url) && url.pathname.endsWith('.json'),
+        strategy: 'network-first',
+        networkTimeoutSeconds: 3,
+        maxEntries: 10,
+        maxAgeSeconds: DAY_SECONDS
+    },
+    {
+        name: 'assets',
+        match: ({ url }) => isSameOrigin(url) && /\.(js|css)$/.test(url.pathname),
+        strategy: 'stale-while-revalidate',
+        maxEntries: 40,
+        maxAgeSeconds: 30 * DAY_SECONDS
+    },
+    {
+        name: 'images',
+        match: ({ url }) => isSameOrigin(url) && /\.(png|svg|jpe?g|gif|webp|ico)$/.test(url.pathname),
+        strategy: 'cache-first',
+        maxEntries: 50,
+        maxAgeSeconds: 30 * DAY_SECONDS
+    },
+    {
+        name: 'font-files',
+        match: ({ url }) => url.origin === 'https://fonts.gstatic.com' ||
+            (url.origin === 'https://cdnjs.cloudflare.com' && url.pathname.includes('/webfonts/')),
+        strategy: 'cache-first',
+        maxEntries: 30,
+        maxAgeSeconds: 365 * DAY_SECONDS
+    },
+    {
+        name: 'cdn',
+        match: ({ url }) => ['https://cdn.tailwindcss.com', 'https://fonts.googleapis.com', 'https://cdnjs.cloudflare.com'].includes(url.origin),
+        strategy: 'stale-while-revalidate',
+        maxEntries: 20,
+        maxAgeSeconds: 30 * DAY_SECONDS,
+        fallback: ({ url }) => url.origin === 'https://cdn.tailwindcss.com'
+            ? new Response('/* Tailwind CSS fallback */', { headers: { 'Content-Type': 'text/css' } })
+            : undefined
+    }
+];
+
+const cacheNameFor = (route) => `${RUNTIME_CACHE_PREFIX}${route.name}`;
+
+function findRoute(request) {
+    const url = new URL(request.url);
+    return ROUTES.find((route) => route.match({ url, request }));
+}
+
+// Fetch event - route each GET to its caching strategy
 self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
-    // Skip non-GET requests
-    if (request.method !== 'GET') {
+    // Skip non-GET requests and the API, which must never be served from a cache
+    if (request.method !== 'GET' || (isSameOrigin(url) && url.pathname.startsWith('/api/'))) {
         return;
     }
 
-    // Handle different types of requests
-    if (url.origin === self.location.origin) {
-        // Same-origin requests
-        event.respondWith(handleSameOriginRequest(request));
-    } else if (url.origin.includes('cdn.tailwindcss.com') || 
-               url.origin.includes('fonts.googleapis.com') ||
-               url.origin.includes('cdnjs.cloudflare.com')) {
-        // CDN requests
-        event.respondWith(handleCDNRequest(request));
+    const route = findRoute(request);
+    if (route) {
+        event.respondWith(handleRoute(route, request, event));
     } else {
-        // Other external requests
-        event.respondWith(handleExternalRequest(request));
+        event.respondWith(handleUncachedRequest(request));
     }
 });
 
-// Handle same-origin requests
-async function handleSameOriginRequest(request) {
+async function handleRoute(route, request, event) {
+    let response;
     try {
-        // Try network first, fallback to cache
-        const networkResponse = await fetch(request);
-        
-        if (networkResponse.ok) {
-            // Cache the response for future use
-            const cache = await caches.open(DYNAMIC_CACHE);
-            cache.put(request, networkResponse.clone());
-        }
-        
-        return networkResponse;
+        response = await STRATEGIES[route.strategy](route, request, event);
     } catch (error) {
-        // Network failed, try cache
-        const cachedResponse = await caches.match(request);
-        if (cachedResponse) {
-            return cachedResponse;
-        }
-        
-        // Return offline page if available
-        return caches.match('/offline.html');
+        response = undefined;
     }
+    if (response) return response;
+
+    // Network and runtime cache both failed: the precache, then the route's own fallback
+    const fallback = await matchPrecache(request) || (route.fallback && await route.fallback({ url: new URL(request.url), request }));
+    return fallback || offlineResponse();
 }
 
-// Handle CDN requests
-async function handleCDNRequest(request) {
+// Requests no route claims: straight to the network
+async function handleUncachedRequest(request) {
     try {
-        // Try cache first for CDN resources
-        const cachedResponse = await caches.match(request);
-        if (cachedResponse) {
-            return cachedResponse;
-        }
-        
-        // If not in cache, fetch from network
-        const networkResponse = await fetch(request);
-        
-        if (networkResponse.ok) {
-            // Cache CDN resources
-            const cache = await caches.open(STATIC_CACHE);
-            cache.put(request, networkResponse.clone());
-        }
-        
-        return networkResponse;
+        return await fetch(request);
     } catch (error) {
-        // Return a fallback response for critical resources
-        if (request.url.includes('tailwindcss.com')) {
-            return new Response('/* Tailwind CSS fallback */', {
-                headers: { 'Content-Type': 'text/css' }
-            });
+        return await matchPrecache(request) || offlineResponse();
+    }
+}
+
+function offlineResponse() {
+    return new Response('Offline', {
+        status: 503,
+        statusText: 'Service Unavailable'
+    });
+}
+
+// Opaque (no-cors) responses from CDNs can't be inspected, so they're cached as they are
+function isCacheable(response) {
+    return Boolean(response) && (response.ok || response.type === 'opaque');
+}
+
+const STRATEGIES = {
+    async 'network-first'(route, request, event) {
+        const network = fetchAndCache(route, request, event);
+        if (!route.networkTimeoutSeconds) {
+            return await network.catch(() => null) || readCache(route, request, event);
+        }
+
+        // Whichever answers first: the network, or the cache once the timeout passes
+        const timeout = new Promise((resolve) => {
+            setTimeout(() => resolve(null), route.networkTimeoutSeconds * 1000);
+        });
+        const response = await Promise.race([network.catch(() => null), timeout]);
+        if (response) return response;
+
+        return await readCache(route, request, event) || network;
+    },
+
+    async 'cache-first'(route, request, event) {
+        return await readCache(route, request, event) || fetchAndCache(route, request, event);
+    },
+
+    async 'stale-while-revalidate'(route, request, event) {
+        const cached = await readCache(route, request, event);
+        const network = fetchAndCache(route, request, event);
+        if (cached) {
+            event.waitUntil(network.catch(() => {}));
+            return cached;
         }
-        
-        throw error;
+        return network;
     }
+};
+
+async function readCache(route, request, event) {
+    const cache = await caches.open(cacheNameFor(route));
+    const cached = await cache.match(request);
+    if (!cached) return undefined;
+
+    const entry = await getExpirationEntry(cacheNameFor(route), request.url);
+    if (entry && route.maxAgeSeconds && Date.now() - entry.cachedAt > route.maxAgeSeconds * 1000) {
+        event.waitUntil(deleteCachedEntry(cacheNameFor(route), request.url));
+        return undefined;
+    }
+
+    event.waitUntil(recordAccess(cacheNameFor(route), request.url, false));
+    return cached;
 }
 
-// Handle external requests
-async function handleExternalRequest(request) {
+async function fetchAndCache(route, request, event) {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        event.waitUntil(putInCache(route, request, response.clone()));
+    }
+    return response;
+}
+
+async function putInCache(route, request, response) {
+    const cacheName = cacheNameFor(route);
     try {
-        // Try network first
-        const response = await fetch(request);
-        return response;
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response);
+        await recordAccess(cacheName, request.url, true);
+        await enforceLimits(route);
     } catch (error) {
-        // Return a simple offline response
-        return new Response('Offline', {
-            status: 503,
-            statusText: 'Service Unavailable'
-        });
+        if (error && error.name === 'QuotaExceededError') {
+            await handleQuotaExceeded();
+            return;
+        }
+        if (typeof console !== 'undefined' && console.warn) {
+            console.warn(`Could not cache ${request.url}:`, error);
+        }
+    }
+}
+
+// Storage is full: drop every runtime cache (the precache keeps the site working offline)
+async function handleQuotaExceeded() {
+    if (typeof console !== 'undefined' && console.warn) {
+        console.warn('Storage quota exceeded; clearing runtime caches');
     }
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+        .filter((cacheName) => cacheName.startsWith(RUNTIME_CACHE_PREFIX))
+        .map((cacheName) => caches.delete(cacheName)));
+    await withExpirationStore('readwrite', (store) => store.clear()).catch(() => {});
 }
 
-// Background sync for form submissions
+// --- Cache expiration bookkeeping ---
+// One record per runtime cache entry: when it was stored (for maxAgeSeconds) and last read (for LRU).
+const EXPIRATION_DB_NAME = 'propgrid-sw-cache';
+const EXPIRATION_STORE = 'entries';
+let expirationDbPromise = null;
+
+function openExpirationDatabase() {
+    if (expirationDbPromise) return expirationDbPromise;
+
+    expirationDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(EXPIRATION_DB_NAME, 1);
+
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(EXPIRATION_STORE, { keyPath: 'id' });
+            store.createIndex('cacheName', 'cacheName');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            expirationDbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return expirationDbPromise;
+}
+
+async function withExpirationStore(mode, callback) {
+    const db = await openExpirationDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(EXPIRATION_STORE, mode);
+        const request = callback(transaction.objectStore(EXPIRATION_STORE));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+const expirationId = (cacheName, url) => `${cacheName} ${url}`;
+
+function getExpirationEntry(cacheName, url) {
+    return withExpirationStore('readonly', (store) => store.get(expirationId(cacheName, url))).catch(() => undefined);
+}
+
+async function recordAccess(cacheName, url, stored) {
+    const now = Date.now();
+    const existing = stored ? null : await getExpirationEntry(cacheName, url);
+    await withExpirationStore('readwrite', (store) => store.put({
+        id: expirationId(cacheName, url),
+        cacheName,
+        url,
+        cachedAt: existing ? existing.cachedAt : now,
+        accessedAt: now
+    })).catch(() => {});
+}
+
+async function deleteCachedEntry(cacheName, url) {
+    const cache = await caches.open(cacheName);
+    await cache.delete(url);
+    await withExpirationStore('readwrite', (store) => store.delete(expirationId(cacheName, url))).catch(() => {});
+}
+
+// Remove entries past maxAgeSeconds, then the least recently used beyond maxEntries
+async function enforceLimits(route) {
+    const cacheName = cacheNameFor(route);
+    const entries = await withExpirationStore('readonly', (store) => store.index('cacheName').getAll(cacheName));
+    const now = Date.now();
+
+    const expired = route.maxAgeSeconds
+        ? entries.filter((entry) => now - entry.cachedAt > route.maxAgeSeconds * 1000)
+        : [];
+    const remaining = entries
+        .filter((entry) => !expired.includes(entry))
+        .sort((a, b) => a.accessedAt - b.accessedAt);
+    const evicted = route.maxEntries ? remaining.slice(0, Math.max(0, remaining.length - route.maxEntries)) : [];
+
+    await Promise.all([...expired, ...evicted].map((entry) => deleteCachedEntry(cacheName, entry.url)));
+}
+
+// Background sync for queued form submissions
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'background-sync') {
+    if (event.tag === OfflineQueue.SYNC_TAG) {
         event.waitUntil(doBackgroundSync());
     }
 });
 
 async function doBackgroundSync() {
+    const result = await OfflineQueue.flush(notifyClients);
+
+    // Rejecting lets the browser schedule another sync for whatever is still queued
+    if (result.pending > 0) {
+        throw new Error(`${result.pending} queued submission(s) still pending`);
+    }
+}
+
+// Tell open pages when a queued submission lands (or is rejected for good)
+async function notifyClients(message) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => client.postMessage(message));
+}
+
+// Push notifications. Deal alerts arrive as JSON from dev-server.js
+// ({ type: 'deal', dealId, title, body, metrics, image, url }); anything else is shown as text.
+self.addEventListener('push', (event) => {
+    const payload = readPushPayload(event.data);
+    event.waitUntil(Promise.all([
+        showPushNotification(payload),
+        saveDealFromPush(payload)
+    ]));
+});
+
+// Always an object: JSON that isn't one (null, 42) is ignored and a JSON string becomes the body
+function readPushPayload(data) {
+    if (!data) return {};
+    let payload;
     try {
-        // Get stored form data
-        const formData = await getStoredFormData();
-        
-        if (formData) {
-            // Submit form data
-            const response = await fetch('/api/signup', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(formData)
-            });
-            
-            if (response.ok) {
-                // Clear stored data on success
-                await clearStoredFormData();
-                // Background sync successful
-            }
-        }
+        payload = data.json();
     } catch (error) {
-        if (typeof console !== 'undefined' && console.error) {
-            console.error('Background sync failed:', error);
+        return { body: data.text() };
+    }
+    if (typeof payload === 'string') return { body: payload };
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {};
+}
+
+// Pushed deals go into the offline library (offline-store.js) so offline.html can list them
+function saveDealFromPush(payload) {
+    if (payload.type !== 'deal' || !payload.dealId) return Promise.resolve();
+
+    const metrics = payload.metrics || {};
+    return DealLibrary.save([{
+        id: payload.dealId,
+        subject: payload.title,
+        preview: payload.body,
+        price: metrics.price,
+        metrics,
+        url: payload.url
+    }], 'push').catch((error) => {
+        if (typeof console !== 'undefined' && console.warn) {
+            console.warn('Could not save pushed deal:', error);
         }
+    });
+}
+
+// "$245k · 7.4% cap · $512/mo cash flow", skipping metrics the deal doesn't have
+function formatDealMetrics(metrics = {}) {
+    const parts = [];
+    if (metrics.price !== null && metrics.price !== undefined) {
+        parts.push(DealModel.formatCurrency(metrics.price));
+    }
+    if (metrics.capRate !== null && metrics.capRate !== undefined) {
+        parts.push(`${DealModel.formatPercent(metrics.capRate)} cap`);
     }
+    if (metrics.monthlyCashFlow !== null && metrics.monthlyCashFlow !== undefined) {
+        parts.push(`${DealModel.formatCurrency(metrics.monthlyCashFlow)}/mo cash flow`);
+    }
+    return parts.join(' · ');
 }
 
-// Push notifications
-self.addEventListener('push', (event) => {
+function showPushNotification(payload) {
+    const isDeal = payload.type === 'deal' && payload.dealId;
+    const body = isDeal
+        ? [formatDealMetrics(payload.metrics), payload.body].filter(Boolean).join('\n')
+        : payload.body || 'New real estate deal alert!';
+
     const options = {
-        body: event.data ? event.data.text() : 'New real estate deal alert!',
+        body,
         icon: '/2zeilN5FnQ4boMLVI0qnMaQk248.svg',
         badge: '/2zeilN5FnQ4boMLVI0qnMaQk248.svg',
         vibrate: [100, 50, 100],
+        timestamp: Date.now(),
         data: {
-            dateOfArrival: Date.now(),
-            primaryKey: 1
+            dealId: isDeal ? payload.dealId : null,
+            url: payload.url || '/'
         },
         actions: [
             {
                 action: 'explore',
-                title: 'View Deal',
-                icon: '/icon-192x192.png'
+                title: 'View Deal'
             },
             {
                 action: 'close',
-                title: 'Close',
-                icon: '/icon-192x192.png'
+                title: 'Close'
             }
         ]
     };
 
-    event.waitUntil(
-        self.registration.showNotification('PropGrid Deal Alert', options)
-    );
-});
+    if (payload.image) {
+        options.image = payload.image;
+    }
+    // A re-sent alert for the same deal replaces the earlier one instead of stacking
+    if (isDeal) {
+        options.tag = `deal-${payload.dealId}`;
+        options.renotify = true;
+    }
+
+    return self.registration.showNotification(payload.title || 'PropGrid Deal Alert', options);
+}
 
-// Notification click handling
+// Notification click handling: "View Deal" or a click on the notification opens the deal,
+// reusing a PropGrid tab when one is open
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
 
-    if (event.action === 'explore') {
-        event.waitUntil(
-            clients.openWindow('/')
-        );
+    if (event.action === 'close') {
+        return;
     }
+
+    const data = event.notification.data || {};
+    event.waitUntil(openDealWindow(new URL(data.url || '/', self.location.origin).href));
 });
 
-// Utility functions for background sync
-async function getStoredFormData() {
-    try {
-        const cache = await caches.open(DYNAMIC_CACHE);
-        const response = await cache.match('/form-data');
-        return response ? await response.json() : null;
-    } catch (error) {
-        if (typeof console !== 'undefined' && console.error) {
-            console.error('Error getting stored form data:', error);
-        }
-        return null;
-    }
-}
+async function openDealWindow(url) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = clientList.find((client) => client.url === url) ||
+        clientList.find((client) => new URL(client.url).origin === self.location.origin);
 
-async function clearStoredFormData() {
-    try {
-        const cache = await caches.open(DYNAMIC_CACHE);
-        await cache.delete('/form-data');
-    } catch (error) {
-        if (typeof console !== 'undefined' && console.error) {
-            console.error('Error clearing stored form data:', error);
+    if (existing) {
+        const focused = await existing.focus();
+        if (existing.url === url) return focused;
+        try {
+            return await (focused || existing).navigate(url);
+        } catch (error) {
+            // navigate() rejects for a tab this worker doesn't control yet
+            return self.clients.openWindow(url);
         }
     }
+    return self.clients.openWindow(url);
 }
 
 // Message handling for communication with main thread
@@ -263,14 +561,44 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
     
-    if (event.data && event.data.type === 'CACHE_URLS') {
+    // Fallback for browsers without Background Sync
+    if (event.data && event.data.type === 'REPLAY_QUEUE') {
         event.waitUntil(
-            caches.open(DYNAMIC_CACHE)
-                .then((cache) => {
-                    return cache.addAll(event.data.urls);
-                })
+            doBackgroundSync().catch((error) => {
+                if (typeof console !== 'undefined' && console.warn) {
+                    console.warn('Queue replay incomplete:', error.message);
+                }
+            })
         );
     }
+    
+    // Deals the page showed (inbox deliveries, opened deal pages); see DealLibrary.remember()
+    if (event.data && event.data.type === 'SAVE_DEALS') {
+        event.waitUntil(
+            DealLibrary.save(event.data.deals || [], event.data.source).catch((error) => {
+                if (typeof console !== 'undefined' && console.warn) {
+                    console.warn('Could not save deals to the offline library:', error);
+                }
+            })
+        );
+    }
+
+    // Warm the runtime caches; URLs no route claims are skipped
+    if (event.data && event.data.type === 'CACHE_URLS') {
+        event.waitUntil(Promise.all(event.data.urls.map(async (url) => {
+            const request = new Request(url);
+            const route = findRoute(request);
+            if (!route) return;
+            const response = await fetch(request);
+            if (isCacheable(response)) {
+                await putInCache(route, request, response);
+            }
+        })).catch((error) => {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('CACHE_URLS failed:', error);
+            }
+        }));
+    }
 });
 
 // Error handling
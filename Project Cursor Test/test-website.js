@@ -3,6 +3,32 @@
 
 console.log('🔍 Starting PropGrid Website Test...');
 
+/**
+ * Assertions for the library tests (Test 8 on). Values are compared as JSON and each mismatch is logged.
+ * @param {string} name - Shown in the summary line
+ * @returns {Object} { expect(label, actual, expected), summary() } where summary logs the count and
+ *   returns whether every assertion passed
+ */
+function createAssertions(name) {
+    let passed = 0;
+    let failed = 0;
+    return {
+        expect(label, actual, expected) {
+            if (JSON.stringify(actual) === JSON.stringify(expected)) {
+                passed++;
+            } else {
+                failed++;
+                console.log(`❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+            }
+        },
+
+        summary() {
+            console.log(`📊 ${name}: ${passed}/${passed + failed} assertions passed`);
+            return failed === 0;
+        }
+    };
+}
+
 // Test 1: Check critical elements
 function testCriticalElements() {
     console.log('\n📋 Test 1: Critical Elements');
@@ -191,6 +217,365 @@ function testInteractiveElements() {
     }
 }
 
+// Test 8: Check the shared validation engine (validation.js)
+function testValidationEngine() {
+    console.log('\n🧪 Test 8: Validation Engine');
+    if (typeof FormValidation === 'undefined') {
+        console.log('❌ FormValidation not loaded');
+        return false;
+    }
+
+    const { expect, summary } = createAssertions('Validation engine');
+    const check = (value, rules, context) => FormValidation.check(value, rules, context);
+
+    // Built-in rules
+    expect('required rejects empty', check('  ', ['required']), 'This field is required');
+    expect('required rejects unchecked', check(false, ['required']), 'This field is required');
+    expect('required accepts value', check('x', ['required']), null);
+    expect('email rejects', check('not-an-email', ['email']), 'Please enter a valid email address');
+    expect('email accepts', check('jane@example.com', ['email']), null);
+    expect('optional fields skip rules', check('', ['email', 'phone', 'url']), null);
+    expect('phone accepts E.164', check('+447911123456', ['phone']), null);
+    expect('phone accepts US format', check('(555) 123-4567', ['phone']), null);
+    expect('phone rejects letters', check('555-CALL-NOW', ['phone']), 'Please enter a valid phone number');
+    expect('phone rejects too long', check('+1234567890123456', ['phone']), 'Please enter a valid phone number');
+    expect('normalizePhone', FormValidation.normalizePhone('(555) 123-4567'), '+15551234567');
+    expect('normalizePhone 00 prefix', FormValidation.normalizePhone('0044 7911 123456'), '+447911123456');
+    expect('phone rejects one digit', check('5', ['phone']), 'Please enter a valid phone number');
+    expect('phone rejects two digits', check('12', ['phone']), 'Please enter a valid phone number');
+    expect('phone rejects short NANP number', check('555-1234', ['phone']), 'Please enter a valid phone number');
+    expect('phone rejects short international number', check('+4412345', ['phone']), 'Please enter a valid phone number');
+    expect('phone rejects +1 with too few digits', check('+1555123456', ['phone']), 'Please enter a valid phone number');
+    expect('phone with other default country', check('7911123', [{ rule: 'phone', value: '44' }]), null);
+    expect('validate rejects short phone', FormValidation.validate({ phone: '5' }, { phone: ['phone'] }).errors.phone, 'Please enter a valid phone number');
+    expect('normalizePhone rejects short', FormValidation.normalizePhone('12'), null);
+    expect('normalizePhone keeps typed NANP code', FormValidation.normalizePhone('1 555 123 4567'), '+15551234567');
+    expect('url accepts bare domain', check('propgrid.com', ['url']), null);
+    expect('url rejects', check('not a url', ['url']), 'Please enter a valid URL');
+    expect('minLength', check('A', [{ rule: 'minLength', value: 2 }]), 'Must be at least 2 characters long');
+    expect('maxLength', check('abcd', [{ rule: 'maxLength', value: 3 }]), 'Must be at most 3 characters long');
+    expect('pattern string', check('78701', [{ rule: 'pattern', value: '\\d{5}' }]), null);
+    expect('pattern is anchored', check('787012', [{ rule: 'pattern', value: '\\d{5}' }]), 'Please match the requested format');
+    expect('oneOf', check('flip', [{ rule: 'oneOf', value: ['buy-and-hold'] }]), 'Please choose one of the listed options');
+
+    // Messages and ordering
+    expect('custom message', check('', [{ rule: 'required', message: 'Email is required' }]), 'Email is required');
+    expect('context message override', check('', ['required'], { messages: { required: 'Pick one' } }), 'Pick one');
+    expect('first failure wins', check('a', ['email', { rule: 'minLength', value: 5 }]), 'Please enter a valid email address');
+    expect('when skips rule', check('', [{ rule: 'required', when: values => values.contactMe }], { values: { contactMe: false } }), null);
+
+    // Cross-field and custom rules
+    const values = { password: 'secret1', confirm: 'secret2' };
+    expect('matches', FormValidation.validate(values, { confirm: [{ rule: 'matches', value: 'password' }] }).errors, { confirm: 'The values do not match' });
+    expect('function rule', check('7', [{ test: value => Number(value) % 2 === 0, message: 'Must be even' }]), 'Must be even');
+    expect('validate result', FormValidation.validate({ email: '' }, { email: ['required'] }), { valid: false, errors: { email: 'This field is required' } });
+    let unknownRuleThrows = false;
+    try {
+        check('x', ['no-such-rule']);
+    } catch (error) {
+        unknownRuleThrows = true;
+    }
+    expect('unknown rule throws', unknownRuleThrows, true);
+
+    // DOM wiring: text message, aria-invalid and aria-describedby
+    const form = document.createElement('form');
+    form.innerHTML = '<div><input id="vt-email" name="email" type="email" required aria-describedby="vt-hint"><div class="error-message hidden"></div></div>';
+    const input = form.querySelector('input');
+    const validator = FormValidation.createFormValidator(form);
+    input.value = '<b>bad</b>';
+    expect('dom invalid', validator.validateField(input), false);
+    const errorElement = form.querySelector('.error-message');
+    expect('dom message is text', errorElement.textContent, 'Please enter a valid email address');
+    expect('dom no injected markup', errorElement.querySelector('b'), null);
+    expect('dom aria-invalid', input.getAttribute('aria-invalid'), 'true');
+    expect('dom describedby', input.getAttribute('aria-describedby'), `vt-hint ${errorElement.id}`);
+    input.value = 'jane@example.com';
+    expect('dom valid', validator.validateField(input), true);
+    expect('dom cleared', [errorElement.classList.contains('hidden'), input.hasAttribute('aria-invalid'), input.getAttribute('aria-describedby')], [true, false, 'vt-hint']);
+    expect('dom applyErrors', validator.applyErrors({ email: 'Taken', plan: 'Unknown plan' }), ['Unknown plan']);
+
+    // Async rules only run through checkAsync/validateAsync
+    FormValidation.addRule('testAvailable', {
+        async: true,
+        test: value => Promise.resolve(value !== 'taken@example.com'),
+        message: 'This email is already registered'
+    });
+    expect('async skipped by check', check('taken@example.com', ['email', 'testAvailable']), null);
+    FormValidation.checkAsync('taken@example.com', ['email', 'testAvailable']).then(message => {
+        console.log(`${message === 'This email is already registered' ? '✅' : '❌'} Async rule: ${message}`);
+    });
+
+    return summary();
+}
+
+// Test 9: Check the underwriting library (underwriting.js)
+function testUnderwriting() {
+    console.log('\n🧪 Test 9: Underwriting');
+    if (typeof Underwriting === 'undefined' || typeof DealModel === 'undefined') {
+        console.log('❌ Underwriting or DealModel not loaded');
+        return false;
+    }
+
+    const { expect, summary } = createAssertions('Underwriting');
+    const round = (value, digits = 2) => value === null ? null : Number(value.toFixed(digits));
+    const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+    // Amortization
+    const schedule = Underwriting.amortizationSchedule(200000, 0.06, 30);
+    const payment = Underwriting.mortgagePayment(200000, 0.06, 30);
+    expect('payment', round(payment), 1199.10);
+    expect('schedule length', schedule.length, 360);
+    expect('principal repaid', round(sum(schedule, 'principal')), 200000);
+    expect('ends paid off', round(schedule[schedule.length - 1].balance), 0);
+    expect('payments cover principal and interest', round(sum(schedule, 'principal') + sum(schedule, 'interest')), round(payment * 360));
+    const years = Underwriting.summarizeByYear(schedule);
+    expect('yearly rollup', [years.length, round(sum(years, 'interest'))], [30, round(sum(schedule, 'interest'))]);
+    expect('zero-rate payment', Underwriting.mortgagePayment(120000, 0, 10), 1000);
+    expect('no loan, no payment', Underwriting.mortgagePayment(0, 0.07, 30), 0);
+
+    // Zero-length terms are clamped rather than dividing by zero
+    expect('zero term payment is finite', Number.isFinite(Underwriting.mortgagePayment(100000, 0.07, 0)), true);
+    const zeroTerm = Underwriting.analyze({ price: 200000, monthlyRent: 2000, termYears: 0, holdYears: 0 });
+    const defaultTerm = Underwriting.analyze({ price: 200000, monthlyRent: 2000 });
+    expect('zero term uses the default', [zeroTerm.inputs.termYears, zeroTerm.inputs.holdYears], [30, 5]);
+    expect('zero term cash flow', round(zeroTerm.annualCashFlow), round(defaultTerm.annualCashFlow));
+    const shortTerm = Underwriting.analyze({ price: 200000, monthlyRent: 2000, termYears: 0.2 });
+    expect('sub-year term is one year', [shortTerm.inputs.termYears, shortTerm.amortization.length], [1, 1]);
+    const zeroTermDeal = DealModel.create({ id: 'zero-term', subject: 'Zero term', price: 200000, monthlyRent: 2000, financing: { termYears: 0 } });
+    expect('deal metrics stay finite', [zeroTermDeal.metrics.monthlyCashFlow, zeroTermDeal.metrics.cashOnCash].every(Number.isFinite), true);
+
+    // IRR
+    expect('irr positive', round(Underwriting.irr([-100, 110]), 4), 0.1);
+    expect('irr zero', round(Underwriting.irr([-100, 50, 50]), 4), 0);
+    expect('irr negative', round(Underwriting.irr([-100, 90]), 4), -0.1);
+    expect('irr without a sign change', Underwriting.irr([100, 50]), null);
+    expect('irr all negative', Underwriting.irr([-100, -50]), null);
+    expect('irr with no root', Underwriting.irr([-100, 300, -250]), null);
+
+    // DSCR, cap rate and the 1% rule
+    const allCash = Underwriting.analyze({ price: 200000, monthlyRent: 2000, monthlyExpenses: 500, downPaymentRate: 1 });
+    expect('no debt, no DSCR', [allCash.annualDebtService, allCash.dscr], [0, null]);
+    expect('dscr', round(Underwriting.dscr(24000, 20000)), 1.2);
+    expect('cap rate', round(allCash.capRate, 3), 0.09);
+    expect('1% rule passes at 1%', Underwriting.onePercentRule(200000, 2000), { ratio: 0.01, passes: true });
+    expect('1% rule fails below', Underwriting.onePercentRule(200000, 1999).passes, false);
+    expect('1% rule counts rehab', Underwriting.onePercentRule(180000, 1900, 20000).passes, false);
+    expect('1% rule without a price', Underwriting.onePercentRule(0, 2000), { ratio: null, passes: false });
+
+    return summary();
+}
+
+// Test 10: Check the deal matching engine (matching.js)
+function testMatchingEngine() {
+    console.log('\n🧪 Test 10: Deal Matching Engine');
+    if (typeof DealMatching === 'undefined' || typeof DealModel === 'undefined') {
+        console.log('❌ DealMatching or DealModel not loaded');
+        return false;
+    }
+
+    const { expect, summary } = createAssertions('Matching engine');
+    const deal = (id, fields) => DealModel.create(Object.assign({ id, subject: id }, fields));
+    const rental = deal('austin-rental', { city: 'austin', strategies: ['buy-and-hold'], price: 245000, monthlyRent: 2450, monthlyExpenses: 640 });
+    const flip = deal('austin-flip', { city: 'austin', strategies: ['fix-and-flip'], price: 329000, rehabCost: 62000, tags: ['distressed'] });
+    const fourplex = deal('dallas-fourplex', { city: 'dallas', strategies: ['multifamily', 'buy-and-hold'], price: 540000, monthlyRent: 5400, monthlyExpenses: 1500 });
+    const plaza = deal('phoenix-plaza', { city: 'phoenix', strategies: ['commercial'], price: 1850000 });
+    const deals = [rental, flip, fourplex, plaza];
+
+    // Budget bands
+    expect('band under-100k', DealMatching.budgetBandFor(99999), 'under-100k');
+    expect('band lower bound', DealMatching.budgetBandFor(100000), '100k-250k');
+    expect('band 500k-1m', DealMatching.budgetBandFor(999999), '500k-1m');
+    expect('band over-1m', DealMatching.budgetBandFor(1000000), 'over-1m');
+    expect('band without price', DealMatching.budgetBandFor(null), null);
+
+    // Profiles from the signup form and DealCurationForm.jsx read the same way
+    expect('normalize curation form', DealMatching.normalizeProfile({ city: 'San Antonio', investmentRange: '100k-250k', strategy: 'fix-and-flip' }),
+        { markets: ['san-antonio'], budget: '100k-250k', strategies: ['fix-and-flip'], goal: null });
+    expect('normalize signup', DealMatching.normalizeProfile({ markets: ['Austin', 'austin'], strategies: ['buy-and-hold'], investmentGoal: 'cash-flow', investmentRange: 'bogus' }),
+        { markets: ['austin'], budget: null, strategies: ['buy-and-hold'], goal: 'cash-flow' });
+
+    // Scoring and reasons
+    const investor = { markets: ['austin', 'dallas'], investmentRange: '250k-500k', strategies: ['buy-and-hold'], investmentGoal: 'cash-flow' };
+    const exact = DealMatching.scoreDeal({ city: 'austin', investmentRange: '100k-250k', strategy: 'buy-and-hold' }, rental);
+    expect('exact match', [exact.score, exact.matched], [100, true]);
+    expect('exact reasons', exact.reasons.map(reason => [reason.criterion, reason.matched]), [['market', true], ['budget', true], ['strategy', true]]);
+    const stretch = DealMatching.scoreDeal(investor, fourplex);
+    expect('one band over budget still matches', [stretch.matched, stretch.reasons[1].message], [true, 'Slightly above your $250k–$500k budget']);
+    expect('stretch scores lower', stretch.score, 86);
+    expect('wrong market fails', DealMatching.scoreDeal(investor, plaza).matched, false);
+    expect('wrong strategy fails', DealMatching.scoreDeal(investor, flip).reasons[2].message, 'Not a Buy And Hold deal');
+    expect('below budget fails', DealMatching.scoreDeal(investor, rental).matched, false);
+    expect('goal is a bonus, not a requirement', DealMatching.scoreDeal({ city: 'austin', investmentGoal: 'cash-flow' }, flip).matched, true);
+    expect('goal uses badges', DealMatching.scoreDeal({ investmentGoal: 'cash-flow' }, rental).reasons[0].matched, true);
+    expect('no criteria matches everything', DealMatching.scoreDeal({}, plaza), { deal: plaza, score: 0, matched: true, reasons: [] });
+
+    // Ranking
+    expect('match ranks best first', DealMatching.match({ markets: ['austin', 'dallas'], strategies: ['buy-and-hold'], investmentRange: '500k-1m' }, deals)
+        .map(result => result.deal.id), ['dallas-fourplex']);
+    expect('match includeUnmatched', DealMatching.match(investor, deals, { includeUnmatched: true }).length, 4);
+    expect('match limit', DealMatching.match({ city: 'austin' }, deals, { limit: 1 }).length, 1);
+    expect('match minScore', DealMatching.match({ city: 'austin', investmentGoal: 'cash-flow' }, deals, { minScore: 100 }).map(result => result.deal.id), ['austin-rental']);
+    const subscribers = [
+        { id: 'a', markets: ['phoenix'] },
+        { id: 'b', markets: ['austin'], strategies: ['fix-and-flip'] },
+        { id: 'c', markets: ['austin'], strategies: ['fix-and-flip'], investmentRange: 'under-100k' }
+    ];
+    expect('subscribers for deal', DealMatching.subscribersForDeal(flip, subscribers).map(result => [result.profile.id, result.score]), [['b', 100]]);
+
+    return summary();
+}
+
+// Test 11: Check the component shell (components.js): mount order, lazy mounting and teardown
+function testComponentLifecycle() {
+    console.log('\n🧪 Test 11: Component Lifecycle');
+    if (typeof PropGridComponents === 'undefined') {
+        console.log('❌ PropGridComponents not loaded');
+        return false;
+    }
+
+    const { expect, summary } = createAssertions('Component lifecycle');
+
+    // Test components log their lifecycle; names are prefixed so they can't clash with the page's
+    const log = [];
+    const clicks = [];
+    const define = (name, definition) => PropGridComponents.define(`lifecycleTest.${name}`, Object.assign({
+        create: ({ root, listen }) => {
+            log.push(`create ${name}`);
+            if (root) listen(root, 'click', () => clicks.push(name));
+            listen(window, 'lifecycle-test', () => clicks.push(`${name} (window)`));
+            return {
+                pause: () => log.push(`pause ${name}`),
+                resume: () => log.push(`resume ${name}`),
+                destroy: () => log.push(`destroy ${name}`)
+            };
+        }
+    }, definition, { dependsOn: (definition.dependsOn || []).map(dependency => `lifecycleTest.${dependency}`) }));
+    define('store', {});
+    define('list', { dependsOn: ['store'] });
+    define('form', { dependsOn: ['store', 'list'] });
+    define('chart', { lazy: true });
+    define('broken', { create: () => { throw new Error('boom'); }, fallback: 'Broken' });
+    define('cycleA', { dependsOn: ['cycleB'] });
+    define('cycleB', { dependsOn: ['cycleA'] });
+
+    const container = document.createElement('div');
+    container.innerHTML = `
+        <div data-component="lifecycleTest.form"></div>
+        <div data-component="lifecycleTest.list"></div>
+        <div data-component="lifecycleTest.chart"></div>
+        <div data-component="lifecycleTest.broken"></div>
+    `;
+    const element = name => container.querySelector(`[data-component="lifecycleTest.${name}"]`);
+    const errors = [];
+    const app = PropGridComponents.createApp({
+        root: container,
+        onError: (error, { name, fallback, retry }) => errors.push({ name, message: error.message, fallback, retry })
+    }).start();
+    const short = names => names.map(name => name.replace('lifecycleTest.', ''));
+
+    // Dependencies mount first, lazy components wait, failures are contained
+    expect('mount order', short(app.getMounted()), ['store', 'list', 'form']);
+    expect('lazy waits for its element', app.getComponent('lifecycleTest.chart'), null);
+    expect('failure reported with fallback', errors.map(({ name, fallback }) => [name, fallback]), [['lifecycleTest.broken', 'Broken']]);
+    expect('failed component not mounted', app.getComponent('lifecycleTest.broken'), null);
+    expect('mount on demand', Boolean(app.mount('lifecycleTest.chart')), true);
+    expect('mount is idempotent', app.mount('lifecycleTest.chart') === app.getComponent('lifecycleTest.chart'), true);
+    app.mount('lifecycleTest.cycleA');
+    expect('dependency cycle reported', errors.slice(1).map(error => error.message),
+        ['Circular component dependency: lifecycleTest.cycleA → lifecycleTest.cycleB → lifecycleTest.cycleA']);
+
+    // Pause and resume reach every mounted component. start() pauses in a hidden tab, so resume first.
+    app.resume();
+    log.length = 0;
+    app.pause();
+    app.resume();
+    expect('pause in reverse, resume in order', log, [
+        'pause cycleA', 'pause chart', 'pause form', 'pause list', 'pause store',
+        'resume store', 'resume list', 'resume form', 'resume chart', 'resume cycleA'
+    ]);
+
+    // Unmounting takes dependents with it and removes their listeners
+    element('form').click();
+    log.length = 0;
+    clicks.length = 0;
+    app.unmount('lifecycleTest.list');
+    element('form').click();
+    element('list').click();
+    expect('dependents unmount first', log, ['destroy form', 'destroy list']);
+    expect('unmounted listeners removed', clicks, []);
+    expect('others stay mounted', short(app.getMounted()), ['store', 'chart', 'cycleA']);
+
+    // Teardown unmounts everything in reverse and leaves no listeners behind
+    log.length = 0;
+    app.destroy();
+    window.dispatchEvent(new Event('lifecycle-test'));
+    element('chart').click();
+    expect('destroy in reverse order', log, ['destroy cycleA', 'destroy chart', 'destroy store']);
+    expect('no listeners after destroy', clicks, []);
+    expect('nothing mounted after destroy', app.getMounted(), []);
+    expect('no mounting after destroy', app.mount('lifecycleTest.store'), null);
+
+    // Remounting binds each listener once, also after a create() that threw partway and was retried
+    let flakyAttempts = 0;
+    define('flaky', {
+        create: ({ root, listen }) => {
+            listen(root, 'click', () => clicks.push('flaky'));
+            flakyAttempts++;
+            if (flakyAttempts === 1) throw new Error('not ready');
+            return {};
+        }
+    });
+    const remountRoot = document.createElement('div');
+    remountRoot.innerHTML = '<div data-component="lifecycleTest.store"></div><div data-component="lifecycleTest.flaky"></div>';
+    const retries = [];
+    const remountApp = PropGridComponents.createApp({ root: remountRoot, onError: (error, { retry }) => retries.push(retry) }).start();
+    const remountElement = name => remountRoot.querySelector(`[data-component="lifecycleTest.${name}"]`);
+    clicks.length = 0;
+    remountElement('flaky').click();
+    expect('failed create leaves no listeners', clicks, []);
+    expect('retry mounts', Boolean(retries.length && retries[0]()), true);
+    remountApp.unmount('lifecycleTest.store');
+    remountApp.mount('lifecycleTest.store');
+    remountApp.unmount('lifecycleTest.flaky');
+    remountApp.mount('lifecycleTest.flaky');
+    remountElement('store').click();
+    remountElement('flaky').click();
+    window.dispatchEvent(new Event('lifecycle-test'));
+    expect('remounted handlers run once', clicks, ['store', 'flaky', 'store (window)']);
+    remountApp.destroy();
+
+    // A real component: a second click listener would open and close the answer in one click
+    if (PropGridComponents.isDefined('faqAccordion')) {
+        const faqRoot = document.createElement('div');
+        faqRoot.innerHTML = '<div data-component="faqAccordion"><button class="faq-accordion-btn">Q</button><div>A</div></div>';
+        const faqApp = PropGridComponents.createApp({ root: faqRoot }).start();
+        faqApp.unmount('faqAccordion');
+        faqApp.mount('faqAccordion');
+        const button = faqRoot.querySelector('.faq-accordion-btn');
+        button.click();
+        expect('remounted FAQ toggles once', button.getAttribute('aria-expanded'), 'true');
+        faqApp.destroy();
+    }
+
+    // The page's signup form: after a remount, Next reaches one instance only
+    const nextBtn = document.getElementById('next-btn');
+    if (window.app && window.app.getComponent('multiStepForm') && nextBtn) {
+        const nextStep = MultiStepForm.prototype.nextStep;
+        let nextCalls = 0;
+        window.app.shell.unmount('multiStepForm');
+        window.app.mount('multiStepForm');
+        MultiStepForm.prototype.nextStep = () => nextCalls++;
+        try {
+            nextBtn.click();
+        } finally {
+            MultiStepForm.prototype.nextStep = nextStep;
+        }
+        expect('remounted signup form handles Next once', nextCalls, 1);
+    }
+
+    return summary();
+}
+
 // Run all tests
 function runAllTests() {
     console.log('🚀 Starting comprehensive website test...\n');
@@ -201,7 +586,11 @@ function runAllTests() {
         faq: testFAQ(),
         navigation: testNavigation(),
         formValidation: testFormValidation(),
-        interactiveElements: testInteractiveElements()
+        interactiveElements: testInteractiveElements(),
+        validationEngine: testValidationEngine(),
+        underwriting: testUnderwriting(),
+        matchingEngine: testMatchingEngine(),
+        componentLifecycle: testComponentLifecycle()
     };
     
     // Delay error test to catch runtime errors
@@ -238,5 +627,9 @@ window.testWebsite = {
     testNavigation,
     testFormValidation,
     testInteractiveElements,
+    testValidationEngine,
+    testUnderwriting,
+    testMatchingEngine,
+    testComponentLifecycle,
     testJavaScriptErrors
 }; 
\ No newline at end of file
@@ -0,0 +1,286 @@
+/**
+ * PropGrid Underwriting
+ * Pure functions for rental property analysis: NOI, cap rate, cash-on-cash,
+ * DSCR, GRM, the 1% rule, mortgage amortization and multi-year IRR/equity
+ * projections. No DOM access, so it runs in the page, the service worker and Node.
+ * Rates are decimals (0.07 = 7%); money is in dollars.
+ */
+
+(function (root) {
+    // Assumptions used when an input is left out
+    const DEFAULTS = {
+        downPaymentRate: 0.25,
+        interestRate: 0.07,
+        termYears: 30,
+        closingCostRate: 0.03,
+        rehabCost: 0,
+        monthlyExpenses: 0,
+        vacancyRate: 0,
+        holdYears: 5,
+        appreciationRate: 0.03,
+        rentGrowthRate: 0.02,
+        expenseGrowthRate: 0.02,
+        sellingCostRate: 0.06
+    };
+
+    function ratio(numerator, denominator) {
+        return denominator ? numerator / denominator : null;
+    }
+
+    // Terms and holds are whole years, at least one; missing or zero means the default
+    function wholeYears(value, fallback) {
+        return Math.max(1, Math.round(Number(value) || fallback));
+    }
+
+    // Number of monthly payments; a loan has at least one
+    function paymentCount(termYears) {
+        return Math.max(1, Math.round(Number(termYears) * 12) || 1);
+    }
+
+    // Inputs with defaults filled in and the term and hold clamped, so no metric divides by a zero-length loan
+    function withDefaults(inputs) {
+        const options = Object.assign({}, DEFAULTS, inputs);
+        options.termYears = wholeYears(options.termYears, DEFAULTS.termYears);
+        options.holdYears = wholeYears(options.holdYears, DEFAULTS.holdYears);
+        return options;
+    }
+
+    /**
+     * Monthly principal and interest on a fully amortizing loan
+     * @param {number} principal - Loan amount
+     * @param {number} annualRate - Interest rate
+     * @param {number} termYears - Loan term; anything under a month counts as one payment
+     * @returns {number}
+     */
+    function mortgagePayment(principal, annualRate, termYears) {
+        if (principal <= 0) return 0;
+        const payments = paymentCount(termYears);
+        const rate = annualRate / 12;
+        if (rate === 0) return principal / payments;
+        return principal * rate / (1 - Math.pow(1 + rate, -payments));
+    }
+
+    /**
+     * Month-by-month amortization schedule
+     * @returns {Array} [{ month, payment, interest, principal, balance }]
+     */
+    function amortizationSchedule(principal, annualRate, termYears) {
+        const payment = mortgagePayment(principal, annualRate, termYears);
+        const rate = annualRate / 12;
+        const schedule = [];
+        let balance = principal;
+
+        for (let month = 1; month <= paymentCount(termYears) && balance > 0; month++) {
+            const interest = balance * rate;
+            const principalPaid = Math.min(payment - interest, balance);
+            balance = Math.max(0, balance - principalPaid);
+            schedule.push({ month, payment, interest, principal: principalPaid, balance });
+        }
+        return schedule;
+    }
+
+    /**
+     * Roll a monthly schedule up into years
+     * @returns {Array} [{ year, interest, principal, balance }]
+     */
+    function summarizeByYear(schedule) {
+        const years = [];
+        schedule.forEach(row => {
+            const index = Math.ceil(row.month / 12) - 1;
+            if (!years[index]) {
+                years[index] = { year: index + 1, interest: 0, principal: 0, balance: row.balance };
+            }
+            years[index].interest += row.interest;
+            years[index].principal += row.principal;
+            years[index].balance = row.balance;
+        });
+        return years;
+    }
+
+    /**
+     * Annual net operating income: effective rent after vacancy, less operating expenses
+     * (debt service is not an operating expense)
+     */
+    function netOperatingIncome({ monthlyRent, monthlyExpenses = 0, vacancyRate = 0 }) {
+        return (monthlyRent * (1 - vacancyRate) - monthlyExpenses) * 12;
+    }
+
+    function capRate(noi, price) {
+        return ratio(noi, price);
+    }
+
+    function cashOnCash(annualCashFlow, totalCashInvested) {
+        return ratio(annualCashFlow, totalCashInvested);
+    }
+
+    // Debt service coverage ratio; lenders typically want 1.2 or more
+    function dscr(noi, annualDebtService) {
+        return ratio(noi, annualDebtService);
+    }
+
+    // Gross rent multiplier: price over annual gross rent (lower is better)
+    function grossRentMultiplier(price, annualGrossRent) {
+        return ratio(price, annualGrossRent);
+    }
+
+    /**
+     * The 1% rule: monthly rent should be at least 1% of the all-in purchase cost
+     * @returns {{ratio: number|null, passes: boolean}}
+     */
+    function onePercentRule(price, monthlyRent, rehabCost = 0) {
+        const rentRatio = ratio(monthlyRent, price + rehabCost);
+        return { ratio: rentRatio, passes: rentRatio !== null && rentRatio >= 0.01 };
+    }
+
+    function netPresentValue(rate, cashFlows) {
+        return cashFlows.reduce((total, cashFlow, period) => total + cashFlow / Math.pow(1 + rate, period), 0);
+    }
+
+    /**
+     * Internal rate of return for periodic cash flows (period 0 is usually the negative investment).
+     * Newton's method with a bisection fallback.
+     * @param {Array<number>} cashFlows
+     * @returns {number|null} null when the flows never change sign
+     */
+    function irr(cashFlows, guess = 0.1) {
+        const hasPositive = cashFlows.some(cashFlow => cashFlow > 0);
+        const hasNegative = cashFlows.some(cashFlow => cashFlow < 0);
+        if (!hasPositive || !hasNegative) return null;
+
+        let rate = guess;
+        for (let i = 0; i < 50; i++) {
+            const value = netPresentValue(rate, cashFlows);
+            const derivative = cashFlows.reduce((total, cashFlow, period) =>
+                total - period * cashFlow / Math.pow(1 + rate, period + 1), 0);
+            if (derivative === 0) break;
+            const next = rate - value / derivative;
+            if (!Number.isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < 1e-7) return next;
+            rate = next;
+        }
+
+        // Bisection between -99% and 1000%
+        let low = -0.99;
+        let high = 10;
+        if (netPresentValue(low, cashFlows) * netPresentValue(high, cashFlows) > 0) return null;
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            const value = netPresentValue(mid, cashFlows);
+            if (Math.abs(value) < 1e-6) return mid;
+            if (netPresentValue(low, cashFlows) * value < 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Year-by-year projection of cash flow, loan balance and equity, and the IRR
+     * of buying, holding and selling at the end of holdYears
+     * @param {Object} inputs - See analyze()
+     * @returns {{years: Array, irr: number|null, totalProfit: number}}
+     */
+    function projectInvestment(inputs) {
+        const options = withDefaults(inputs);
+        const loanAmount = options.price * (1 - options.downPaymentRate);
+        const annualDebtService = mortgagePayment(loanAmount, options.interestRate, options.termYears) * 12;
+        const loanYears = summarizeByYear(amortizationSchedule(loanAmount, options.interestRate, options.termYears));
+        const totalCashInvested = options.price * options.downPaymentRate
+            + options.price * options.closingCostRate
+            + options.rehabCost;
+
+        const years = [];
+        const cashFlows = [-totalCashInvested];
+        let totalProfit = -totalCashInvested;
+
+        for (let year = 1; year <= options.holdYears; year++) {
+            const growth = rate => Math.pow(1 + rate, year - 1);
+            const noi = netOperatingIncome({
+                monthlyRent: options.monthlyRent * growth(options.rentGrowthRate),
+                monthlyExpenses: options.monthlyExpenses * growth(options.expenseGrowthRate),
+                vacancyRate: options.vacancyRate
+            });
+            const debtService = year <= options.termYears ? annualDebtService : 0;
+            const cashFlow = noi - debtService;
+            const loanBalance = loanYears[year - 1] ? loanYears[year - 1].balance : 0;
+            // The rehab is assumed to add its cost to the property's value
+            const propertyValue = (options.price + options.rehabCost) * Math.pow(1 + options.appreciationRate, year);
+            const equity = propertyValue - loanBalance;
+
+            let periodCashFlow = cashFlow;
+            if (year === options.holdYears) {
+                // Sell at the end of the hold: proceeds after selling costs and paying off the loan
+                periodCashFlow += propertyValue * (1 - options.sellingCostRate) - loanBalance;
+            }
+
+            years.push({ year, noi, debtService, cashFlow, loanBalance, propertyValue, equity });
+            cashFlows.push(periodCashFlow);
+            totalProfit += periodCashFlow;
+        }
+
+        return { years, irr: irr(cashFlows), totalProfit };
+    }
+
+    /**
+     * Full underwriting for one property
+     * @param {Object} inputs - { price, monthlyRent, monthlyExpenses, vacancyRate, rehabCost,
+     *   downPaymentRate, interestRate, termYears, closingCostRate, holdYears,
+     *   appreciationRate, rentGrowthRate, expenseGrowthRate, sellingCostRate } where termYears and
+     *   holdYears are rounded to whole years, at least one (0 or missing means the default)
+     * @returns {Object} Year-one metrics plus the amortization and hold projection
+     */
+    function analyze(inputs) {
+        const options = withDefaults(inputs);
+        const loanAmount = options.price * (1 - options.downPaymentRate);
+        const monthlyDebtService = mortgagePayment(loanAmount, options.interestRate, options.termYears);
+        const annualDebtService = monthlyDebtService * 12;
+        const totalCashInvested = options.price * options.downPaymentRate
+            + options.price * options.closingCostRate
+            + options.rehabCost;
+        const noi = netOperatingIncome(options);
+        const annualCashFlow = noi - annualDebtService;
+        const schedule = amortizationSchedule(loanAmount, options.interestRate, options.termYears);
+
+        return {
+            inputs: options,
+            loanAmount,
+            totalCashInvested,
+            monthlyDebtService,
+            annualDebtService,
+            noi,
+            annualCashFlow,
+            monthlyCashFlow: annualCashFlow / 12,
+            capRate: capRate(noi, options.price),
+            cashOnCash: cashOnCash(annualCashFlow, totalCashInvested),
+            dscr: dscr(noi, annualDebtService),
+            grm: grossRentMultiplier(options.price, options.monthlyRent * 12),
+            onePercentRule: onePercentRule(options.price, options.monthlyRent, options.rehabCost),
+            amortization: summarizeByYear(schedule),
+            projection: projectInvestment(options)
+        };
+    }
+
+    const Underwriting = {
+        DEFAULTS,
+        mortgagePayment,
+        amortizationSchedule,
+        summarizeByYear,
+        netOperatingIncome,
+        capRate,
+        cashOnCash,
+        dscr,
+        grossRentMultiplier,
+        onePercentRule,
+        netPresentValue,
+        irr,
+        projectInvestment,
+        analyze
+    };
+
+    root.Underwriting = Underwriting;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Underwriting;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
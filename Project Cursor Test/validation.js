@@ -0,0 +1,427 @@
+/**
+ * PropGrid Form Validation
+ * One rule engine for every form on the site (signup, contact, deal curation)
+ * and for the dev server's API stand-in. Rules are pluggable; the DOM helpers
+ * give every form the same error markup and ARIA wiring.
+ */
+
+(function (root) {
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+    const DEFAULT_COUNTRY_CODE = '1';
+    const NANP_COUNTRY_CODE = '1'; // US, Canada and the Caribbean: always 10 national digits
+    const NANP_NATIONAL_DIGITS = 10;
+    const MIN_NATIONAL_DIGITS = 7; // Shortest national numbers in common use
+
+    const DEFAULT_INVALID_CLASSES = ['border-red-500', 'focus:border-red-500', 'focus:ring-red-500'];
+    const DEFAULT_VALID_CLASSES = ['border-gray-300', 'focus:border-primary', 'focus:ring-primary'];
+
+    function isEmpty(value) {
+        if (Array.isArray(value)) return value.length === 0;
+        return value === null || value === undefined || value === false || String(value).trim() === '';
+    }
+
+    /**
+     * Normalise a phone number to E.164 (+15551234567). Numbers without a
+     * country code get the default one. Too few digits for a real number
+     * (e.g. "5" or "12") don't normalise.
+     * @param {string} value - The phone number as typed
+     * @param {string} countryCode - Country calling code without "+"
+     * @returns {string|null} The E.164 number, or null if it can't be one
+     */
+    function normalizePhone(value, countryCode = DEFAULT_COUNTRY_CODE) {
+        let phone = String(value || '').trim().replace(/[\s\-().]/g, '');
+        if (phone.startsWith('00')) {
+            phone = `+${phone.slice(2)}`;
+        }
+        if (!phone.startsWith('+')) {
+            // "1 555 123 4567" already carries the NANP country code
+            if (countryCode === NANP_COUNTRY_CODE && phone.length === NANP_NATIONAL_DIGITS + 1 && phone.startsWith(NANP_COUNTRY_CODE)) {
+                phone = phone.slice(1);
+            }
+            const minDigits = countryCode === NANP_COUNTRY_CODE ? NANP_NATIONAL_DIGITS : MIN_NATIONAL_DIGITS;
+            if (phone.length < minDigits) return null;
+            phone = `+${countryCode}${phone}`;
+        }
+        if (!E164_PATTERN.test(phone)) return null;
+
+        // Country codes are 1–3 digits; a NANP number is exactly its 10 national digits
+        const digits = phone.length - 1;
+        if (phone.startsWith(`+${NANP_COUNTRY_CODE}`)) {
+            return digits === NANP_COUNTRY_CODE.length + NANP_NATIONAL_DIGITS ? phone : null;
+        }
+        return digits >= 1 + MIN_NATIONAL_DIGITS ? phone : null;
+    }
+
+    // Built-in rules. test(value, param, context) returns true when the value passes;
+    // async rules may return a Promise. Every rule except "required" skips empty values.
+    const rules = {
+        required: {
+            test: value => !isEmpty(value),
+            message: 'This field is required'
+        },
+        email: {
+            test: value => EMAIL_PATTERN.test(String(value).trim()),
+            message: 'Please enter a valid email address'
+        },
+        phone: {
+            test: (value, countryCode) => normalizePhone(value, countryCode || undefined) !== null,
+            message: 'Please enter a valid phone number'
+        },
+        url: {
+            test: value => {
+                const url = String(value).trim();
+                try {
+                    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+                    return parsed.hostname.includes('.');
+                } catch (error) {
+                    return false;
+                }
+            },
+            message: 'Please enter a valid URL'
+        },
+        minLength: {
+            test: (value, min) => String(value).trim().length >= min,
+            message: min => `Must be at least ${min} characters long`
+        },
+        maxLength: {
+            test: (value, max) => String(value).trim().length <= max,
+            message: max => `Must be at most ${max} characters long`
+        },
+        pattern: {
+            test: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`)).test(String(value).trim()),
+            message: 'Please match the requested format'
+        },
+        // Cross-field: the value must equal another field's value
+        matches: {
+            test: (value, otherField, context) => value === (context.values || {})[otherField],
+            message: 'The values do not match'
+        },
+        oneOf: {
+            test: (value, allowed) => allowed.map(String).includes(String(value)),
+            message: 'Please choose one of the listed options'
+        }
+    };
+
+    // Accepts 'email', { rule: 'minLength', value: 2, message }, or a bare test function
+    function normalizeRule(spec) {
+        if (typeof spec === 'string') return { rule: spec };
+        if (typeof spec === 'function') return { test: spec };
+        return spec;
+    }
+
+    function resolveRule(spec) {
+        const definition = spec.test ? spec : rules[spec.rule];
+        if (!definition) {
+            throw new Error(`Unknown validation rule "${spec.rule}"`);
+        }
+        return definition;
+    }
+
+    function resolveMessage(spec, definition, context) {
+        const messages = context.messages || {};
+        const message = spec.message
+            || (spec.rule && messages[spec.rule])
+            || definition.message
+            || 'This field is invalid';
+        return typeof message === 'function' ? message(spec.value, context) : message;
+    }
+
+    // Rules run in order and stop at the first failure, so "required" should come first
+    function prepare(value, ruleSpecs, context) {
+        return (ruleSpecs || []).map(normalizeRule)
+            .filter(spec => !spec.when || spec.when(context.values || {}, context))
+            .filter(spec => spec.rule === 'required' || spec.validateEmpty || !isEmpty(value));
+    }
+
+    const FormValidation = {
+        rules,
+        isEmpty,
+        normalizePhone,
+
+        /**
+         * Register a custom rule
+         * @param {string} name - Rule name used in rule specs
+         * @param {Object} definition - { test(value, param, context), message, async }
+         */
+        addRule(name, definition) {
+            rules[name] = definition;
+        },
+
+        /**
+         * Check one value against its rules. Async rules are skipped; use checkAsync.
+         * @param {*} value - The field value
+         * @param {Array} ruleSpecs - Rule specs in the order they should run
+         * @param {Object} context - { values, messages, field }
+         * @returns {string|null} The first error message, or null when valid
+         */
+        check(value, ruleSpecs, context = {}) {
+            for (const spec of prepare(value, ruleSpecs, context)) {
+                const definition = resolveRule(spec);
+                if (definition.async || spec.async) continue;
+                if (!definition.test(value, spec.value, context)) {
+                    return resolveMessage(spec, definition, context);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Like check, but also runs async rules (e.g. "is this email already registered?")
+         * @returns {Promise<string|null>}
+         */
+        async checkAsync(value, ruleSpecs, context = {}) {
+            for (const spec of prepare(value, ruleSpecs, context)) {
+                const definition = resolveRule(spec);
+                if (!(await definition.test(value, spec.value, context))) {
+                    return resolveMessage(spec, definition, context);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Validate a set of values against a schema of rules
+         * @param {Object} values - Field name -> value
+         * @param {Object} schema - Field name -> rule specs
+         * @param {Object} messages - Optional per-field message overrides, keyed by rule
+         * @returns {{valid: boolean, errors: Object}} Errors keyed by field name
+         */
+        validate(values, schema, messages = {}) {
+            const errors = {};
+            Object.entries(schema).forEach(([name, ruleSpecs]) => {
+                const error = this.check(values[name], ruleSpecs, { values, messages: messages[name], name });
+                if (error) errors[name] = error;
+            });
+            return { valid: Object.keys(errors).length === 0, errors };
+        },
+
+        async validateAsync(values, schema, messages = {}) {
+            const errors = {};
+            await Promise.all(Object.entries(schema).map(async ([name, ruleSpecs]) => {
+                const error = await this.checkAsync(values[name], ruleSpecs, { values, messages: messages[name], name });
+                if (error) errors[name] = error;
+            }));
+            return { valid: Object.keys(errors).length === 0, errors };
+        },
+
+        // --- DOM helpers ---
+
+        /**
+         * Read a field's value: checked state for checkboxes, the selected value
+         * for radio groups and trimmed text for everything else
+         */
+        getFieldValue(field) {
+            if (field.type === 'checkbox') {
+                return field.checked;
+            }
+            if (field.type === 'radio') {
+                const checked = field.form
+                    ? field.form.querySelector(`input[name="${field.name}"]:checked`)
+                    : (field.checked ? field : null);
+                return checked ? checked.value : '';
+            }
+            return String(field.value || '').trim();
+        },
+
+        // Rules implied by the field's own attributes (required, type, minlength, ...)
+        rulesFromAttributes(field) {
+            const derived = [];
+            if (field.hasAttribute('required')) derived.push({ rule: 'required' });
+            if (field.type === 'email') derived.push({ rule: 'email' });
+            if (field.type === 'tel') derived.push({ rule: 'phone' });
+            if (field.type === 'url') derived.push({ rule: 'url' });
+            if (field.hasAttribute('minlength')) derived.push({ rule: 'minLength', value: Number(field.getAttribute('minlength')) });
+            if (field.hasAttribute('maxlength')) derived.push({ rule: 'maxLength', value: Number(field.getAttribute('maxlength')) });
+            if (field.hasAttribute('pattern')) derived.push({ rule: 'pattern', value: field.getAttribute('pattern') });
+            if (field.dataset && field.dataset.matches) derived.push({ rule: 'matches', value: field.dataset.matches });
+            return derived;
+        },
+
+        // The error element for a field: #error-{id}, #error-{name}, then the nearest .error-message.
+        // Ids are looked up inside the field's form so forms sharing field names don't collide.
+        findErrorElement(field) {
+            const scope = field.form || field.ownerDocument;
+            const byId = id => scope.querySelector(`[id="${id}"]`);
+            return (field.id && byId(`error-${field.id}`))
+                || (field.name && byId(`error-${field.name}`))
+                || (field.parentElement && field.parentElement.querySelector('.error-message'))
+                || null;
+        },
+
+        /**
+         * Show an error: fill the error element (created if missing), mark the field
+         * aria-invalid and link the message via aria-describedby
+         * @param {HTMLElement} field - The invalid field
+         * @param {string} message - Plain text message (never parsed as HTML)
+         * @param {Object} options - { invalidClasses, validClasses, errorElement }
+         */
+        showError(field, message, options = {}) {
+            const doc = field.ownerDocument;
+            let errorElement = options.errorElement || this.findErrorElement(field);
+
+            if (!errorElement) {
+                errorElement = doc.createElement('div');
+                errorElement.className = 'error-message text-red-600 text-sm mt-1';
+                errorElement.setAttribute('aria-live', 'polite');
+                errorElement.setAttribute('role', 'alert');
+                field.parentElement.appendChild(errorElement);
+            }
+            if (!errorElement.id) {
+                errorElement.id = `error-${field.id || field.name || Math.random().toString(36).substr(2, 9)}`;
+            }
+
+            const icon = doc.createElement('i');
+            icon.className = 'fas fa-exclamation-circle mr-1';
+            icon.setAttribute('aria-hidden', 'true');
+            errorElement.replaceChildren(icon, doc.createTextNode(message));
+            errorElement.classList.remove('hidden');
+
+            field.classList.add(...(options.invalidClasses || DEFAULT_INVALID_CLASSES));
+            field.classList.remove(...(options.validClasses || DEFAULT_VALID_CLASSES));
+            field.setAttribute('aria-invalid', 'true');
+
+            // Add the error id to aria-describedby, remembering whether it was already there
+            const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            if (!describedBy.includes(errorElement.id)) {
+                describedBy.push(errorElement.id);
+                field.setAttribute('aria-describedby', describedBy.join(' '));
+                field.dataset.validationDescribedby = errorElement.id;
+            }
+        },
+
+        /**
+         * Undo showError, leaving any aria-describedby ids the markup set itself
+         */
+        clearError(field, options = {}) {
+            const errorElement = options.errorElement || this.findErrorElement(field);
+            if (errorElement) {
+                errorElement.textContent = '';
+                errorElement.classList.add('hidden');
+            }
+
+            field.classList.remove(...(options.invalidClasses || DEFAULT_INVALID_CLASSES));
+            field.classList.add(...(options.validClasses || DEFAULT_VALID_CLASSES));
+            field.removeAttribute('aria-invalid');
+
+            const addedId = field.dataset.validationDescribedby;
+            if (addedId) {
+                const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/)
+                    .filter(id => id && id !== addedId);
+                if (describedBy.length > 0) {
+                    field.setAttribute('aria-describedby', describedBy.join(' '));
+                } else {
+                    field.removeAttribute('aria-describedby');
+                }
+                delete field.dataset.validationDescribedby;
+            }
+        },
+
+        /**
+         * Bind the engine to a form. Each field is checked against its attribute
+         * rules plus any configured for it by name.
+         * @param {HTMLFormElement} form - The form element
+         * @param {Object} options - {
+         *   fields: { [name]: { rules: [], messages: {} } } or a function(field) returning that,
+         *   invalidClasses, validClasses
+         * }
+         * @returns {Object} { validateField, validateFieldAsync, validateAll, showError, clearError, applyErrors }
+         */
+        createFormValidator(form, options = {}) {
+            const engine = this;
+            const styling = {
+                invalidClasses: options.invalidClasses,
+                validClasses: options.validClasses
+            };
+
+            const fieldOptions = field => (typeof options.fields === 'function'
+                ? options.fields(field)
+                : (options.fields || {})[field.name]) || {};
+
+            const contextFor = field => {
+                const values = {};
+                Array.from(form.elements).forEach(element => {
+                    if (element.name && !element.disabled && !(element.name in values)) {
+                        values[element.name] = engine.getFieldValue(element);
+                    }
+                });
+                return { values, messages: fieldOptions(field).messages, field, name: field.name };
+            };
+
+            const rulesFor = field => engine.rulesFromAttributes(field).concat(fieldOptions(field).rules || []);
+
+            const report = (field, error) => {
+                if (error) {
+                    engine.showError(field, error, styling);
+                    return false;
+                }
+                engine.clearError(field, styling);
+                return true;
+            };
+
+            return {
+                validateField(field) {
+                    if (!field || field.disabled) return true;
+                    return report(field, engine.check(engine.getFieldValue(field), rulesFor(field), contextFor(field)));
+                },
+
+                async validateFieldAsync(field) {
+                    if (!field || field.disabled) return true;
+                    return report(field, await engine.checkAsync(engine.getFieldValue(field), rulesFor(field), contextFor(field)));
+                },
+
+                /**
+                 * Validate every named field (or those matching selector) and focus the first invalid one
+                 * @returns {boolean}
+                 */
+                validateAll(selector = 'input, select, textarea') {
+                    // Radio groups are validated once, through their first input
+                    const seenGroups = new Set();
+                    const invalid = Array.from(form.querySelectorAll(selector))
+                        .filter(field => field.name)
+                        .filter(field => {
+                            if (field.type !== 'radio') return true;
+                            if (seenGroups.has(field.name)) return false;
+                            seenGroups.add(field.name);
+                            return true;
+                        })
+                        .filter(field => !this.validateField(field));
+                    if (invalid.length > 0 && typeof invalid[0].focus === 'function') {
+                        invalid[0].focus();
+                    }
+                    return invalid.length === 0;
+                },
+
+                showError(field, message) {
+                    engine.showError(field, message, styling);
+                },
+
+                clearError(field) {
+                    engine.clearError(field, styling);
+                },
+
+                /**
+                 * Show server-side errors ({ fieldName: message }) on their fields
+                 * @returns {Array} Messages that don't belong to any field
+                 */
+                applyErrors(errors) {
+                    const unmatched = [];
+                    Object.entries(errors || {}).forEach(([name, message]) => {
+                        const field = form.querySelector(`[name="${name}"]`);
+                        if (field) {
+                            engine.showError(field, message, styling);
+                        } else {
+                            unmatched.push(message);
+                        }
+                    });
+                    return unmatched;
+                }
+            };
+        }
+    };
+
+    root.FormValidation = FormValidation;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FormValidation;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,157 @@
+/**
+ * PropGrid Web Push Sender
+ * Sends push messages to browser PushSubscriptions with nothing but Node's crypto:
+ * VAPID authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291).
+ * Used by dev-server.js for deal alerts; keys are base64url strings, as the
+ * browser's PushManager expects them.
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// VAPID tokens may live at most 24 hours; stay well inside that
+const VAPID_TOKEN_SECONDS = 12 * 60 * 60;
+
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * New VAPID key pair (P-256)
+ * @returns {Object} { publicKey, privateKey } as base64url
+ */
+function generateVAPIDKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        publicKey: toBase64Url(ecdh.getPublicKey()),
+        privateKey: toBase64Url(ecdh.getPrivateKey())
+    };
+}
+
+function vapidSigningKey(vapidKeys) {
+    const publicKey = fromBase64Url(vapidKeys.publicKey);
+    return crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: toBase64Url(publicKey.subarray(1, 33)),
+            y: toBase64Url(publicKey.subarray(33, 65)),
+            d: vapidKeys.privateKey
+        }
+    });
+}
+
+/**
+ * Authorization header proving this server owns the key the subscription was created with
+ * @param {string} endpoint - Push service URL from the subscription
+ * @param {Object} vapidKeys - { publicKey, privateKey }
+ * @param {string} subject - mailto: or https: contact for the push service
+ * @returns {string}
+ */
+function vapidAuthorization(endpoint, vapidKeys, subject) {
+    const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = toBase64Url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_SECONDS,
+        sub: subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key: vapidSigningKey(vapidKeys),
+        dsaEncoding: 'ieee-p1363'
+    });
+    return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${vapidKeys.publicKey}`;
+}
+
+/**
+ * Encrypt a payload for one subscription (a single aes128gcm record)
+ * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+ * @param {string|Buffer} payload
+ * @returns {Buffer} Request body
+ */
+function encryptPayload(subscription, payload) {
+    if (!subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
+        throw new Error('Subscription is missing its p256dh/auth keys');
+    }
+    const userAgentPublicKey = fromBase64Url(subscription.keys.p256dh);
+    const authSecret = fromBase64Url(subscription.keys.auth);
+
+    const serverKeys = crypto.createECDH('prime256v1');
+    serverKeys.generateKeys();
+    const serverPublicKey = serverKeys.getPublicKey();
+    const sharedSecret = serverKeys.computeSecret(userAgentPublicKey);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+    const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+    const salt = crypto.randomBytes(16);
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // 0x02 marks the last (and only) record
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+        throw new Error('Push payload is too large');
+    }
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * Deliver one push message
+ * @param {Object} subscription - PushSubscription JSON
+ * @param {Object|string} payload - Objects are sent as JSON
+ * @param {Object} options - { vapidKeys, subject, ttl, urgency }
+ * @returns {Promise<Object>} { statusCode, expired } where expired means the subscription is gone (404/410)
+ */
+function sendNotification(subscription, payload, options) {
+    const body = encryptPayload(subscription, typeof payload === 'string' ? payload : JSON.stringify(payload));
+    const headers = {
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'aes128gcm',
+        'Content-Length': body.length,
+        TTL: String(options.ttl === undefined ? DEFAULT_TTL_SECONDS : options.ttl),
+        Urgency: options.urgency || 'normal',
+        Authorization: vapidAuthorization(subscription.endpoint, options.vapidKeys, options.subject)
+    };
+
+    return new Promise((resolve, reject) => {
+        const request = https.request(subscription.endpoint, { method: 'POST', headers }, (response) => {
+            response.resume();
+            response.on('end', () => {
+                const { statusCode } = response;
+                if (statusCode >= 200 && statusCode < 300) {
+                    resolve({ statusCode, expired: false });
+                } else if (statusCode === 404 || statusCode === 410) {
+                    resolve({ statusCode, expired: true });
+                } else {
+                    reject(Object.assign(new Error(`Push service answered HTTP ${statusCode}`), { statusCode }));
+                }
+            });
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+module.exports = {
+    generateVAPIDKeys,
+    vapidAuthorization,
+    encryptPayload,
+    sendNotification,
+    toBase64Url,
+    fromBase64Url
+};
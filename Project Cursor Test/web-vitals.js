@@ -0,0 +1,142 @@
+/**
+ * PropGrid Web Vitals
+ * The Core Web Vitals math PerformanceMonitor applies to raw performance
+ * entries: CLS session windows, INP from event timing entries, TTFB from the
+ * navigation entry, ratings against Google's thresholds and short CSS
+ * selectors for attribution. Shared by the page and dev-server.js, which rates
+ * the reports it collects.
+ */
+
+(function (root) {
+    // [good up to, poor above]; between is "needs-improvement" (https://web.dev/articles/vitals)
+    const THRESHOLDS = {
+        LCP: [2500, 4000],
+        INP: [200, 500],
+        CLS: [0.1, 0.25],
+        TTFB: [800, 1800]
+    };
+
+    // A CLS session window closes after a 1s gap between shifts or once it spans 5s
+    const CLS_WINDOW_GAP = 1000;
+    const CLS_WINDOW_MAX = 5000;
+
+    // INP ignores one slow interaction per 50, so a single outlier doesn't define the page
+    const INP_OUTLIERS_PER = 50;
+
+    /**
+     * @param {string} name - 'LCP', 'INP', 'CLS' or 'TTFB'
+     * @param {number} value
+     * @returns {string|null} 'good', 'needs-improvement' or 'poor'
+     */
+    function rate(name, value) {
+        const thresholds = THRESHOLDS[name];
+        if (!thresholds || typeof value !== 'number') return null;
+        if (value <= thresholds[0]) return 'good';
+        return value <= thresholds[1] ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Short CSS selector for attribution, e.g. "section#pricing > div.rounded-2xl > a.w-full"
+     * @param {Element} element
+     * @param {number} maxDepth - Ancestors to include when no id is found first
+     * @returns {string|null}
+     */
+    function selectorFor(element, maxDepth = 3) {
+        const parts = [];
+        let node = element;
+        while (node && node.nodeType === 1 && parts.length <= maxDepth) {
+            let part = node.tagName.toLowerCase();
+            if (node.id) {
+                parts.unshift(`${part}#${node.id}`);
+                break;
+            }
+            const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/)[0] : '';
+            if (className) part += `.${className}`;
+            parts.unshift(part);
+            node = node.parentElement;
+        }
+        return parts.length > 0 ? parts.join(' > ') : null;
+    }
+
+    /**
+     * Cumulative Layout Shift: the worst session window of unexpected shifts
+     * @param {Array} shifts - layout-shift entries ({ startTime, value, hadRecentInput })
+     * @returns {Object} { value, entries } where entries are the worst window's shifts
+     */
+    function clsFromShifts(shifts) {
+        let worst = { value: 0, entries: [] };
+        let current = { value: 0, entries: [] };
+
+        shifts.filter(shift => !shift.hadRecentInput).forEach(shift => {
+            const first = current.entries[0];
+            const last = current.entries[current.entries.length - 1];
+            if (first && (shift.startTime - last.startTime > CLS_WINDOW_GAP || shift.startTime - first.startTime > CLS_WINDOW_MAX)) {
+                current = { value: 0, entries: [] };
+            }
+            current.value += shift.value;
+            current.entries.push(shift);
+            if (current.value > worst.value) {
+                worst = { value: current.value, entries: current.entries.slice() };
+            }
+        });
+        return worst;
+    }
+
+    /**
+     * Interaction to Next Paint: the slowest interaction after skipping one outlier per 50
+     * @param {Array} interactions - The longest event timing entry of each interaction
+     * @param {number} interactionCount - Interactions on the page (performance.interactionCount when available)
+     * @returns {Object|null} The entry that sets INP; its duration is the value
+     */
+    function inpFromInteractions(interactions, interactionCount = interactions.length) {
+        if (interactions.length === 0) return null;
+        const slowest = interactions.slice().sort((a, b) => b.duration - a.duration);
+        return slowest[Math.min(slowest.length - 1, Math.floor(interactionCount / INP_OUTLIERS_PER))];
+    }
+
+    /**
+     * Time to First Byte and where it went
+     * @param {Object} navigation - PerformanceNavigationTiming
+     * @returns {Object|null} { value, attribution: { dns, connection, request } } in ms
+     */
+    function ttfbFrom(navigation) {
+        if (!navigation || typeof navigation.responseStart !== 'number' || navigation.responseStart <= 0) return null;
+        // Prerendered pages count from activation, not from the prerender
+        const value = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+        return {
+            value,
+            attribution: {
+                dns: Math.max(0, navigation.domainLookupEnd - navigation.domainLookupStart),
+                connection: Math.max(0, navigation.connectEnd - navigation.connectStart),
+                request: Math.max(0, navigation.responseStart - navigation.requestStart)
+            }
+        };
+    }
+
+    /**
+     * Nearest-rank percentile (p75 is what Core Web Vitals are judged on)
+     * @param {Array<number>} values
+     * @param {number} p - 0-100
+     * @returns {number|null}
+     */
+    function percentile(values, p) {
+        if (values.length === 0) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+    }
+
+    const PropGridVitals = {
+        THRESHOLDS,
+        rate,
+        selectorFor,
+        clsFromShifts,
+        inpFromInteractions,
+        ttfbFrom,
+        percentile
+    };
+
+    root.PropGridVitals = PropGridVitals;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PropGridVitals;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);